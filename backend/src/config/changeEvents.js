@@ -0,0 +1,40 @@
+/**
+ * Change event settings
+ * Dish events are derived from the dishes collection itself, so writes from
+ * scripts, the Mongo shell or other services show up live too.
+ * CHANGE_EVENTS_SOURCE picks how changes are read: "changeStream" (needs a
+ * replica set or sharded cluster), "poll", or "auto" (the default) to use
+ * change streams when the server supports them and poll otherwise
+ */
+
+const DEFAULT_SOURCE = 'auto';
+const DEFAULT_POLL_INTERVAL_SECONDS = 5;
+const DEFAULT_FULL_SCAN_INTERVAL_SECONDS = 60;
+
+export const CHANGE_EVENT_SOURCES = ['auto', 'changeStream', 'poll'];
+
+/**
+ * How changes to dishes are read
+ */
+export const getChangeEventSource = () => {
+  const source = process.env.CHANGE_EVENTS_SOURCE;
+  return CHANGE_EVENT_SOURCES.includes(source) ? source : DEFAULT_SOURCE;
+};
+
+/**
+ * How often recently updated dishes are read when polling, in milliseconds
+ * Also the delay before a failed change stream is reopened
+ */
+export const getChangePollIntervalMs = () => {
+  const seconds = Number(process.env.CHANGE_POLL_INTERVAL_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_POLL_INTERVAL_SECONDS) * 1000;
+};
+
+/**
+ * How often polling compares every dish instead of the recently updated ones,
+ * in milliseconds, to catch writes that don't set updatedAt
+ */
+export const getChangeFullScanIntervalMs = () => {
+  const seconds = Number(process.env.CHANGE_FULL_SCAN_INTERVAL_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_FULL_SCAN_INTERVAL_SECONDS) * 1000;
+};
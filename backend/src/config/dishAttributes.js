@@ -0,0 +1,69 @@
+/**
+ * Dish attribute vocabularies
+ * Allowed values for menu details; the frontend mirrors these in src/utils/dishAttributes.js
+ */
+
+// The 14 allergens that must be declared under EU/UK food labelling rules
+export const ALLERGENS = [
+  'celery',
+  'gluten',
+  'crustaceans',
+  'eggs',
+  'fish',
+  'lupin',
+  'milk',
+  'molluscs',
+  'mustard',
+  'tree-nuts',
+  'peanuts',
+  'sesame',
+  'soy',
+  'sulphites',
+];
+
+export const DIETARY_FLAGS = [
+  'vegetarian',
+  'vegan',
+  'gluten-free',
+  'dairy-free',
+  'nut-free',
+  'halal',
+  'kosher',
+];
+
+// 0 = not spicy
+export const SPICE_LEVEL_MIN = 0;
+export const SPICE_LEVEL_MAX = 5;
+
+// Dish IDs: letters, numbers, "-" and "_", starting with a letter or number (e.g. "dish-001")
+export const DISH_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+export const MAX_DISH_ID_LENGTH = 50;
+export const MAX_DISH_NAME_LENGTH = 100;
+export const MAX_IMAGE_URL_LENGTH = 2048;
+
+export const MAX_PREP_TIME_MINUTES = 600;
+export const MAX_DESCRIPTION_LENGTH = 1000;
+export const MAX_CATEGORY_LENGTH = 50;
+
+/**
+ * Currency used when a price is given without one
+ */
+export const getDefaultCurrency = () => (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Whether a code is an ISO 4217 currency the runtime knows about
+ * @param {string} code - e.g. "EUR"
+ * @returns {boolean}
+ */
+export const isValidCurrency = (code) => {
+  if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) return false;
+  return Intl.supportedValuesOf('currency').includes(code);
+};
+
+/**
+ * Number of decimal places a currency uses (2 for USD, 0 for JPY, 3 for KWD)
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+export const getCurrencyDecimals = (currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
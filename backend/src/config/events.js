@@ -0,0 +1,24 @@
+/**
+ * Socket event log settings
+ * Recent change events are kept so clients that reconnect can catch up on
+ * what they missed; older gaps make them reload instead
+ */
+
+const DEFAULT_LOG_SIZE = 500;
+const DEFAULT_LOG_MAX_AGE_MINUTES = 15;
+
+/**
+ * Number of events kept in the log
+ */
+export const getEventLogSize = () => {
+  const size = Number(process.env.EVENT_LOG_SIZE);
+  return Number.isInteger(size) && size > 0 ? size : DEFAULT_LOG_SIZE;
+};
+
+/**
+ * How long an event stays in the log, in milliseconds
+ */
+export const getEventLogMaxAgeMs = () => {
+  const minutes = Number(process.env.EVENT_LOG_MAX_AGE_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_LOG_MAX_AGE_MINUTES) * 60 * 1000;
+};
@@ -0,0 +1,47 @@
+/**
+ * Image health check settings
+ * A background job periodically checks every dish's imageUrl
+ */
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const DEFAULT_RECHECK_HOURS = 24;
+const DEFAULT_TIMEOUT_SECONDS = 10;
+const DEFAULT_MAX_IMAGE_MB = 5;
+
+/**
+ * How often the job runs, in milliseconds
+ * Each run checks unchecked dishes and dishes whose last check is older than the recheck age
+ */
+export const getHealthCheckIntervalMs = () => {
+  const minutes = Number(process.env.IMAGE_HEALTH_INTERVAL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_INTERVAL_MINUTES) * 60 * 1000;
+};
+
+/**
+ * How old a check may get before the image is checked again, in milliseconds
+ */
+export const getRecheckAgeMs = () => {
+  const hours = Number(process.env.IMAGE_HEALTH_RECHECK_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_RECHECK_HOURS) * 60 * 60 * 1000;
+};
+
+/**
+ * Per-request timeout, in milliseconds
+ */
+export const getCheckTimeoutMs = () => {
+  const seconds = Number(process.env.IMAGE_HEALTH_TIMEOUT_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_TIMEOUT_SECONDS) * 1000;
+};
+
+/**
+ * Images larger than this are flagged as a warning, in bytes
+ */
+export const getMaxImageBytes = () => {
+  const megabytes = Number(process.env.IMAGE_HEALTH_MAX_MB);
+  return (Number.isFinite(megabytes) && megabytes > 0 ? megabytes : DEFAULT_MAX_IMAGE_MB) * 1024 * 1024;
+};
+
+/**
+ * Whether dishes with a broken image are kept from being published
+ */
+export const isBrokenImagePublishBlocked = () => process.env.BLOCK_PUBLISH_ON_BROKEN_IMAGE === 'true';
@@ -0,0 +1,30 @@
+/**
+ * Menu settings
+ * Menus (lunch, dinner, catering...) have their own availability hours,
+ * evaluated in the menu's time zone
+ */
+
+export const MAX_MENU_NAME_LENGTH = 50;
+
+// Days of the week as used in availability hours (0 = Sunday, like Date#getDay)
+export const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Time zone for menus created without one
+ */
+export const getDefaultMenuTimezone = () => process.env.MENU_TIMEZONE || 'UTC';
+
+/**
+ * Whether a time zone is an IANA name the runtime knows about
+ * @param {string} timezone - e.g. "Europe/London"
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
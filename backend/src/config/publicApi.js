@@ -0,0 +1,63 @@
+/**
+ * Public API settings
+ * The read-only /api/public namespace serves customer-facing sites (website,
+ * kiosk) and is cached and rate limited separately from the admin API, which
+ * only accepts browser requests from the dashboard's origin
+ */
+
+const DEFAULT_CACHE_MAX_AGE_SECONDS = 60;
+const DEFAULT_RATE_LIMIT_WINDOW_SECONDS = 60;
+const DEFAULT_RATE_LIMIT_MAX = 120;
+
+/**
+ * Read a non-negative number from the environment
+ */
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+};
+
+/**
+ * Seconds clients and CDNs may cache public responses
+ */
+export const getPublicCacheMaxAge = () =>
+  readNumber('PUBLIC_CACHE_MAX_AGE_SECONDS', DEFAULT_CACHE_MAX_AGE_SECONDS);
+
+/**
+ * Length of the public rate limit window, in milliseconds
+ */
+export const getPublicRateLimitWindowMs = () =>
+  Math.max(readNumber('PUBLIC_RATE_LIMIT_WINDOW_SECONDS', DEFAULT_RATE_LIMIT_WINDOW_SECONDS), 1) * 1000;
+
+/**
+ * Requests one client (IP) may make to the public API per window
+ */
+export const getPublicRateLimitMax = () =>
+  Math.max(readNumber('PUBLIC_RATE_LIMIT_MAX', DEFAULT_RATE_LIMIT_MAX), 1);
+
+/**
+ * Origins allowed to call the admin API from a browser
+ * FRONTEND_URL may list several, comma separated; any origin when unset
+ * @returns {string|string[]} '*' or a list of origins
+ */
+export const getAdminCorsOrigin = () => {
+  const origins = (process.env.FRONTEND_URL || '')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+  return origins.length > 0 ? origins : '*';
+};
+
+/**
+ * Express "trust proxy" setting, so client IPs (used for rate limiting)
+ * are read from X-Forwarded-For when running behind a load balancer
+ * TRUST_PROXY is a hop count, or true/false
+ */
+export const getTrustProxy = () => {
+  const value = process.env.TRUST_PROXY;
+  if (value === 'true') return true;
+  const hops = Number(value);
+  return value && Number.isInteger(hops) && hops > 0 ? hops : false;
+};
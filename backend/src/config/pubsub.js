@@ -0,0 +1,25 @@
+/**
+ * Pub/sub settings
+ * Socket events are shared between backend instances through a pub/sub
+ * adapter chosen by PUBSUB_DRIVER: "memory" (one process, the default) or
+ * "redis" (any Redis-compatible server, for several instances). Presence and
+ * edit locks use the same driver (see presence/index.js)
+ */
+
+const DEFAULT_DRIVER = 'memory';
+const DEFAULT_CHANNEL_PREFIX = 'dishmanager';
+
+/**
+ * Name of the pub/sub adapter to use
+ */
+export const getPubSubDriver = () => process.env.PUBSUB_DRIVER || DEFAULT_DRIVER;
+
+/**
+ * Connection URL for the redis driver
+ */
+export const getRedisUrl = () => process.env.REDIS_URL || 'redis://localhost:6379';
+
+/**
+ * Prefix for channel names, so several deployments can share one server
+ */
+export const getChannelPrefix = () => process.env.PUBSUB_CHANNEL_PREFIX || DEFAULT_CHANNEL_PREFIX;
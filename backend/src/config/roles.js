@@ -0,0 +1,47 @@
+/**
+ * Roles and permissions
+ * Each role lists the permissions it grants; higher roles include everything below them
+ */
+
+export const PERMISSIONS = {
+  DISH_READ: 'dish:read',
+  DISH_CREATE: 'dish:create',
+  DISH_UPDATE: 'dish:update',
+  DISH_DELETE: 'dish:delete',
+  DISH_PUBLISH: 'dish:publish',
+  AUDIT_READ: 'audit:read',
+  CATEGORY_MANAGE: 'category:manage',
+  MENU_MANAGE: 'menu:manage',
+  WEBHOOK_MANAGE: 'webhook:manage',
+};
+
+const VIEWER_PERMISSIONS = [PERMISSIONS.DISH_READ];
+
+const EDITOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  PERMISSIONS.DISH_CREATE,
+  PERMISSIONS.DISH_UPDATE,
+  PERMISSIONS.DISH_DELETE,
+  PERMISSIONS.AUDIT_READ,
+  PERMISSIONS.CATEGORY_MANAGE,
+  PERMISSIONS.MENU_MANAGE,
+];
+
+const PUBLISHER_PERMISSIONS = [...EDITOR_PERMISSIONS, PERMISSIONS.DISH_PUBLISH, PERMISSIONS.WEBHOOK_MANAGE];
+
+export const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  editor: EDITOR_PERMISSIONS,
+  publisher: PUBLISHER_PERMISSIONS,
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission to check (see PERMISSIONS)
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
@@ -0,0 +1,40 @@
+import { resolve } from 'path';
+
+/**
+ * Image storage settings
+ * Uploaded images go through a storage adapter chosen by STORAGE_DRIVER
+ */
+
+const DEFAULT_DRIVER = 'local';
+const DEFAULT_UPLOAD_DIR = 'uploads';
+const DEFAULT_MAX_IMAGE_SIZE_MB = 10;
+
+// URL path the local driver serves files from
+export const UPLOADS_URL_PATH = '/uploads';
+
+/**
+ * Name of the storage adapter to use
+ */
+export const getStorageDriver = () => process.env.STORAGE_DRIVER || DEFAULT_DRIVER;
+
+/**
+ * Directory the local driver writes to (relative paths resolve from the working directory)
+ */
+export const getUploadDir = () => resolve(process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+
+/**
+ * Largest image upload accepted, in bytes
+ */
+export const getMaxImageSizeBytes = () => {
+  const megabytes = Number(process.env.MAX_IMAGE_SIZE_MB);
+  return (Number.isFinite(megabytes) && megabytes > 0 ? megabytes : DEFAULT_MAX_IMAGE_SIZE_MB) * 1024 * 1024;
+};
+
+/**
+ * Base URL that relative file URLs are resolved against
+ * PUBLIC_URL wins; otherwise the URL the request came in on is used
+ * @param {Object} req - Express request
+ * @returns {string} e.g. https://api.example.com
+ */
+export const getPublicBaseUrl = (req) =>
+  process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
@@ -0,0 +1,31 @@
+/**
+ * Trash (soft delete) settings
+ * Deleted dishes stay restorable for TRASH_RETENTION_DAYS, then are purged
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MINUTES = 60;
+
+/**
+ * Days a deleted dish is kept before being purged
+ */
+export const getRetentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * How often the purge job runs, in milliseconds
+ */
+export const getPurgeIntervalMs = () => {
+  const minutes = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_PURGE_INTERVAL_MINUTES) * 60 * 1000;
+};
+
+/**
+ * Date after which a dish deleted at `deletedAt` will be purged
+ * @param {Date} deletedAt - When the dish was deleted
+ * @returns {Date}
+ */
+export const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
@@ -0,0 +1,55 @@
+/**
+ * Webhook settings
+ * Dish events are POSTed to registered URLs; failed deliveries are retried
+ * with exponential backoff: WEBHOOK_RETRY_BASE_SECONDS, then twice as long
+ * after every failure, up to WEBHOOK_MAX_ATTEMPTS attempts
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_TIMEOUT_SECONDS = 10;
+const DEFAULT_DELIVERY_INTERVAL_SECONDS = 10;
+
+// Longest wait between two attempts
+export const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  'dish.created',
+  'dish.updated',
+  'dish.deleted',
+  'dish.restored',
+  'dish.published',
+  'dish.unpublished',
+];
+
+export const MAX_WEBHOOK_URL_LENGTH = 2048;
+export const MAX_WEBHOOK_DESCRIPTION_LENGTH = 200;
+
+const readPositive = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * Attempts per delivery before it is marked failed
+ */
+export const getMaxAttempts = () => Math.floor(readPositive(process.env.WEBHOOK_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS));
+
+/**
+ * Wait after the first failed attempt, in milliseconds
+ */
+export const getRetryBaseMs = () =>
+  readPositive(process.env.WEBHOOK_RETRY_BASE_SECONDS, DEFAULT_RETRY_BASE_SECONDS) * 1000;
+
+/**
+ * How long a receiver has to answer, in milliseconds
+ */
+export const getDeliveryTimeoutMs = () =>
+  readPositive(process.env.WEBHOOK_TIMEOUT_SECONDS, DEFAULT_TIMEOUT_SECONDS) * 1000;
+
+/**
+ * How often the delivery job looks for due deliveries, in milliseconds
+ */
+export const getDeliveryIntervalMs = () =>
+  readPositive(process.env.WEBHOOK_DELIVERY_INTERVAL_SECONDS, DEFAULT_DELIVERY_INTERVAL_SECONDS) * 1000;
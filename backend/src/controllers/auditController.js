@@ -0,0 +1,88 @@
+import AuditLog from '../models/AuditLog.js';
+import { parsePagination } from '../utils/dishQuery.js';
+
+/**
+ * Build a Mongo filter from audit query params
+ * Supports: dishId, actor (username), action, from/to (ISO dates)
+ * @param {Object} query - req.query
+ * @returns {Object} Mongo filter
+ */
+const buildAuditFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.dishId) filter.dishId = String(query.dishId);
+  if (query.actor) filter['actor.username'] = String(query.actor).toLowerCase();
+  if (query.action) filter.action = String(query.action);
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if (from && !isNaN(from)) filter.createdAt = { ...filter.createdAt, $gte: from };
+  if (to && !isNaN(to)) filter.createdAt = { ...filter.createdAt, $lte: to };
+
+  return filter;
+};
+
+/**
+ * Run a paged audit query, newest first, and send the response
+ */
+const sendAuditPage = async (req, res, filter) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+    data: entries,
+  });
+};
+
+/**
+ * @desc    Get the change history of a single dish
+ * Query params: page, limit, action, actor, from, to
+ * @returns Audit records for the dish, newest first
+ */
+export const getDishHistory = async (req, res) => {
+  try {
+    const filter = buildAuditFilter({ ...req.query, dishId: req.params.dishId });
+    await sendAuditPage(req, res, filter);
+  } catch (error) {
+    console.error('Error fetching dish history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dish history',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get audit records across all dishes
+ * Query params: page, limit, dishId, action, actor, from, to
+ * @returns Audit records, newest first
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    await sendAuditPage(req, res, buildAuditFilter(req.query));
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit logs',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,55 @@
+import User from '../models/User.js';
+import { signToken } from '../utils/token.js';
+
+/**
+ * @desc    Log in with username and password
+ * @returns Signed token and the user's public profile
+ */
+export const login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    // Validate required fields
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide username and password',
+      });
+    }
+
+    const user = await User.findOne({ username: String(username).toLowerCase() }).select('+password');
+
+    // Same message for unknown user and wrong password
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      token: signToken(user),
+      data: user.toPublicJSON(),
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the currently authenticated user
+ * @returns The user's public profile
+ */
+export const getCurrentUser = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user.toPublicJSON(),
+  });
+};
@@ -0,0 +1,229 @@
+import { randomUUID } from 'crypto';
+import Dish from '../models/Dish.js';
+import { hasPermission, PERMISSIONS } from '../config/roles.js';
+import { emitToPermitted } from '../socket.js';
+import { recordAudit } from '../utils/audit.js';
+import { saveRevision } from '../utils/versioning.js';
+import { readSchedule, validateSchedule, SCHEDULE_FIELDS } from '../utils/schedule.js';
+import { NOT_DELETED } from '../utils/dishQuery.js';
+import { getPublishBlockReason } from '../utils/imageHealth.js';
+import { readDishDetails, DETAIL_FIELDS } from '../utils/dishDetails.js';
+import { readCategory } from '../utils/categories.js';
+import { sendValidationError } from '../utils/validation.js';
+import { isPublicDish } from '../utils/publicMenu.js';
+
+// Fields that may be set with the "update" action
+const BULK_UPDATE_FIELDS = [
+  'dishName',
+  'imageUrl',
+  ...DETAIL_FIELDS,
+  'category',
+  'isPublished',
+  ...SCHEDULE_FIELDS,
+];
+
+// Update fields that change publish state
+const PUBLISH_FIELDS = ['isPublished', ...SCHEDULE_FIELDS];
+
+/**
+ * Permission required for a bulk action
+ * @param {string} action - Bulk action
+ * @param {Object} fields - Fields for the "update" action
+ * @returns {string[]} Permissions the user must have
+ */
+const requiredPermissions = (action, fields) => {
+  if (action === 'publish' || action === 'unpublish') return [PERMISSIONS.DISH_PUBLISH];
+  if (action === 'delete') return [PERMISSIONS.DISH_DELETE];
+
+  const permissions = [PERMISSIONS.DISH_UPDATE];
+  if (Object.keys(fields).some((field) => PUBLISH_FIELDS.includes(field))) {
+    permissions.push(PERMISSIONS.DISH_PUBLISH);
+  }
+  return permissions;
+};
+
+/**
+ * Throw when a broken image keeps the dish from being published
+ */
+const assertPublishable = (dish) => {
+  const reason = getPublishBlockReason(dish);
+  if (reason) {
+    const error = new Error(reason);
+    error.status = 422;
+    throw error;
+  }
+};
+
+/**
+ * Apply a bulk action to one dish
+ * Changed dishes are tagged with the request's batch id, so the change watcher
+ * leaves them to the request's own dishes-bulk-updated
+ * @returns {Promise<Object>} { status, dish } where status is 'updated' or 'unchanged'
+ */
+const applyToDish = async (req, dish, action, fields, batch) => {
+  const before = dish.toObject();
+
+  if (action === 'delete') {
+    dish.changeBatch = batch;
+    dish.deletedAt = new Date();
+    dish.deletedBy = { id: req.user._id, username: req.user.username };
+    await dish.save();
+    await recordAudit(req, { action: 'delete', dishId: dish.dishId, before, after: dish });
+    return { status: 'updated', dish };
+  }
+
+  if (action === 'publish' || action === 'unpublish') {
+    const isPublished = action === 'publish';
+    if (dish.isPublished === isPublished) return { status: 'unchanged', dish };
+
+    dish.isPublished = isPublished;
+    dish.changeBatch = batch;
+    assertPublishable(dish);
+    await saveRevision(req, dish, { action, before });
+    await recordAudit(req, { action, dishId: dish.dishId, before, after: dish });
+    return { status: 'updated', dish };
+  }
+
+  // action === 'update'
+  for (const [field, value] of Object.entries(fields)) {
+    // Linking a different image replaces any uploaded one
+    if (field === 'imageUrl' && value !== dish.imageUrl) dish.image = null;
+    dish.set(field, value);
+  }
+
+  const scheduleError = validateSchedule({
+    publishAt: dish.publishAt,
+    unpublishAt: dish.unpublishAt,
+  });
+  if (scheduleError) {
+    const error = new Error(scheduleError);
+    error.status = 400;
+    throw error;
+  }
+
+  if (!dish.isModified()) return { status: 'unchanged', dish };
+  dish.changeBatch = batch;
+  assertPublishable(dish);
+
+  await saveRevision(req, dish, { action: 'update', before });
+  await recordAudit(req, { action: 'update', dishId: dish.dishId, before, after: dish });
+  return { status: 'updated', dish };
+};
+
+/**
+ * @desc    Apply one action to many dishes
+ * Body: { dishIds: string[], action: publish|unpublish|delete|update, fields?: Object }
+ * Emits a single "dishes-bulk-updated" socket event for the whole batch
+ * @returns Per-item results and a summary
+ */
+export const bulkAction = async (req, res) => {
+  try {
+    // action, dishIds and field types are checked by the route's schema (BULK_BODY)
+    const { dishIds, action } = req.body;
+    const fields = req.body.fields || {};
+
+    // Pick the allowed update fields and parse details, category and schedule dates
+    let updates = {};
+    if (action === 'update') {
+      updates = Object.fromEntries(
+        Object.entries(fields).filter(([field]) => BULK_UPDATE_FIELDS.includes(field))
+      );
+
+      const details = readDishDetails(updates);
+      const schedule = readSchedule(updates);
+      const parseError = details.error ? details : schedule.error ? schedule : null;
+      if (parseError) {
+        return sendValidationError(res, 400, [{ field: `fields.${parseError.field}`, message: parseError.error }]);
+      }
+
+      // An unknown category is well-formed but can't be applied
+      const category = await readCategory(updates);
+      if (category.error) {
+        return sendValidationError(res, 422, [{ field: 'fields.category', message: category.error }]);
+      }
+      Object.assign(updates, details, category, schedule);
+
+      if (Object.keys(updates).length === 0) {
+        return sendValidationError(res, 400, [
+          { field: 'fields', message: `Please provide fields to update (${BULK_UPDATE_FIELDS.join(', ')})` },
+        ]);
+      }
+    }
+
+    // Check permissions for the whole batch up front
+    const missing = requiredPermissions(action, updates).filter(
+      (permission) => !hasPermission(req.user.role, permission)
+    );
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+      });
+    }
+
+    const uniqueIds = [...new Set(dishIds.map(String))];
+    const dishes = await Dish.find({ dishId: { $in: uniqueIds }, ...NOT_DELETED });
+    const dishesById = new Map(dishes.map((dish) => [dish.dishId, dish]));
+
+    // Apply sequentially so each dish gets its own revision and audit record
+    const batch = randomUUID();
+    const results = [];
+    const changed = [];
+    const publicDishIds = []; // Changed dishes customers could see before or after
+    for (const dishId of uniqueIds) {
+      const dish = dishesById.get(dishId);
+
+      if (!dish) {
+        results.push({ dishId, success: false, status: 'not_found', message: 'Dish not found' });
+        continue;
+      }
+
+      try {
+        const wasPublic = isPublicDish(dish);
+        const { status } = await applyToDish(req, dish, action, updates, batch);
+        results.push({ dishId, success: true, status });
+        if (status === 'updated') {
+          changed.push(dish);
+          if (wasPublic || isPublicDish(dish)) publicDishIds.push(dishId);
+        }
+      } catch (error) {
+        results.push({ dishId, success: false, status: 'error', message: error.message });
+      }
+    }
+
+    // One consolidated event instead of one per dish
+    if (changed.length > 0) {
+      emitToPermitted(
+        req.io,
+        'dishes-bulk-updated',
+        {
+          action,
+          dishIds: changed.map((dish) => dish.dishId),
+          dishes: action === 'delete' ? [] : changed,
+        },
+        { publicDishIds }
+      );
+    }
+
+    const summary = {
+      requested: uniqueIds.length,
+      updated: changed.length,
+      unchanged: results.filter((r) => r.status === 'unchanged').length,
+      failed: results.filter((r) => !r.success).length,
+    };
+
+    res.status(200).json({
+      success: summary.failed === 0,
+      message: `Bulk ${action}: ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed`,
+      summary,
+      results,
+    });
+  } catch (error) {
+    console.error('Error applying bulk action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying bulk action',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,354 @@
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import Dish from '../models/Dish.js';
+import { emitToPermitted } from '../socket.js';
+import { recordAudit } from '../utils/audit.js';
+import { saveRevision } from '../utils/versioning.js';
+import { readCategory } from '../utils/categories.js';
+import { isPublicDish } from '../utils/publicMenu.js';
+import { NOT_DELETED } from '../utils/dishQuery.js';
+import { MAX_CATEGORY_LENGTH } from '../config/dishAttributes.js';
+import { sendValidationError } from '../utils/validation.js';
+
+/**
+ * Read and validate a category name from a request body
+ * @returns {Object} { name } or { error }
+ */
+const readName = (body = {}) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    return { error: 'Please provide a category name' };
+  }
+  if (name.length > MAX_CATEGORY_LENGTH) {
+    return { error: `Category name must be at most ${MAX_CATEGORY_LENGTH} characters` };
+  }
+  return { name };
+};
+
+/**
+ * Whether an error is a duplicate key error from the unique name index
+ */
+const isDuplicateName = (error) => error.code === 11000;
+
+/**
+ * Find a category by the :categoryId route param
+ * @returns {Promise<Object|null>} Category document, or null when not found
+ */
+const findById = (categoryId) =>
+  mongoose.isValidObjectId(categoryId) ? Category.findById(categoryId) : null;
+
+/**
+ * @desc    Get all categories in menu order
+ * @returns Categories with the number of dishes in each (excluding trash)
+ */
+export const getCategories = async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ position: 1, name: 1 }).lean(),
+      Dish.aggregate([
+        { $match: NOT_DELETED },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      // Dishes without a category are listed under "Uncategorized"
+      uncategorizedCount: countById.get('null') || 0,
+      data: categories.map((category) => ({
+        ...category,
+        dishCount: countById.get(String(category._id)) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching categories',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create a category (added at the end of the menu)
+ * @returns Created category object
+ */
+export const createCategory = async (req, res) => {
+  try {
+    const { name, error } = readName(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const category = await Category.create({ name });
+
+    emitToPermitted(req.io, 'category-created', {
+      category,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category,
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        success: false,
+        message: `Category "${req.body.name.trim()}" already exists`,
+      });
+    }
+
+    console.error('Error creating category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating category',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Rename a category
+ * @returns Updated category object
+ */
+export const updateCategory = async (req, res) => {
+  try {
+    const category = await findById(req.params.categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const { name, error } = readName(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    category.name = name;
+    await category.save();
+
+    emitToPermitted(req.io, 'category-updated', {
+      category,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category,
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        success: false,
+        message: `Category "${req.body.name.trim()}" already exists`,
+      });
+    }
+
+    console.error('Error updating category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating category',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a category
+ * Only empty categories can be deleted; dishes in the trash that still
+ * reference it become uncategorized
+ * @returns Success message
+ */
+export const deleteCategory = async (req, res) => {
+  try {
+    const category = await findById(req.params.categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const dishCount = await Dish.countDocuments({ category: category._id, ...NOT_DELETED });
+    if (dishCount > 0) {
+      const dishes = `${dishCount} dish${dishCount === 1 ? '' : 'es'}`;
+      return res.status(409).json({
+        success: false,
+        message: `"${category.name}" still has ${dishes}. Move them to another category first`,
+      });
+    }
+
+    await category.deleteOne();
+    await Dish.updateMany({ category: category._id }, { $set: { category: null } }, { timestamps: false });
+
+    emitToPermitted(req.io, 'category-deleted', {
+      categoryId: category._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting category',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Reorder categories
+ * Body: { categoryIds: string[] } listing every category in the new order
+ * @returns Categories in their new order
+ */
+export const reorderCategories = async (req, res) => {
+  try {
+    const { categoryIds } = req.body;
+
+    const categories = await Category.find();
+    const ids = Array.isArray(categoryIds) ? categoryIds.map(String) : [];
+    const known = new Set(categories.map((category) => String(category._id)));
+
+    if (ids.length !== known.size || new Set(ids).size !== ids.length || !ids.every((id) => known.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide categoryIds listing every category exactly once',
+      });
+    }
+
+    await Category.bulkWrite(
+      ids.map((id, position) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { position } } },
+      }))
+    );
+
+    const reordered = await Category.find().sort({ position: 1, name: 1 });
+
+    emitToPermitted(req.io, 'categories-reordered', {
+      categories: reordered,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Categories reordered',
+      data: reordered,
+    });
+  } catch (error) {
+    console.error('Error reordering categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering categories',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Move a dish within its category or into another one
+ * Body: { category?: id|name|null (default: current), beforeDishId?: string }
+ * The dish is placed before `beforeDishId`, or at the end when it's omitted
+ * @returns Moved dish object
+ */
+export const moveDish = async (req, res) => {
+  try {
+    const { dishId } = req.params;
+    const { beforeDishId } = req.body;
+
+    const dish = await Dish.findOne({ dishId, ...NOT_DELETED });
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: `Dish with ID ${dishId} not found`,
+      });
+    }
+
+    const target = await readCategory(req.body);
+    if (target.error) {
+      return sendValidationError(res, 422, [{ field: 'category', message: target.error }]);
+    }
+    const categoryId = target.category !== undefined ? target.category : dish.category;
+
+    // The rest of the target section in its current order
+    const siblings = await Dish.find({ category: categoryId, ...NOT_DELETED, _id: { $ne: dish._id } })
+      .sort({ position: 1, dishName: 1 })
+      .select('dishId position isPublished menus');
+
+    let index = siblings.length;
+    if (beforeDishId) {
+      index = siblings.findIndex((sibling) => sibling.dishId === beforeDishId);
+      if (index === -1) {
+        return sendValidationError(res, 422, [
+          { field: 'beforeDishId', message: `Dish ${beforeDishId} is not in the target category` },
+        ]);
+      }
+    }
+
+    // Renumber the section; only siblings whose position changes are written
+    const ordered = [...siblings.slice(0, index), dish, ...siblings.slice(index)];
+    const writes = ordered
+      .map((entry, position) => ({ entry, position }))
+      .filter(({ entry, position }) => entry !== dish && entry.position !== position)
+      .map(({ entry, position }) => ({
+        updateOne: { filter: { _id: entry._id }, update: { $set: { position } }, timestamps: false },
+      }));
+    if (writes.length > 0) {
+      await Dish.bulkWrite(writes);
+    }
+
+    const before = dish.toObject();
+    dish.category = categoryId;
+    dish.position = index;
+    dish.markModified('position');
+
+    if (dish.isModified('category')) {
+      // Changing category is a content change: new revision and audit record
+      await saveRevision(req, dish, { action: 'update', before });
+      await recordAudit(req, { action: 'update', dishId, before, after: dish });
+    } else {
+      await Dish.updateOne({ _id: dish._id }, { $set: { position: index } }, { timestamps: false });
+    }
+
+    // Moving doesn't change what is published, so customers only see the public dishes move
+    const publicDishIds = ordered.filter(isPublicDish).map((entry) => entry.dishId);
+    emitToPermitted(
+      req.io,
+      'dishes-reordered',
+      {
+        category: categoryId,
+        dishIds: ordered.map((entry) => entry.dishId),
+        dish,
+      },
+      { publicDishIds }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Dish moved',
+      data: dish,
+    });
+  } catch (error) {
+    console.error('Error moving dish:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moving dish',
+      error: error.message,
+    });
+  }
+};
@@ -1,13 +1,91 @@
 import Dish from '../models/Dish.js';
+import Menu from '../models/Menu.js';
+import { hasPermission, PERMISSIONS } from '../config/roles.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  saveRevision,
+  readExpectedRevision,
+  isRevisionConflict,
+  sendRevisionConflict,
+} from '../utils/versioning.js';
+import { readSchedule, validateSchedule, scheduleChanges } from '../utils/schedule.js';
+import { getPublishBlockReason, getNewDishBlockReasons } from '../utils/imageHealth.js';
+import { readDishDetails } from '../utils/dishDetails.js';
+import { readCategory, loadCategoryOrder } from '../utils/categories.js';
+import { findMenuEntry } from '../utils/menus.js';
+import { sendValidationError, sendMongooseError } from '../utils/validation.js';
+import {
+  buildDishFilter,
+  buildDishSort,
+  buildDishPipeline,
+  sortsByCategoryOrder,
+  parsePagination,
+  parseBoolean,
+  parseObjectId,
+  NOT_DELETED,
+} from '../utils/dishQuery.js';
 
+// Maximum number of results returned by the search endpoint
+const MAX_SEARCH_RESULTS = 50;
+
+/**
+ * @desc    Get a page of dishes
+ * Query params: page, limit, menu, isPublished, search (name prefix), imageHealth,
+ * category (id, or "none" for uncategorized), dietary, allergenFree, maxSpice,
+ * minPrice, maxPrice, currency, maxPrepTime, sortBy, order
+ * @returns Dishes for the requested page with paging metadata and overall stats
+ *   (scoped to the menu when one is given)
+ */
 export const getDishes = async (req, res) => {
   try {
-    // Fetch all dishes and sort by dishName (ascending)
-    const dishes = await Dish.find({}).sort({ dishName: 1 });
+    const filter = buildDishFilter(req.query);
+    const sort = buildDishSort(req.query);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    // Stats cover every dish, or every dish on the selected menu
+    const menu = parseObjectId(req.query.menu);
+    const scope = menu ? { ...NOT_DELETED, 'menus.menu': menu } : NOT_DELETED;
+    const publishedFilter = menu
+      ? { ...NOT_DELETED, menus: { $elemMatch: { menu, isPublished: true } } }
+      : { ...NOT_DELETED, isPublished: true };
+
+    // Menu order sorts on the categories' positions, which only an aggregation can read
+    const findPage = async () => {
+      if (!sortsByCategoryOrder(sort)) {
+        return Dish.find(filter).sort(sort).skip(skip).limit(limit);
+      }
+      const pipeline = buildDishPipeline(filter, sort, { categoryIds: await loadCategoryOrder(), skip, limit });
+      return (await Dish.aggregate(pipeline)).map((dish) => Dish.hydrate(dish));
+    };
+
+    const [dishes, total, publishedCount, overallCount, brokenImageCount] = await Promise.all([
+      findPage(),
+      Dish.countDocuments(filter),
+      Dish.countDocuments(publishedFilter),
+      Dish.countDocuments(scope),
+      Dish.countDocuments({ ...scope, 'imageHealth.status': 'broken' }),
+    ]);
+
+    const totalPages = Math.max(Math.ceil(total / limit), 1);
 
     res.status(200).json({
       success: true,
       count: dishes.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+      // Counts across all dishes (excluding trash) or the menu, independent of other filters
+      stats: {
+        total: overallCount,
+        published: publishedCount,
+        unpublished: overallCount - publishedCount,
+        brokenImages: brokenImageCount,
+      },
       data: dishes,
     });
   } catch (error) {
@@ -21,51 +99,127 @@ export const getDishes = async (req, res) => {
 };
 
 /**
- *   Create a new dish
- *  Created dish object
+ * @desc    Full-text search over dishes
+ * Query params: q (required), limit, isPublished
+ * @returns Dishes ranked by relevance (best match first)
  */
-export const createDish = async (req, res) => {
+export const searchDishes = async (req, res) => {
   try {
-    const { dishId, dishName, imageUrl, isPublished } = req.body;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
 
-    // Validate required fields
-    if (!dishId || !dishName || !imageUrl) {
+    if (!q) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide dishId, dishName, and imageUrl',
+        message: 'Please provide a search query (q)',
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_SEARCH_RESULTS);
+
+    const filter = { ...NOT_DELETED };
+    const isPublished = parseBoolean(req.query.isPublished);
+    if (isPublished !== undefined) filter.isPublished = isPublished;
+
+    const dishes = await Dish.search(q, { limit, filter });
+
+    res.status(200).json({
+      success: true,
+      query: q,
+      count: dishes.length,
+      data: dishes,
+    });
+  } catch (error) {
+    console.error('Error searching dishes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching dishes',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create a new dish
+ * The body is checked against CREATE_DISH_BODY by the route; the image can be
+ * linked here or uploaded afterwards
+ * @returns Created dish object
+ */
+export const createDish = async (req, res) => {
+  try {
+    const { dishName, imageUrl, isPublished } = req.body;
+    const dishId = req.body.dishId.trim();
+
+    // Optional menu details and publish schedule
+    const details = readDishDetails(req.body);
+    const schedule = readSchedule(req.body);
+    const parseError = details.error ? details : schedule.error ? schedule : null;
+    if (parseError) {
+      return sendValidationError(res, 400, [{ field: parseError.field, message: parseError.error }]);
+    }
+
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      return sendValidationError(res, 422, [{ field: 'unpublishAt', message: scheduleError }]);
+    }
+
+    // Optional category (by id or name)
+    const category = await readCategory(req.body);
+    if (category.error) {
+      return sendValidationError(res, 422, [{ field: 'category', message: category.error }]);
+    }
+
+    // Publishing (now or scheduled) on create is limited to publishers
+    if (
+      (isPublished || schedule.publishAt || schedule.unpublishAt) &&
+      !hasPermission(req.user.role, PERMISSIONS.DISH_PUBLISH)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only publishers can publish dishes',
       });
     }
 
     // Check if dishId already exists
     const existingDish = await Dish.findOne({ dishId });
     if (existingDish) {
-      return res.status(400).json({
-        success: false,
-        message: `Dish with ID ${dishId} already exists`,
-      });
+      return sendValidationError(res, 409, [
+        {
+          field: 'dishId',
+          message: existingDish.deletedAt
+            ? `Dish with ID ${dishId} is in the trash. Restore it instead`
+            : `Dish with ID ${dishId} already exists`,
+        },
+      ]);
     }
 
-    // Create new dish
-    const dish = await Dish.create({
+    // Create new dish (stored as revision 1)
+    const dish = new Dish({
       dishId,
       dishName,
-      imageUrl,
+      imageUrl: imageUrl || null,
+      ...details,
+      ...category,
       isPublished: isPublished || false,
+      publishAt: schedule.publishAt || null,
+      unpublishAt: schedule.unpublishAt || null,
     });
 
-    // Emit socket event for real-time updates
-    if (req.io) {
-      req.io.emit('dish-created', {
-        dish: dish,
-      });
+    const [blockReason] = await getNewDishBlockReasons([dish]);
+    if (blockReason) {
+      return sendValidationError(res, 422, [{ field: 'imageUrl', message: blockReason }]);
     }
 
+    await saveRevision(req, dish, { action: 'create' });
+
+    await recordAudit(req, { action: 'create', dishId, after: dish });
+
     res.status(201).json({
       success: true,
       message: 'Dish created successfully',
       data: dish,
     });
   } catch (error) {
+    if (sendMongooseError(res, error)) return;
     console.error('Error creating dish:', error);
     res.status(500).json({
       success: false,
@@ -77,6 +231,8 @@ export const createDish = async (req, res) => {
 
 /**
  * @desc    Update a dish
+ * Clients send the revision they edited (If-Match header or `revision` field);
+ * stale edits get a 409 with the current dish instead of overwriting it
  * @returns Updated dish object
  */
 export const updateDish = async (req, res) => {
@@ -84,8 +240,13 @@ export const updateDish = async (req, res) => {
     const { dishId } = req.params;
     const { dishName, imageUrl, isPublished } = req.body;
 
-    // Find the dish by dishId
-    const dish = await Dish.findOne({ dishId });
+    const expected = readExpectedRevision(req);
+    if (expected.error) {
+      return sendValidationError(res, 400, [{ field: expected.field, message: expected.error }]);
+    }
+
+    // Find the dish by dishId (dishes in the trash can't be edited)
+    const dish = await Dish.findOne({ dishId, ...NOT_DELETED });
 
     if (!dish) {
       return res.status(404).json({
@@ -94,27 +255,80 @@ export const updateDish = async (req, res) => {
       });
     }
 
-    // Update fields if provided
-    if (dishName !== undefined) dish.dishName = dishName;
-    if (imageUrl !== undefined) dish.imageUrl = imageUrl;
-    if (isPublished !== undefined) dish.isPublished = isPublished;
+    // Reject edits based on an older revision instead of silently overwriting
+    if (expected.revision !== undefined && expected.revision !== dish.revision) {
+      return sendRevisionConflict(res, dish);
+    }
 
-    await dish.save();
+    const details = readDishDetails(req.body);
+    const schedule = readSchedule(req.body);
+    const parseError = details.error ? details : schedule.error ? schedule : null;
+    if (parseError) {
+      return sendValidationError(res, 400, [{ field: parseError.field, message: parseError.error }]);
+    }
 
-    // Emit socket event for real-time updates
-    if (req.io) {
-      req.io.emit('dish-updated', {
-        dishId: dish.dishId,
-        dish: dish,
+    const category = await readCategory(req.body);
+    if (category.error) {
+      return sendValidationError(res, 422, [{ field: 'category', message: category.error }]);
+    }
+
+    // Changing publish status or schedule is limited to publishers
+    if (
+      ((isPublished !== undefined && isPublished !== dish.isPublished) ||
+        scheduleChanges(dish, schedule)) &&
+      !hasPermission(req.user.role, PERMISSIONS.DISH_PUBLISH)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only publishers can change publish status',
       });
     }
 
+    // Validate the schedule as it will be after the update
+    const scheduleError = validateSchedule({
+      publishAt: schedule.publishAt !== undefined ? schedule.publishAt : dish.publishAt,
+      unpublishAt: schedule.unpublishAt !== undefined ? schedule.unpublishAt : dish.unpublishAt,
+    });
+    if (scheduleError) {
+      return sendValidationError(res, 422, [{ field: 'unpublishAt', message: scheduleError }]);
+    }
+
+    // Snapshot for the audit trail
+    const before = dish.toObject();
+
+    // Update fields if provided
+    if (dishName !== undefined) dish.dishName = dishName.trim();
+    if (imageUrl !== undefined && (imageUrl || null) !== dish.imageUrl) {
+      // Linking a different image replaces any uploaded one
+      dish.imageUrl = imageUrl || null;
+      dish.image = null;
+    }
+    dish.set({ ...details, ...category });
+    if (isPublished !== undefined) dish.isPublished = isPublished;
+    if (schedule.publishAt !== undefined) dish.publishAt = schedule.publishAt;
+    if (schedule.unpublishAt !== undefined) dish.unpublishAt = schedule.unpublishAt;
+
+    const blockReason = getPublishBlockReason(dish);
+    if (blockReason) {
+      return sendValidationError(res, 422, [{ field: 'imageUrl', message: blockReason }]);
+    }
+
+    await saveRevision(req, dish, { action: 'update', before });
+
+    await recordAudit(req, { action: 'update', dishId, before, after: dish });
+
     res.status(200).json({
       success: true,
       message: 'Dish updated successfully',
       data: dish,
     });
   } catch (error) {
+    if (isRevisionConflict(error)) {
+      // Another change was saved between loading and saving this one
+      const current = await Dish.findOne({ dishId: req.params.dishId, ...NOT_DELETED });
+      if (current) return sendRevisionConflict(res, current);
+    }
+    if (sendMongooseError(res, error)) return;
     console.error('Error updating dish:', error);
     res.status(500).json({
       success: false,
@@ -125,15 +339,15 @@ export const updateDish = async (req, res) => {
 };
 
 /**
- * @desc    Delete a dish
+ * @desc    Delete a dish (moves it to the trash; purged after the retention period)
  * @returns Success message
  */
 export const deleteDish = async (req, res) => {
   try {
     const { dishId } = req.params;
 
-    // Find and delete the dish
-    const dish = await Dish.findOneAndDelete({ dishId });
+    // Find the dish (already-trashed dishes count as not found)
+    const dish = await Dish.findOne({ dishId, ...NOT_DELETED });
 
     if (!dish) {
       return res.status(404).json({
@@ -142,16 +356,17 @@ export const deleteDish = async (req, res) => {
       });
     }
 
-    // Emit socket event for real-time updates
-    if (req.io) {
-      req.io.emit('dish-deleted', {
-        dishId: dishId,
-      });
-    }
+    // Soft delete: mark as deleted instead of removing the document
+    const before = dish.toObject();
+    dish.deletedAt = new Date();
+    dish.deletedBy = { id: req.user._id, username: req.user.username };
+    await dish.save();
+
+    await recordAudit(req, { action: 'delete', dishId, before, after: dish });
 
     res.status(200).json({
       success: true,
-      message: 'Dish deleted successfully',
+      message: 'Dish moved to trash',
       data: {},
     });
   } catch (error) {
@@ -164,8 +379,50 @@ export const deleteDish = async (req, res) => {
   }
 };
 
+/**
+ * Toggle a dish's publish state on one menu (see togglePublishStatus)
+ * @param {Object} dish - Dish document
+ */
+const toggleMenuPublishStatus = async (req, res, dish) => {
+  const menuId = parseObjectId(req.query.menu);
+  const menu = menuId && (await Menu.findById(menuId));
+
+  if (!menu) {
+    return res.status(404).json({
+      success: false,
+      message: 'Menu not found',
+    });
+  }
+
+  const entry = findMenuEntry(dish, menu._id);
+  if (!entry) {
+    return sendValidationError(res, 422, [
+      { field: 'menu', message: `Dish ${dish.dishId} is not on the ${menu.name} menu` },
+    ]);
+  }
+
+  const before = dish.toObject();
+  entry.isPublished = !entry.isPublished;
+
+  const blockReason = getPublishBlockReason(dish, { publishing: entry.isPublished });
+  if (blockReason) {
+    return sendValidationError(res, 422, [{ field: 'imageUrl', message: blockReason }]);
+  }
+
+  const action = entry.isPublished ? 'publish' : 'unpublish';
+  await saveRevision(req, dish, { action, before });
+  await recordAudit(req, { action, dishId: dish.dishId, before, after: dish });
+
+  res.status(200).json({
+    success: true,
+    message: `Dish ${entry.isPublished ? 'published' : 'unpublished'} on ${menu.name}`,
+    data: dish,
+  });
+};
+
 /**
  * @desc    Toggle publish status of a dish
+ * Query: menu=<id> toggles the dish's state on that menu instead of isPublished
  * @returns Updated dish object
  */
 export const togglePublishStatus = async (req, res) => {
@@ -173,7 +430,7 @@ export const togglePublishStatus = async (req, res) => {
     const { dishId } = req.params;
 
     // Find the dish by dishId
-    const dish = await Dish.findOne({ dishId });
+    const dish = await Dish.findOne({ dishId, ...NOT_DELETED });
 
     if (!dish) {
       return res.status(404).json({
@@ -182,20 +439,31 @@ export const togglePublishStatus = async (req, res) => {
       });
     }
 
+    if (req.query.menu !== undefined) {
+      return await toggleMenuPublishStatus(req, res, dish);
+    }
+
     // Toggle the isPublished status
+    const before = dish.toObject();
     dish.isPublished = !dish.isPublished;
-    await dish.save();
 
-    // Emit socket event for real-time updates
-    // The socket instance will be attached to req.io by middleware
-    if (req.io) {
-      req.io.emit('publish-status-updated', {
-        dishId: dish.dishId,
-        isPublished: dish.isPublished,
-        dish: dish,
-      });
+    const blockReason = getPublishBlockReason(dish);
+    if (blockReason) {
+      return sendValidationError(res, 422, [{ field: 'imageUrl', message: blockReason }]);
     }
 
+    await saveRevision(req, dish, {
+      action: dish.isPublished ? 'publish' : 'unpublish',
+      before,
+    });
+
+    await recordAudit(req, {
+      action: dish.isPublished ? 'publish' : 'unpublish',
+      dishId,
+      before,
+      after: dish,
+    });
+
     res.status(200).json({
       success: true,
       message: `Dish ${dish.isPublished ? 'published' : 'unpublished'} successfully`,
@@ -210,4 +478,3 @@ export const togglePublishStatus = async (req, res) => {
     });
   }
 };
-
@@ -0,0 +1,71 @@
+import Dish from '../models/Dish.js';
+import {
+  buildDishFilter,
+  buildDishSort,
+  buildDishPipeline,
+  sortsByCategoryOrder,
+} from '../utils/dishQuery.js';
+import { EXPORT_SELECT, EXPORT_FORMATS, writeExport } from '../utils/dishExport.js';
+import { loadCategoryNames, loadCategoryOrder } from '../utils/categories.js';
+
+/**
+ * @desc    Export dishes as CSV, JSON or XLSX
+ * Query: format=csv|json|xlsx (default csv) plus the list filters and sort
+ * (see getDishes); paging params are ignored
+ * The file is streamed from a database cursor rather than built in memory
+ * @returns File download
+ */
+export const exportDishes = async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+    });
+  }
+
+  try {
+    const filter = buildDishFilter(req.query);
+    const sort = buildDishSort(req.query);
+
+    // Menu order sorts on the categories' positions, which only an aggregation can read
+    let cursor;
+    if (sortsByCategoryOrder(sort)) {
+      const categoryIds = await loadCategoryOrder();
+      const pipeline = buildDishPipeline(filter, sort, { categoryIds, select: EXPORT_SELECT });
+      cursor = Dish.aggregate(pipeline).allowDiskUse(true).cursor();
+    } else {
+      cursor = Dish.find(filter).sort(sort).select(EXPORT_SELECT).lean().cursor();
+    }
+
+    // Stop reading from the database if the client goes away mid-download
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    const categoryNames = await loadCategoryNames();
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="dishes-${date}.${extension}"`);
+
+    await writeExport(format, cursor, res, { categoryNames });
+  } catch (error) {
+    console.error('Error exporting dishes:', error);
+
+    // Once streaming has started the status can't change; cut the download short instead
+    if (res.headersSent || res.destroyed) {
+      res.destroy(error);
+      return;
+    }
+
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting dishes',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,153 @@
+import { randomBytes } from 'crypto';
+import Dish from '../models/Dish.js';
+import { recordAudit } from '../utils/audit.js';
+import { saveRevision } from '../utils/versioning.js';
+import { NOT_DELETED, IMAGE_HEALTH_FILTERS, buildDishFilter, parsePagination } from '../utils/dishQuery.js';
+import { processImage } from '../utils/imageProcessing.js';
+import { getStorage, dishImagePrefix } from '../storage/index.js';
+import { getPublicBaseUrl } from '../config/storage.js';
+import { sendValidationError } from '../utils/validation.js';
+
+/**
+ * @desc    Upload an image for a dish
+ * Multipart field "image" (JPEG, PNG, WebP, GIF or AVIF). Large, medium and
+ * thumbnail sizes are generated, each in the original format and as WebP, and
+ * imageUrl is pointed at the large variant
+ * @returns Updated dish object
+ */
+export const uploadDishImage = async (req, res) => {
+  try {
+    const { dishId } = req.params;
+
+    if (!req.file) {
+      return sendValidationError(res, 400, [
+        { field: 'image', message: 'Please upload an image in the "image" field' },
+      ]);
+    }
+
+    const dish = await Dish.findOne({ dishId, ...NOT_DELETED });
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: `Dish with ID ${dishId} not found`,
+      });
+    }
+
+    let processed;
+    try {
+      processed = await processImage(req.file.buffer);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // Each upload gets its own folder, so earlier versions keep working and
+    // files can be cached forever
+    const storage = getStorage();
+    const key = `${dishImagePrefix(dishId)}${Date.now()}-${randomBytes(4).toString('hex')}`;
+    const baseUrl = getPublicBaseUrl(req);
+    const variants = {};
+
+    for (const file of processed.files) {
+      const extension = file.format === 'jpeg' ? 'jpg' : file.format;
+      const location = await storage.save(`${key}/${file.variant}.${extension}`, file.body, {
+        contentType: file.contentType,
+      });
+      const url = new URL(location, baseUrl).toString();
+
+      variants[file.variant] = variants[file.variant] || { width: file.width, height: file.height };
+      variants[file.variant][file.format === 'webp' ? 'webpUrl' : 'url'] = url;
+    }
+
+    const before = dish.toObject();
+    dish.image = {
+      key,
+      width: processed.width,
+      height: processed.height,
+      variants,
+      uploadedAt: new Date(),
+    };
+    dish.imageUrl = variants.large.url;
+
+    await saveRevision(req, dish, { action: 'update', before });
+    await recordAudit(req, { action: 'update', dishId, before, after: dish });
+
+    res.status(200).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: dish,
+    });
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading image',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Report on image health across all dishes
+ * Query: status=ok|warning|broken|pending (default: broken and warning), page, limit
+ * @returns Counts per status and a page of matching dishes with their latest check
+ */
+export const getImageHealth = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !IMAGE_HEALTH_FILTERS.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${IMAGE_HEALTH_FILTERS.join(', ')}`,
+      });
+    }
+
+    const filter = status
+      ? buildDishFilter({ imageHealth: status })
+      : { ...NOT_DELETED, 'imageHealth.status': { $in: ['broken', 'warning'] } };
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [dishes, total, counts, pending] = await Promise.all([
+      Dish.find(filter)
+        .sort({ 'imageHealth.checkedAt': -1, dishId: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('dishId dishName imageUrl isPublished imageHealth'),
+      Dish.countDocuments(filter),
+      Dish.aggregate([
+        { $match: { ...NOT_DELETED, imageHealth: { $ne: null } } },
+        { $group: { _id: '$imageHealth.status', count: { $sum: 1 } } },
+      ]),
+      Dish.countDocuments(buildDishFilter({ imageHealth: 'pending' })),
+    ]);
+
+    const summary = { ok: 0, warning: 0, broken: 0, pending };
+    for (const { _id, count } of counts) summary[_id] = count;
+
+    const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+    res.status(200).json({
+      success: true,
+      count: dishes.length,
+      summary,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+      data: dishes,
+    });
+  } catch (error) {
+    console.error('Error fetching image health:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching image health',
+      error: error.message,
+    });
+  }
+};
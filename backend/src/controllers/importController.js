@@ -0,0 +1,155 @@
+import { randomUUID } from 'crypto';
+import Dish from '../models/Dish.js';
+import { hasPermission, PERMISSIONS } from '../config/roles.js';
+import { emitToPermitted } from '../socket.js';
+import { parseBoolean, NOT_DELETED } from '../utils/dishQuery.js';
+import { isPublicDish } from '../utils/publicMenu.js';
+import {
+  IMPORT_FORMATS,
+  detectFormat,
+  parseImport,
+  validateImport,
+  commitImport,
+} from '../utils/dishImport.js';
+
+// Maximum number of rows per import
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Read the rows to import from an uploaded file or a JSON body
+ * @returns {Object[]} Raw rows
+ * @throws {Error} With status 400 when the input is missing or unreadable
+ */
+const readRows = (req) => {
+  const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (req.file) {
+    const format =
+      req.query.format ||
+      detectFormat(req.file.originalname) ||
+      detectFormat(req.file.mimetype);
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw badRequest(`Unsupported import format; use one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    try {
+      return parseImport(req.file.buffer.toString('utf-8'), format);
+    } catch (error) {
+      throw badRequest(`Could not parse ${format.toUpperCase()} file: ${error.message}`);
+    }
+  }
+
+  // JSON body: either an array of dishes or { dishes: [...] }
+  const rows = Array.isArray(req.body) ? req.body : req.body?.dishes;
+  if (!Array.isArray(rows)) {
+    throw badRequest('Please upload a CSV/JSON file or send an array of dishes');
+  }
+  return rows;
+};
+
+/**
+ * @desc    Import dishes from CSV or JSON, upserting by dishId
+ * Query: dryRun=true validates only; skipInvalid=true imports the valid rows
+ * even when some rows are invalid (otherwise nothing is written)
+ * Emits a single "dishes-bulk-updated" socket event for the whole import
+ * @returns Validation report ({ dryRun, committed, summary, rows })
+ */
+export const importDishes = async (req, res) => {
+  try {
+    let rawRows;
+    try {
+      rawRows = readRows(req);
+    } catch (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (rawRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The import contains no rows',
+      });
+    }
+
+    if (rawRows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `An import can include at most ${MAX_IMPORT_ROWS} rows`,
+      });
+    }
+
+    const dryRun = parseBoolean(req.query.dryRun) === true;
+    const skipInvalid = parseBoolean(req.query.skipInvalid) === true;
+
+    const report = await validateImport(rawRows, {
+      canPublish: hasPermission(req.user.role, PERMISSIONS.DISH_PUBLISH),
+    });
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `Dry run: ${report.summary.create} to create, ${report.summary.update} to update, ${report.summary.invalid} invalid`,
+        dryRun: true,
+        committed: false,
+        ...report,
+      });
+    }
+
+    if (report.summary.invalid > 0 && !skipInvalid) {
+      return res.status(422).json({
+        success: false,
+        message: `${report.summary.invalid} row(s) are invalid; fix them or import with skipInvalid=true`,
+        dryRun: false,
+        committed: false,
+        ...report,
+      });
+    }
+
+    // Customers hear about dishes they can see now, even if the import unpublishes them
+    const updatedIds = report.rows.filter((row) => row.status === 'update').map((row) => row.values.dishId);
+    const current = await Dish.find({ dishId: { $in: updatedIds }, ...NOT_DELETED })
+      .select('dishId isPublished menus')
+      .lean();
+    const publicBefore = new Set(current.filter(isPublicDish).map((dish) => dish.dishId));
+
+    const changed = await commitImport(req, report, { batch: randomUUID() });
+
+    // One consolidated event instead of one per dish
+    if (changed.length > 0) {
+      const publicDishIds = changed
+        .filter((dish) => publicBefore.has(dish.dishId) || isPublicDish(dish))
+        .map((dish) => dish.dishId);
+
+      emitToPermitted(
+        req.io,
+        'dishes-bulk-updated',
+        {
+          action: 'import',
+          dishIds: changed.map((dish) => dish.dishId),
+          dishes: changed,
+        },
+        { publicDishIds }
+      );
+    }
+
+    const failed = report.rows.filter((row) => row.committed === false).length;
+
+    res.status(200).json({
+      success: failed === 0,
+      message: `Import: ${changed.length} imported, ${report.summary.unchanged} unchanged, ${report.summary.invalid + failed} skipped`,
+      dryRun: false,
+      committed: true,
+      ...report,
+    });
+  } catch (error) {
+    console.error('Error importing dishes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing dishes',
+      error: error.message,
+    });
+  }
+};
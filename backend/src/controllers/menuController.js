@@ -0,0 +1,310 @@
+import Menu from '../models/Menu.js';
+import Dish from '../models/Dish.js';
+import { emitToPermitted } from '../socket.js';
+import { recordAudit } from '../utils/audit.js';
+import { saveRevision } from '../utils/versioning.js';
+import { readMenuFields, isMenuOpen, findMenuEntry } from '../utils/menus.js';
+import { NOT_DELETED, parseObjectId } from '../utils/dishQuery.js';
+import { isPublicDish } from '../utils/publicMenu.js';
+
+// Maximum number of dishes per membership request
+const MAX_MEMBERSHIP_ITEMS = 200;
+
+/**
+ * Whether an error is a duplicate key error from the unique name index
+ */
+const isDuplicateName = (error) => error.code === 11000;
+
+/**
+ * Find a menu by the :menuId route param
+ * @returns {Promise<Object|null>} Menu document, or null when not found
+ */
+const findById = (menuId) => {
+  const id = parseObjectId(menuId);
+  return id ? Menu.findById(id) : null;
+};
+
+/**
+ * Add dish counts and whether the menu is open right now
+ */
+const withStatus = (menu, counts = {}) => ({
+  ...(menu.toObject ? menu.toObject() : menu),
+  isOpen: isMenuOpen(menu),
+  dishCount: counts.dishCount || 0,
+  publishedCount: counts.publishedCount || 0,
+});
+
+/**
+ * @desc    Get all menus
+ * @returns Menus by name, with dish counts (excluding trash) and whether each is open now
+ */
+export const getMenus = async (req, res) => {
+  try {
+    const [menus, counts] = await Promise.all([
+      Menu.find().sort({ name: 1 }).lean(),
+      Dish.aggregate([
+        { $match: NOT_DELETED },
+        { $unwind: '$menus' },
+        {
+          $group: {
+            _id: '$menus.menu',
+            dishCount: { $sum: 1 },
+            publishedCount: { $sum: { $cond: ['$menus.isPublished', 1, 0] } },
+          },
+        },
+      ]),
+    ]);
+
+    const countsById = new Map(counts.map((count) => [String(count._id), count]));
+
+    res.status(200).json({
+      success: true,
+      count: menus.length,
+      data: menus.map((menu) => withStatus(menu, countsById.get(String(menu._id)))),
+    });
+  } catch (error) {
+    console.error('Error fetching menus:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching menus',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create a menu
+ * Body: { name, timezone?, hours? }
+ * @returns Created menu object
+ */
+export const createMenu = async (req, res) => {
+  try {
+    const fields = readMenuFields(req.body);
+    if (fields.error) {
+      return res.status(400).json({
+        success: false,
+        message: fields.error,
+      });
+    }
+
+    const menu = await Menu.create(fields);
+
+    emitToPermitted(req.io, 'menu-created', {
+      menu: withStatus(menu),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Menu created successfully',
+      data: withStatus(menu),
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        success: false,
+        message: `Menu "${req.body.name.trim()}" already exists`,
+      });
+    }
+
+    console.error('Error creating menu:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating menu',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a menu's name, time zone or hours
+ * @returns Updated menu object
+ */
+export const updateMenu = async (req, res) => {
+  try {
+    const menu = await findById(req.params.menuId);
+    if (!menu) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu not found',
+      });
+    }
+
+    const fields = readMenuFields(req.body, { partial: true });
+    if (fields.error) {
+      return res.status(400).json({
+        success: false,
+        message: fields.error,
+      });
+    }
+
+    menu.set(fields);
+    await menu.save();
+
+    emitToPermitted(req.io, 'menu-updated', {
+      menu: withStatus(menu),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Menu updated successfully',
+      data: withStatus(menu),
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        success: false,
+        message: `Menu "${req.body.name.trim()}" already exists`,
+      });
+    }
+
+    console.error('Error updating menu:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating menu',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a menu
+ * Its dishes are kept; they're just no longer on this menu
+ * @returns Success message
+ */
+export const deleteMenu = async (req, res) => {
+  try {
+    const menu = await findById(req.params.menuId);
+    if (!menu) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu not found',
+      });
+    }
+
+    await menu.deleteOne();
+    await Dish.updateMany(
+      { 'menus.menu': menu._id },
+      { $pull: { menus: { menu: menu._id } } },
+      { timestamps: false }
+    );
+
+    emitToPermitted(req.io, 'menu-deleted', {
+      menuId: menu._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Menu deleted',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting menu:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting menu',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Add dishes to or remove them from a menu
+ * Body: { add?: string[], remove?: string[] } (dishIds)
+ * Added dishes start unpublished on the menu. Each changed dish gets its own
+ * revision and audit record; one "menu-dishes-updated" event covers the batch
+ * @returns Dish IDs that were added, removed or not found
+ */
+export const updateMenuDishes = async (req, res) => {
+  try {
+    const menu = await findById(req.params.menuId);
+    if (!menu) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu not found',
+      });
+    }
+
+    const add = Array.isArray(req.body.add) ? [...new Set(req.body.add.map(String))] : [];
+    const remove = Array.isArray(req.body.remove) ? [...new Set(req.body.remove.map(String))] : [];
+
+    if (add.length + remove.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide dishIds to add and/or remove',
+      });
+    }
+
+    if (add.length + remove.length > MAX_MEMBERSHIP_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `A request can include at most ${MAX_MEMBERSHIP_ITEMS} dishes`,
+      });
+    }
+
+    if (add.some((dishId) => remove.includes(dishId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A dish cannot be both added and removed',
+      });
+    }
+
+    const dishes = await Dish.find({ dishId: { $in: [...add, ...remove] }, ...NOT_DELETED });
+    const dishesById = new Map(dishes.map((dish) => [dish.dishId, dish]));
+
+    const result = { added: [], removed: [], notFound: [] };
+    const publicDishIds = []; // Changed dishes customers could see before or after
+
+    // Apply sequentially so each dish gets its own revision and audit record
+    for (const dishId of [...add, ...remove]) {
+      const dish = dishesById.get(dishId);
+      if (!dish) {
+        result.notFound.push(dishId);
+        continue;
+      }
+
+      const adding = add.includes(dishId);
+      const entry = findMenuEntry(dish, menu._id);
+      if (adding === Boolean(entry)) continue; // Already in the requested state
+
+      const before = dish.toObject();
+      const wasPublic = isPublicDish(dish);
+      if (adding) {
+        dish.menus.push({ menu: menu._id, isPublished: false });
+      } else {
+        dish.menus = dish.menus.filter((item) => item !== entry);
+      }
+
+      await saveRevision(req, dish, { action: 'update', before });
+      await recordAudit(req, { action: 'update', dishId, before, after: dish });
+      result[adding ? 'added' : 'removed'].push(dishId);
+      if (wasPublic || isPublicDish(dish)) publicDishIds.push(dishId);
+    }
+
+    const changed = [...result.added, ...result.removed];
+    if (changed.length > 0) {
+      emitToPermitted(
+        req.io,
+        'menu-dishes-updated',
+        {
+          menuId: menu._id,
+          added: result.added,
+          removed: result.removed,
+        },
+        { publicDishIds }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${result.added.length} added to and ${result.removed.length} removed from ${menu.name}`,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error updating menu dishes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating menu dishes',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,164 @@
+import Dish from '../models/Dish.js';
+import Menu from '../models/Menu.js';
+import Category from '../models/Category.js';
+import { buildDishFilter, buildDishPipeline, parseObjectId, CATEGORY_ORDER } from '../utils/dishQuery.js';
+import {
+  PUBLIC_DISH_SELECT,
+  MAX_PUBLIC_DISHES,
+  pickPublicFilters,
+  toPublicDish,
+  toPublicMenu,
+  buildSections,
+} from '../utils/publicMenu.js';
+import { getPublicCacheMaxAge } from '../config/publicApi.js';
+
+/**
+ * Send a cacheable 200 response
+ * Express adds an ETag from the body and answers a matching If-None-Match with 304
+ */
+const sendCached = (res, body) => {
+  const maxAge = getPublicCacheMaxAge();
+  res.set('Cache-Control', `public, max-age=${maxAge}, stale-while-revalidate=${maxAge}`);
+  res.status(200).json(body);
+};
+
+// Order dishes are shown in: sections in menu order, then each dish's place in its section
+const MENU_ORDER_SORT = { [CATEGORY_ORDER]: 1, position: 1, dishName: 1, dishId: 1 };
+
+/**
+ * Load published dishes matching a filter, grouped into menu sections
+ * At most MAX_PUBLIC_DISHES are returned, always the first ones in menu order,
+ * so the ETag only changes when the menu does
+ * @param {Object} filter - Mongo filter (must already restrict to published dishes)
+ * @returns {Promise<Object>} { count, truncated, sections }
+ */
+const loadSections = async (filter) => {
+  const categories = await Category.find().sort({ position: 1, name: 1 }).select('name').lean();
+
+  // One extra dish tells whether the list was cut short
+  const found = await Dish.aggregate(
+    buildDishPipeline(filter, MENU_ORDER_SORT, {
+      categoryIds: categories.map((category) => category._id),
+      limit: MAX_PUBLIC_DISHES + 1,
+      select: PUBLIC_DISH_SELECT,
+    })
+  );
+
+  const dishes = found.slice(0, MAX_PUBLIC_DISHES);
+  return {
+    count: dishes.length,
+    truncated: found.length > MAX_PUBLIC_DISHES,
+    sections: buildSections(dishes, categories),
+  };
+};
+
+/**
+ * @desc    Get all published dishes, grouped into menu sections
+ * Query: search, category, dietary, allergenFree, maxSpice, minPrice, maxPrice,
+ * currency, maxPrepTime (see getDishes)
+ * @returns { count, truncated, data: { sections } }
+ */
+export const getPublishedDishes = async (req, res) => {
+  try {
+    const { count, truncated, sections } = await loadSections(
+      buildDishFilter({ ...pickPublicFilters(req.query), isPublished: true })
+    );
+
+    sendCached(res, { success: true, count, truncated, data: { sections } });
+  } catch (error) {
+    console.error('Error fetching public dishes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dishes',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get one published dish by dishId
+ * @returns Dish, or 404 when it doesn't exist or isn't published
+ */
+export const getPublishedDish = async (req, res) => {
+  try {
+    const dish = await Dish.findOne({ ...buildDishFilter({ isPublished: true }), dishId: req.params.dishId })
+      .select(PUBLIC_DISH_SELECT)
+      .lean();
+
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dish not found',
+      });
+    }
+
+    const category = dish.category ? await Category.findById(dish.category).select('name').lean() : null;
+    const categoryNames = new Map(category ? [[String(category._id), category.name]] : []);
+
+    sendCached(res, { success: true, data: toPublicDish(dish, categoryNames) });
+  } catch (error) {
+    console.error('Error fetching public dish:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dish',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get all menus with their hours and whether each is open now
+ * @returns Menus by name
+ */
+export const getPublicMenus = async (req, res) => {
+  try {
+    const menus = await Menu.find().sort({ name: 1 }).lean();
+    const now = new Date();
+
+    sendCached(res, {
+      success: true,
+      count: menus.length,
+      data: menus.map((menu) => toPublicMenu(menu, now)),
+    });
+  } catch (error) {
+    console.error('Error fetching public menus:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching menus',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a menu with the dishes published on it, grouped into sections
+ * Query: the same filters as getPublishedDishes
+ * @returns { count, truncated, data: { ...menu, sections } }
+ */
+export const getPublicMenu = async (req, res) => {
+  try {
+    const id = parseObjectId(req.params.menuId);
+    const menu = id ? await Menu.findById(id).lean() : null;
+
+    if (!menu) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu not found',
+      });
+    }
+
+    // Dishes count as live on a menu by their state on it, not their overall isPublished
+    const { count, truncated, sections } = await loadSections(
+      buildDishFilter({ ...pickPublicFilters(req.query), menu: String(menu._id), isPublished: true })
+    );
+
+    sendCached(res, { success: true, count, truncated, data: { ...toPublicMenu(menu), sections } });
+  } catch (error) {
+    console.error('Error fetching public menu:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching menu',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,108 @@
+import Dish from '../models/Dish.js';
+import { hasPermission, PERMISSIONS } from '../config/roles.js';
+import { recordAudit } from '../utils/audit.js';
+import { saveRevision, isRevisionConflict, sendRevisionConflict } from '../utils/versioning.js';
+import { parsePagination } from '../utils/dishQuery.js';
+import { getRetentionDays, getPurgeDate } from '../config/trash.js';
+
+// Matches dishes that are in the trash
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+/**
+ * @desc    List dishes in the trash
+ * Query params: page, limit
+ * @returns Deleted dishes, most recently deleted first, each with its purge date
+ */
+export const getTrash = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [dishes, total] = await Promise.all([
+      Dish.find(IN_TRASH).sort({ deletedAt: -1, dishId: 1 }).skip(skip).limit(limit),
+      Dish.countDocuments(IN_TRASH),
+    ]);
+
+    const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+    res.status(200).json({
+      success: true,
+      count: dishes.length,
+      retentionDays: getRetentionDays(),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+      data: dishes.map((dish) => ({
+        ...dish.toObject(),
+        purgeAt: getPurgeDate(dish.deletedAt),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Restore a dish from the trash
+ * The dish keeps its publish state, so restoring one that is published (or
+ * scheduled to be) is limited to publishers. Restoring makes a new revision
+ * @returns Restored dish object
+ */
+export const restoreDish = async (req, res) => {
+  try {
+    const { dishId } = req.params;
+
+    const dish = await Dish.findOne({ dishId, ...IN_TRASH });
+
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: `Dish with ID ${dishId} not found in trash`,
+      });
+    }
+
+    // A dish that goes live again (published now or scheduled) needs a publisher
+    const goesLive = dish.isPublished || dish.menus.some((entry) => entry.isPublished) || Boolean(dish.publishAt);
+    if (goesLive && !hasPermission(req.user.role, PERMISSIONS.DISH_PUBLISH)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only publishers can restore a published dish',
+      });
+    }
+
+    const before = dish.toObject();
+    dish.deletedAt = null;
+    dish.deletedBy = undefined;
+    await saveRevision(req, dish, { action: 'restore', before });
+
+    await recordAudit(req, { action: 'restore', dishId, before, after: dish });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dish restored successfully',
+      data: dish,
+    });
+  } catch (error) {
+    // Restored or changed by someone else in the meantime
+    if (isRevisionConflict(error)) {
+      const current = await Dish.findOne({ dishId: req.params.dishId });
+      if (current) return sendRevisionConflict(res, current);
+    }
+
+    console.error('Error restoring dish:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring dish',
+      error: error.message,
+    });
+  }
+};
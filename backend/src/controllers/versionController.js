@@ -0,0 +1,159 @@
+import Dish from '../models/Dish.js';
+import DishVersion from '../models/DishVersion.js';
+import Category from '../models/Category.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  saveRevision,
+  applySnapshot,
+  readExpectedRevision,
+  isRevisionConflict,
+  sendRevisionConflict,
+} from '../utils/versioning.js';
+import { parsePagination, NOT_DELETED } from '../utils/dishQuery.js';
+import { sendValidationError } from '../utils/validation.js';
+
+/**
+ * @desc    List stored versions of a dish
+ * Query params: page, limit
+ * @returns Versions, newest first
+ */
+export const getDishVersions = async (req, res) => {
+  try {
+    const { dishId } = req.params;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [versions, total] = await Promise.all([
+      DishVersion.find({ dishId }).sort({ version: -1 }).skip(skip).limit(limit),
+      DishVersion.countDocuments({ dishId }),
+    ]);
+
+    const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+      data: versions,
+    });
+  } catch (error) {
+    console.error('Error fetching dish versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dish versions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a single version of a dish (for previewing before a revert)
+ * @returns Version with its snapshot
+ */
+export const getDishVersion = async (req, res) => {
+  try {
+    const { dishId, version } = req.params;
+
+    const dishVersion = await DishVersion.findOne({ dishId, version: Number(version) });
+
+    if (!dishVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} of dish ${dishId} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dishVersion,
+    });
+  } catch (error) {
+    console.error('Error fetching dish version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dish version',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Revert a dish to a previous version
+ * Restores the snapshot's content as a new revision (publish state is kept)
+ * Like updateDish, honours the expected revision (If-Match header or body.revision)
+ * @returns Updated dish object, or 409 with the current dish when it has moved on
+ */
+export const revertDish = async (req, res) => {
+  try {
+    const { dishId, version } = req.params;
+
+    const expected = readExpectedRevision(req);
+    if (expected.error) {
+      return sendValidationError(res, 400, [{ field: expected.field, message: expected.error }]);
+    }
+
+    const [dish, dishVersion] = await Promise.all([
+      Dish.findOne({ dishId, ...NOT_DELETED }),
+      DishVersion.findOne({ dishId, version: Number(version) }),
+    ]);
+
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: `Dish with ID ${dishId} not found`,
+      });
+    }
+
+    if (!dishVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} of dish ${dishId} not found`,
+      });
+    }
+
+    // Reject reverts chosen while looking at an older revision
+    if (expected.revision !== undefined && expected.revision !== dish.revision) {
+      return sendRevisionConflict(res, dish);
+    }
+
+    const before = dish.toObject();
+    applySnapshot(dish, dishVersion.snapshot);
+
+    // The version's category may have been deleted since
+    if (dish.category && !(await Category.exists({ _id: dish.category }))) {
+      dish.category = null;
+    }
+
+    await saveRevision(req, dish, {
+      action: 'revert',
+      before,
+      revertedFrom: dishVersion.version,
+    });
+
+    await recordAudit(req, { action: 'revert', dishId, before, after: dish });
+
+    res.status(200).json({
+      success: true,
+      message: `Dish reverted to version ${dishVersion.version}`,
+      data: dish,
+    });
+  } catch (error) {
+    if (isRevisionConflict(error)) {
+      // Another change was saved between loading and saving the revert
+      const current = await Dish.findOne({ dishId: req.params.dishId, ...NOT_DELETED });
+      if (current) return sendRevisionConflict(res, current);
+    }
+    console.error('Error reverting dish:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reverting dish',
+      error: error.message,
+    });
+  }
+};
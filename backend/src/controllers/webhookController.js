@@ -0,0 +1,283 @@
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { generateSecret, attemptDelivery, getClaimExpiry } from '../utils/webhooks.js';
+import { parsePagination } from '../utils/dishQuery.js';
+import { sendMongooseError, sendValidationError } from '../utils/validation.js';
+
+/**
+ * Webhook fields from a request body (already checked by the route's schema)
+ * Only fields present in the body are returned
+ */
+const readWebhookFields = (body = {}) => {
+  const fields = {};
+  if (body.url !== undefined) fields.url = body.url.trim();
+  if (body.events !== undefined) fields.events = [...new Set(body.events)];
+  if (body.description !== undefined) fields.description = body.description?.trim() || null;
+  if (body.isActive !== undefined) fields.isActive = body.isActive;
+  return fields;
+};
+
+/**
+ * Webhook as sent to clients, with its secret when it was just generated
+ */
+const toResponse = (webhook, secret) => {
+  const data = webhook.toObject();
+  delete data.secret;
+  return secret ? { ...data, secret } : data;
+};
+
+const sendWebhookNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Webhook not found',
+  });
+
+/**
+ * @desc    Get all webhooks
+ * @returns Webhooks, newest first, with pending and failed delivery counts (secrets are never listed)
+ */
+export const getWebhooks = async (req, res) => {
+  try {
+    const [webhooks, counts] = await Promise.all([
+      Webhook.find().sort({ createdAt: -1 }).lean(),
+      WebhookDelivery.aggregate([
+        { $match: { status: { $in: ['pending', 'failed'] } } },
+        { $group: { _id: { webhook: '$webhook', status: '$status' }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countFor = (webhook, status) =>
+      counts.find((count) => String(count._id.webhook) === String(webhook._id) && count._id.status === status)
+        ?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks.map((webhook) => ({
+        ...webhook,
+        pendingDeliveries: countFor(webhook, 'pending'),
+        failedDeliveries: countFor(webhook, 'failed'),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Register a webhook
+ * Body: { url, events, description?, isActive? }
+ * @returns Created webhook, including its signing secret (only shown here and on rotation)
+ */
+export const createWebhook = async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      ...readWebhookFields(req.body),
+      secret,
+      createdBy: { id: req.user._id, username: req.user.username },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: toResponse(webhook, secret),
+    });
+  } catch (error) {
+    if (sendMongooseError(res, error)) return;
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a webhook's URL, events, description or active state
+ * @returns Updated webhook
+ */
+export const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.webhookId);
+    if (!webhook) return sendWebhookNotFound(res);
+
+    webhook.set(readWebhookFields(req.body));
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: toResponse(webhook),
+    });
+  } catch (error) {
+    if (sendMongooseError(res, error)) return;
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a webhook and its delivery log
+ * @returns Success message
+ */
+export const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.webhookId);
+    if (!webhook) return sendWebhookNotFound(res);
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Replace a webhook's signing secret
+ * Deliveries are signed with the new secret from the next attempt on
+ * @returns Webhook with its new secret
+ */
+export const rotateWebhookSecret = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.webhookId);
+    if (!webhook) return sendWebhookNotFound(res);
+
+    const secret = generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook secret rotated',
+      data: toResponse(webhook, secret),
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating webhook secret',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a webhook's delivery log
+ * Query params: page, limit, status, event
+ * @returns Deliveries, newest first, each with its attempts
+ */
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.webhookId).lean();
+    if (!webhook) return sendWebhookNotFound(res);
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+      data: deliveries,
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Send a delivery again now, whatever its status
+ * The attempt is made before responding; if it fails, retries continue with
+ * a fresh set of attempts
+ * @returns Delivery with the new attempt
+ */
+export const redeliverWebhookDelivery = async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.webhookId).select('+secret');
+    if (!webhook) return sendWebhookNotFound(res);
+
+    if (!webhook.isActive) {
+      return sendValidationError(res, 422, [
+        { field: 'webhookId', message: 'Webhook is inactive; activate it before redelivering' },
+      ]);
+    }
+
+    // Claimed like the delivery job does: the job leaves it alone while this
+    // attempt runs, and sends it again if the attempt never completes
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.deliveryId, webhook: webhook._id },
+      { $set: { status: 'pending', attemptCount: 0, nextAttemptAt: getClaimExpiry() } },
+      { new: true }
+    );
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found',
+      });
+    }
+
+    const updated = await attemptDelivery(webhook, delivery, { manual: true });
+
+    let message = 'Delivery succeeded';
+    if (updated.status !== 'succeeded') {
+      message = `Delivery failed: ${updated.attempts.at(-1).error}`;
+      if (updated.status === 'pending') message += '; it will be retried';
+    }
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error redelivering webhook',
+      error: error.message,
+    });
+  }
+};
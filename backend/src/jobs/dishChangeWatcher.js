@@ -0,0 +1,356 @@
+import { createHash } from 'crypto';
+import mongoose from 'mongoose';
+import Dish from '../models/Dish.js';
+import ChangeStreamCheckpoint from '../models/ChangeStreamCheckpoint.js';
+import { emitToPermitted } from '../socket.js';
+import { queueWebhookEvents } from './webhookDelivery.js';
+import {
+  toSnapshot,
+  deriveDishEvents,
+  deriveChangeStreamEvents,
+  coalesceDishEvents,
+  isBatchedChange,
+  isPublicSnapshot,
+} from '../utils/dishChanges.js';
+import {
+  getChangeEventSource,
+  getChangePollIntervalMs,
+  getChangeFullScanIntervalMs,
+} from '../config/changeEvents.js';
+
+// Change stream events are sent once writes pause for this long (or after
+// MAX_FLUSH_DELAY_MS), so a burst of writes can go out as one bulk event
+const FLUSH_DELAY_MS = 300;
+const MAX_FLUSH_DELAY_MS = 2000;
+
+// Each poll re-reads dishes updated this long before the newest updatedAt seen,
+// so writes that commit late or come from a server with a slightly different
+// clock aren't skipped (unchanged dishes produce no events)
+const POLL_OVERLAP_MS = 10 * 1000;
+
+// Checkpoint document for the dishes change stream
+const CHECKPOINT_ID = 'dishes';
+
+// Server errors meaning a change stream can't be resumed from its token
+// (ChangeStreamFatalError, ChangeStreamHistoryLost)
+const UNRESUMABLE_ERROR_CODES = [280, 286];
+
+/**
+ * Identifies a change read by scanning or polling: the dish's id, revision,
+ * update time and a hash of the document, which are the same for every instance
+ * that reads that state (the hash tells apart writes that set neither
+ * revision nor updatedAt)
+ * @param {string} id - Dish _id
+ * @param {Object|null} dish - Dish as read (null when removed)
+ * @returns {string}
+ */
+const readChangeId = (id, dish) => {
+  if (!dish) return `${id}:removed`;
+  const hash = createHash('sha1').update(JSON.stringify(dish)).digest('hex').slice(0, 16);
+  return `${id}:${dish.revision ?? 0}:${dish.updatedAt?.getTime() ?? ''}:${hash}`;
+};
+
+/**
+ * Whether the connected MongoDB deployment supports change streams
+ * (replica sets and sharded clusters do; standalone servers don't)
+ * @returns {Promise<boolean>}
+ */
+export const supportsChangeStreams = async () => {
+  const hello = await mongoose.connection.db.command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+};
+
+/**
+ * Start watching the dishes collection and emitting dish events
+ * Every write is compared with the last known state of the dish (or, for
+ * change stream updates, read from the update itself), so events reflect what
+ * actually changed, whichever code (or person) made the change.
+ * Every backend instance runs its own watcher, so these events aren't relayed
+ * through the pub/sub adapter. Each change is also queued for webhooks; with
+ * change streams, the stream's position is saved once its changes are queued,
+ * and a restarted server resumes from there
+ * @param {Server} io - Socket.IO server instance
+ * @returns {Promise<Object>} { source: 'changeStream'|'poll', stop }
+ */
+export const startDishChangeWatcher = async (io) => {
+  const snapshots = new Map(); // dish _id -> snapshot
+  const pending = [];
+  let lastUpdatedAt = 0; // Newest updatedAt seen, in milliseconds
+  let resumeToken = null; // Latest change stream event read
+  let flushTimer = null;
+  let firstPendingAt = null;
+  let stopped = false;
+
+  // Changes not yet queued for webhooks, and the resume token to save once they are
+  const webhookBacklog = [];
+  let checkpoint = null;
+  let draining = false;
+  let drainTimer = null;
+
+  /**
+   * Queue backlogged changes for webhooks, then save the checkpoint
+   * A failure keeps them (and the checkpoint) for another try, so a change
+   * is never skipped while the server runs
+   */
+  const drainWebhooks = async () => {
+    if (draining) return;
+    draining = true;
+
+    try {
+      while (webhookBacklog.length > 0 || checkpoint) {
+        const changes = webhookBacklog.splice(0);
+        const token = checkpoint;
+        checkpoint = null;
+
+        try {
+          await queueWebhookEvents(changes);
+          if (token) {
+            await ChangeStreamCheckpoint.updateOne(
+              { _id: CHECKPOINT_ID },
+              { $set: { resumeToken: token } },
+              { upsert: true }
+            );
+          }
+        } catch (error) {
+          console.error('Error queueing webhooks:', error);
+          webhookBacklog.unshift(...changes);
+          checkpoint ??= token;
+
+          if (!stopped) {
+            drainTimer = setTimeout(drainWebhooks, getChangePollIntervalMs());
+            drainTimer.unref();
+          }
+          return;
+        }
+      }
+    } finally {
+      draining = false;
+    }
+  };
+
+  /**
+   * Record a dish's new state (null when removed) and queue its events
+   * @param {string} id - Dish _id
+   * @param {Object|null} dish - Dish after the change
+   * @param {string} changeId - Identifies the change for webhooks; every instance
+   *   uses the same one
+   */
+  const record = (id, dish, changeId = readChangeId(id, dish)) => {
+    const before = snapshots.get(id) || null;
+    const after = dish ? toSnapshot(dish) : null;
+
+    if (after) snapshots.set(id, after);
+    else snapshots.delete(id);
+
+    const batched = isBatchedChange(before, after);
+    const isPublic = isPublicSnapshot(before) || isPublicSnapshot(after);
+    pending.push(
+      ...deriveDishEvents(before, after, dish).map((change) => ({ ...change, changeId, batched, isPublic }))
+    );
+  };
+
+  /**
+   * Emit queued events, and queue them for webhooks (one per dish, never coalesced)
+   * Changes from bulk actions and imports only go to webhooks: the request
+   * already sent its own dishes-bulk-updated. So do events marked webhookOnly.
+   * Anonymous clients only hear about dishes that were or became public
+   */
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    firstPendingAt = null;
+
+    const changes = pending.splice(0);
+    const live = changes.filter(({ batched, webhookOnly }) => !batched && !webhookOnly);
+    const publicDishIds = [
+      ...new Set(live.filter(({ isPublic }) => isPublic).map(({ payload }) => payload.dishId || payload.dish.dishId)),
+    ];
+    for (const { event, payload } of coalesceDishEvents(live)) {
+      emitToPermitted(io, event, payload, { relay: false, publicDishIds });
+    }
+
+    webhookBacklog.push(...changes);
+    checkpoint = resumeToken ?? checkpoint;
+    if (webhookBacklog.length > 0 || checkpoint) drainWebhooks();
+  };
+
+  const scheduleFlush = () => {
+    firstPendingAt ??= Date.now();
+    clearTimeout(flushTimer);
+    const delay = Math.min(FLUSH_DELAY_MS, firstPendingAt + MAX_FLUSH_DELAY_MS - Date.now());
+    flushTimer = setTimeout(flush, Math.max(delay, 0));
+  };
+
+  /**
+   * Compare every dish with its snapshot; dishes no longer in the collection
+   * were removed. With `silent`, snapshots are only loaded
+   */
+  const scan = async ({ silent = false } = {}) => {
+    const dishes = await Dish.find().lean();
+    const seen = new Set();
+
+    for (const dish of dishes) {
+      const id = String(dish._id);
+      seen.add(id);
+      if (silent) snapshots.set(id, toSnapshot(dish));
+      else record(id, dish);
+      lastUpdatedAt = Math.max(lastUpdatedAt, dish.updatedAt?.getTime() || 0);
+    }
+
+    for (const id of [...snapshots.keys()]) {
+      if (!seen.has(id)) record(id, null);
+    }
+
+    flush();
+  };
+
+  /**
+   * Compare the dishes updated since the last poll with their snapshots
+   * Only the latest state of each dish is seen, so several changes between
+   * polls are reported as one. Removed dishes are found by counting, and
+   * their ids only read when the count drops
+   */
+  const poll = async () => {
+    const since = new Date(Math.max(lastUpdatedAt - POLL_OVERLAP_MS, 0));
+    const dishes = await Dish.find({ updatedAt: { $gte: since } }).lean();
+
+    for (const dish of dishes) {
+      record(String(dish._id), dish);
+      lastUpdatedAt = Math.max(lastUpdatedAt, dish.updatedAt.getTime());
+    }
+
+    if ((await Dish.countDocuments()) < snapshots.size) {
+      const ids = new Set((await Dish.find().select('_id').lean()).map((dish) => String(dish._id)));
+      for (const id of [...snapshots.keys()]) {
+        if (!ids.has(id)) record(id, null);
+      }
+    }
+
+    flush();
+  };
+
+  await scan({ silent: true });
+
+  const configured = getChangeEventSource();
+  const source =
+    configured === 'auto' ? ((await supportsChangeStreams()) ? 'changeStream' : 'poll') : configured;
+
+  if (source === 'poll') {
+    let running = false;
+    let lastScanAt = Date.now();
+
+    const timer = setInterval(async () => {
+      // Skip a tick rather than overlap a slow poll
+      if (running) return;
+      running = true;
+
+      try {
+        // Now and then compare every dish, for writes that didn't set updatedAt
+        if (Date.now() - lastScanAt >= getChangeFullScanIntervalMs()) {
+          await scan();
+          lastScanAt = Date.now();
+        } else {
+          await poll();
+        }
+      } catch (error) {
+        console.error('Error polling dish changes:', error);
+      } finally {
+        running = false;
+      }
+    }, getChangePollIntervalMs());
+    timer.unref(); // Don't keep the process alive just for the watcher
+
+    return {
+      source,
+      stop: () => {
+        stopped = true;
+        clearInterval(timer);
+        clearTimeout(drainTimer);
+        flush();
+      },
+    };
+  }
+
+  // Pick up after the last change this (or another) instance handed to webhooks
+  resumeToken = (await ChangeStreamCheckpoint.findById(CHECKPOINT_ID).lean())?.resumeToken || null;
+
+  let stream = null;
+  let retryTimer = null;
+
+  /**
+   * Open the change stream after the latest change read; when it fails or
+   * closes, reopen it from there. If that position is no longer in the
+   * oplog, start afresh and catch up with a scan (changes in between are
+   * compared as a whole, and only the latest state of each dish is seen)
+   */
+  const watch = () => {
+    stream = Dish.watch([], {
+      fullDocument: 'updateLookup',
+      ...(resumeToken ? { startAfter: resumeToken } : {}),
+    });
+
+    stream.on('change', (change) => {
+      resumeToken = change._id;
+      if (!change.documentKey || !['insert', 'update', 'replace', 'delete'].includes(change.operationType)) {
+        return;
+      }
+
+      const id = String(change.documentKey._id);
+      const before = snapshots.get(id) || null;
+      const { after, events } = deriveChangeStreamEvents(change, before);
+
+      if (after) snapshots.set(id, after);
+      else if (after === null) snapshots.delete(id);
+
+      // The event's resume token: the same on every instance watching the collection
+      const changeId = change._id._data;
+      const isPublic = isPublicSnapshot(before) || isPublicSnapshot(after ?? before);
+      pending.push(...events.map((event) => ({ ...event, changeId, isPublic })));
+      scheduleFlush();
+    });
+
+    let reopening = false;
+    const reopen = (error) => {
+      if (stopped || reopening) return;
+      reopening = true;
+      if (error) console.error('Dish change stream failed:', error.message);
+
+      const lost = UNRESUMABLE_ERROR_CODES.includes(error?.code);
+      if (lost) {
+        console.error('Dish changes since the last checkpoint are no longer in the oplog; catching up with a scan');
+        resumeToken = null;
+      }
+
+      stream.removeAllListeners();
+      stream.close().catch(() => {});
+
+      retryTimer = setTimeout(async () => {
+        try {
+          if (lost) await scan();
+          watch();
+        } catch (scanError) {
+          console.error('Error reopening dish change stream:', scanError.message);
+          reopening = false;
+          reopen(lost ? error : undefined);
+        }
+      }, getChangePollIntervalMs());
+      retryTimer.unref();
+    };
+
+    stream.on('error', reopen);
+    stream.on('close', () => reopen());
+  };
+
+  watch();
+
+  return {
+    source,
+    stop: async () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      clearTimeout(drainTimer);
+      await stream?.close();
+      flush();
+    },
+  };
+};
@@ -0,0 +1,93 @@
+import Dish from '../models/Dish.js';
+import { emitToPermitted } from '../socket.js';
+import { NOT_DELETED } from '../utils/dishQuery.js';
+import { checkImageUrl } from '../utils/imageHealth.js';
+import { getHealthCheckIntervalMs, getRecheckAgeMs } from '../config/imageHealth.js';
+
+// Dishes checked per run, and how many requests are in flight at once
+const BATCH_SIZE = 100;
+const CONCURRENCY = 5;
+
+/**
+ * Check the images of dishes that were never checked or whose last check is stale
+ * Results are stored on the dish without creating a revision or audit record
+ * @param {Server} io - Socket.IO server instance (no-op when missing)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { checked, changed } counts
+ */
+export const checkImageHealth = async (io, now = new Date()) => {
+  const dishes = await Dish.find({
+    ...NOT_DELETED,
+    imageUrl: { $nin: [null, ''] },
+    $or: [
+      { imageHealth: null },
+      { 'imageHealth.checkedAt': { $lte: new Date(now.getTime() - getRecheckAgeMs()) } },
+    ],
+  })
+    .sort({ 'imageHealth.checkedAt': 1 })
+    .limit(BATCH_SIZE)
+    .select('dishId imageUrl imageHealth')
+    .lean();
+
+  const changed = [];
+  const queue = [...dishes];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const dish = queue.shift();
+      const result = await checkImageUrl(dish.imageUrl);
+
+      // Only store the result if the image wasn't changed while we were checking
+      const { modifiedCount } = await Dish.updateOne(
+        { _id: dish._id, imageUrl: dish.imageUrl },
+        { $set: { imageHealth: result } },
+        { timestamps: false }
+      );
+
+      if (modifiedCount > 0 && dish.imageHealth?.status !== result.status) {
+        changed.push({ dishId: dish.dishId, imageHealth: result });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+  // One event per run, only when some dish's status changed
+  if (changed.length > 0) {
+    emitToPermitted(io, 'image-health-updated', { dishes: changed });
+  }
+
+  return { checked: dishes.length, changed: changed.length };
+};
+
+/**
+ * Start the image health checker
+ * Runs once immediately, then every IMAGE_HEALTH_INTERVAL_MINUTES
+ * @param {Server} io - Socket.IO server instance
+ * @returns {NodeJS.Timeout} Interval handle (call clearInterval to stop)
+ */
+export const startImageHealthJob = (io) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+
+    try {
+      const { checked, changed } = await checkImageHealth(io);
+      if (changed > 0) {
+        console.log(`🖼️  Checked ${checked} image(s), ${changed} changed status`);
+      }
+    } catch (error) {
+      console.error('Error checking image health:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, getHealthCheckIntervalMs());
+  timer.unref(); // Don't keep the process alive just for the checker
+  return timer;
+};
@@ -0,0 +1,93 @@
+import Dish from '../models/Dish.js';
+import { recordAudit } from '../utils/audit.js';
+import { saveRevision } from '../utils/versioning.js';
+import { NOT_DELETED } from '../utils/dishQuery.js';
+import { getPublishBlockReason } from '../utils/imageHealth.js';
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+/**
+ * Apply every publish/unpublish schedule that has come due
+ * Due schedules are cleared once applied. When both times have passed
+ * (e.g. the server was down), the dish ends up in the later state.
+ * A publish blocked by a broken image is left pending until the image is fixed.
+ * Dashboards hear about the change from the dish change watcher
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of dishes whose publish status changed
+ */
+export const applyDueSchedules = async (now = new Date()) => {
+  const due = await Dish.find({
+    ...NOT_DELETED,
+    $or: [
+      { publishAt: { $ne: null, $lte: now } },
+      { unpublishAt: { $ne: null, $lte: now } },
+    ],
+  });
+
+  let changed = 0;
+
+  for (const dish of due) {
+    const before = dish.toObject();
+    const wasPublished = dish.isPublished;
+
+    if (dish.publishAt && dish.publishAt <= now) {
+      dish.isPublished = true;
+      dish.publishAt = null;
+    }
+    if (dish.unpublishAt && dish.unpublishAt <= now) {
+      dish.isPublished = false;
+      dish.unpublishAt = null;
+    }
+
+    // Leave the schedule in place; it's applied once the image checks out
+    if (getPublishBlockReason(dish)) continue;
+
+    // Status already matched the schedule; just clear the applied times
+    if (dish.isPublished === wasPublished) {
+      await dish.save();
+      continue;
+    }
+
+    const action = dish.isPublished ? 'publish' : 'unpublish';
+    await saveRevision(null, dish, { action, before });
+    await recordAudit(null, { action, dishId: dish.dishId, before, after: dish });
+
+    changed++;
+  }
+
+  return changed;
+};
+
+/**
+ * Start the publish scheduler
+ * Checks for due schedules every PUBLISH_SCHEDULER_INTERVAL_SECONDS (default 30)
+ * @returns {NodeJS.Timeout} Interval handle (call clearInterval to stop)
+ */
+export const startPublishScheduler = () => {
+  const seconds = Number(process.env.PUBLISH_SCHEDULER_INTERVAL_SECONDS);
+  const intervalMs =
+    (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_INTERVAL_SECONDS) * 1000;
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+
+    try {
+      const changed = await applyDueSchedules();
+      if (changed > 0) {
+        console.log(`⏰ Applied publish schedule to ${changed} dish(es)`);
+      }
+    } catch (error) {
+      console.error('Error applying publish schedules:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref(); // Don't keep the process alive just for the scheduler
+  return timer;
+};
@@ -0,0 +1,47 @@
+import Dish from '../models/Dish.js';
+import DishVersion from '../models/DishVersion.js';
+import { recordAudit } from '../utils/audit.js';
+import { getStorage, dishImagePrefix } from '../storage/index.js';
+import { getRetentionDays, getPurgeIntervalMs } from '../config/trash.js';
+
+/**
+ * Permanently delete dishes that have been in the trash longer than the retention period
+ * Their stored versions and uploaded images are removed too; audit records are kept
+ * @returns {Promise<number>} Number of dishes purged
+ */
+export const purgeExpiredDishes = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const expired = await Dish.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  for (const dish of expired) {
+    await Dish.deleteOne({ _id: dish._id });
+    await DishVersion.deleteMany({ dishId: dish.dishId });
+    await getStorage().removePrefix(dishImagePrefix(dish.dishId));
+    await recordAudit(null, { action: 'purge', dishId: dish.dishId, before: dish });
+  }
+
+  return expired.length;
+};
+
+/**
+ * Start the periodic trash purge
+ * Runs once immediately, then every TRASH_PURGE_INTERVAL_MINUTES
+ * @returns {NodeJS.Timeout} Interval handle (call clearInterval to stop)
+ */
+export const startTrashPurgeJob = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredDishes();
+      if (purged > 0) {
+        console.log(`🗑️  Purged ${purged} dish(es) from trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, getPurgeIntervalMs());
+  timer.unref(); // Don't keep the process alive just for the purge job
+  return timer;
+};
@@ -0,0 +1,129 @@
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { toWebhookEvent, attemptDelivery, getClaimExpiry } from '../utils/webhooks.js';
+import { getDeliveryIntervalMs } from '../config/webhooks.js';
+
+// Deliveries sent at once, and the most sent per run
+const CONCURRENCY = 5;
+const BATCH_SIZE = 100;
+
+// Starts a delivery run; set by startWebhookDeliveryJob
+let runDeliveries = null;
+
+/**
+ * Queue dish events for every active webhook subscribed to them
+ * Events already queued for a webhook (e.g. by another instance) are skipped
+ * @param {Object[]} changes - Derived dish events: [{ event, payload, changeId }]
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export const queueWebhookEvents = async (changes) => {
+  const events = changes.map(toWebhookEvent).filter(Boolean);
+  if (events.length === 0) return 0;
+
+  const webhooks = await Webhook.find({ isActive: true, events: { $in: events.map(({ event }) => event) } })
+    .select('_id events')
+    .lean();
+
+  const deliveries = webhooks.flatMap((webhook) =>
+    events
+      .filter(({ event }) => webhook.events.includes(event))
+      .map(({ eventId, event, data }) => ({
+        webhook: webhook._id,
+        eventId,
+        event,
+        payload: { id: eventId, event, createdAt: new Date().toISOString(), data },
+      }))
+  );
+  if (deliveries.length === 0) return 0;
+
+  let queued = deliveries.length;
+  try {
+    await WebhookDelivery.insertMany(deliveries, { ordered: false });
+  } catch (error) {
+    // Duplicates are expected; anything else is a real failure
+    if (!error.writeErrors?.every((writeError) => writeError.code === 11000)) throw error;
+    queued -= error.writeErrors.length;
+  }
+
+  if (queued > 0) runDeliveries?.();
+  return queued;
+};
+
+/**
+ * Send every delivery that is due, for active webhooks
+ * Each delivery is claimed before it is sent, so concurrent runs don't send it twice
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { sent, succeeded } counts
+ */
+export const deliverDueWebhooks = async (now = new Date()) => {
+  const webhooks = await Webhook.find({ isActive: true }).select('+secret');
+  const webhooksById = new Map(webhooks.map((webhook) => [String(webhook._id), webhook]));
+
+  let sent = 0;
+  let succeeded = 0;
+
+  const claim = () =>
+    WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', webhook: { $in: [...webhooksById.keys()] }, nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: getClaimExpiry() } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+  const worker = async () => {
+    while (sent < BATCH_SIZE) {
+      const delivery = await claim();
+      if (!delivery) return;
+      sent++;
+
+      const result = await attemptDelivery(webhooksById.get(String(delivery.webhook)), delivery);
+      if (result.status === 'succeeded') succeeded++;
+    }
+  };
+
+  if (webhooksById.size > 0) {
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  }
+
+  return { sent, succeeded };
+};
+
+/**
+ * Start the webhook delivery job
+ * Runs once immediately, then every WEBHOOK_DELIVERY_INTERVAL_SECONDS, and
+ * whenever new deliveries are queued
+ * @returns {NodeJS.Timeout} Interval handle (call clearInterval to stop)
+ */
+export const startWebhookDeliveryJob = () => {
+  let running = false;
+  let requested = false;
+
+  const run = async () => {
+    // Run again once the current run ends rather than overlap it
+    if (running) {
+      requested = true;
+      return;
+    }
+    running = true;
+
+    try {
+      const { sent, succeeded } = await deliverDueWebhooks();
+      if (sent > 0) {
+        console.log(`🪝 Sent ${sent} webhook delivery(ies), ${succeeded} succeeded`);
+      }
+    } catch (error) {
+      console.error('Error delivering webhooks:', error);
+    } finally {
+      running = false;
+      if (requested) {
+        requested = false;
+        run();
+      }
+    }
+  };
+
+  runDeliveries = run;
+  run();
+  const timer = setInterval(run, getDeliveryIntervalMs());
+  timer.unref(); // Don't keep the process alive just for deliveries
+  return timer;
+};
@@ -0,0 +1,55 @@
+import User from '../models/User.js';
+import { hasPermission } from '../config/roles.js';
+import { verifyToken, getBearerToken } from '../utils/token.js';
+
+/**
+ * Require a valid bearer token
+ * Loads the user and attaches it to req.user
+ */
+export const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+
+  try {
+    const payload = verifyToken(token);
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token',
+    });
+  }
+};
+
+/**
+ * Require the authenticated user's role to grant a permission
+ * Must run after authenticate
+ * @param {string} permission - Permission from config/roles.js
+ */
+export const authorize = (permission) => {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+      });
+    }
+    next();
+  };
+};
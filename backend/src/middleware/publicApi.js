@@ -0,0 +1,35 @@
+import cors from 'cors';
+import { rateLimit } from 'express-rate-limit';
+import { getPublicRateLimitWindowMs, getPublicRateLimitMax } from '../config/publicApi.js';
+
+/**
+ * Public API middleware
+ * Anyone may read published menus from any origin, without credentials
+ */
+
+/**
+ * Allow cross-origin GETs from any site (no cookies or auth headers)
+ */
+export const publicCors = cors({
+  origin: '*',
+  methods: ['GET', 'HEAD'],
+});
+
+/**
+ * Limit requests per client IP, separately from the admin API
+ * Call once at startup, after env is loaded
+ * @returns {Function} Middleware answering 429 once a client exceeds the limit
+ */
+export const createPublicRateLimit = () =>
+  rateLimit({
+    windowMs: getPublicRateLimitWindowMs(),
+    limit: getPublicRateLimitMax(),
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+      res.status(options.statusCode).json({
+        success: false,
+        message: 'Too many requests, please try again later',
+      });
+    },
+  });
@@ -0,0 +1,62 @@
+import multer from 'multer';
+import { getMaxImageSizeBytes } from '../config/storage.js';
+import { ACCEPTED_IMAGE_TYPES } from '../utils/imageProcessing.js';
+
+// Largest import file accepted (bytes)
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+
+const toMegabytes = (bytes) => Math.round((bytes / (1024 * 1024)) * 10) / 10;
+
+/**
+ * Build middleware accepting one optional file in `field`, kept in memory
+ * Upload errors (too large, unexpected field, rejected type) are answered with a 400
+ * @param {string} field - Multipart field name
+ * @param {Object} options - { maxSize, accept }
+ *   maxSize: bytes, or a function returning bytes (read on first use, after env is loaded)
+ *   accept: allowed MIME types (any when omitted)
+ */
+const singleFileUpload = (field, { maxSize, accept }) => {
+  let upload = null;
+  let limit = null;
+
+  return (req, res, next) => {
+    if (!upload) {
+      limit = typeof maxSize === 'function' ? maxSize() : maxSize;
+      upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: limit, files: 1 },
+        fileFilter: (req, file, callback) => {
+          if (accept && !accept.includes(file.mimetype)) {
+            return callback(Object.assign(new Error(`Unsupported file type: ${file.mimetype}`), { status: 400 }));
+          }
+          callback(null, true);
+        },
+      }).single(field);
+    }
+
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError || error?.status === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE'
+            ? `File must be at most ${toMegabytes(limit)}MB`
+            : error.message,
+        });
+      }
+      next(error);
+    });
+  };
+};
+
+/**
+ * Accept an optional single import file in the "file" field
+ */
+export const uploadImportFile = singleFileUpload('file', { maxSize: MAX_IMPORT_SIZE });
+
+/**
+ * Accept a single image in the "image" field
+ */
+export const uploadImageFile = singleFileUpload('image', {
+  maxSize: getMaxImageSizeBytes,
+  accept: ACCEPTED_IMAGE_TYPES,
+});
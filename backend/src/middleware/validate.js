@@ -0,0 +1,18 @@
+import { validateSchema, sendValidationError } from '../utils/validation.js';
+
+/**
+ * Validate a request's params, query and/or body against schemas
+ * (see utils/validation.js). Invalid requests are answered with a 400 listing
+ * every offending field, before the controller runs
+ * @param {Object} schemas - { params, query, body }, each a schema or omitted
+ */
+export const validateRequest = (schemas) => (req, res, next) => {
+  const errors = ['params', 'query', 'body'].flatMap((source) =>
+    schemas[source] ? validateSchema(schemas[source], req[source] || {}) : []
+  );
+
+  if (errors.length > 0) {
+    return sendValidationError(res, 400, errors);
+  }
+  next();
+};
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'delete',
+  'restore',
+  'purge',
+  'publish',
+  'unpublish',
+  'revert',
+];
+
+/**
+ * AuditLog Schema
+ * One record per change to a dish: who did what, when, and what changed
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    dishId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: String,
+      role: String,
+    },
+    // Field-level diff: [{ field, from, to }]
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Full document snapshots (null before create / after delete)
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    request: {
+      ip: String,
+      userAgent: String,
+      method: String,
+      path: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }, // Audit records are never updated
+  }
+);
+
+// Indexes backing the history and audit list filters
+auditLogSchema.index({ dishId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.username': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Create model from schema
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
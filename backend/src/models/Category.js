@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import { MAX_CATEGORY_LENGTH } from '../config/dishAttributes.js';
+
+// Category names are unique regardless of case ("Mains" and "mains" clash)
+export const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Category Schema
+ * A menu section (e.g. Starters, Mains, Desserts). Dishes reference a
+ * category and are ordered within it by their own position
+ */
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Category name is required'],
+      trim: true,
+      maxlength: [MAX_CATEGORY_LENGTH, `Category name must be at most ${MAX_CATEGORY_LENGTH} characters`],
+    },
+    position: {
+      type: Number,
+      default: 0, // Order of the section on the menu (lowest first)
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+categorySchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+categorySchema.index({ position: 1, name: 1 });
+
+// New categories go to the end of the menu unless given a position
+categorySchema.pre('save', async function () {
+  if (!this.isNew || this.isModified('position')) return;
+
+  const last = await this.constructor.findOne().sort({ position: -1 }).select('position').lean();
+  this.position = last ? last.position + 1 : 0;
+});
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/**
+ * Change Stream Checkpoint Schema
+ * Resume token of the latest change whose events were all queued for webhooks
+ * (see jobs/dishChangeWatcher.js), so a restarted server resumes the stream
+ * there instead of missing the changes made while it was down.
+ * Instances share it: any saved token means every earlier change was queued
+ */
+const changeStreamCheckpointSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Watched collection, e.g. "dishes"
+    },
+    resumeToken: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ChangeStreamCheckpoint = mongoose.model('ChangeStreamCheckpoint', changeStreamCheckpointSchema);
+
+export default ChangeStreamCheckpoint;
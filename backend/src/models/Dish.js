@@ -1,4 +1,83 @@
 import mongoose from 'mongoose';
+import { escapeRegex } from '../utils/dishQuery.js';
+import { tokenize, scoreTextMatch } from '../utils/textSearch.js';
+import { IMAGE_HEALTH_STATUSES } from '../utils/imageHealth.js';
+import {
+  ALLERGENS,
+  DIETARY_FLAGS,
+  SPICE_LEVEL_MIN,
+  SPICE_LEVEL_MAX,
+  MAX_PREP_TIME_MINUTES,
+  MAX_DESCRIPTION_LENGTH,
+  isValidCurrency,
+} from '../config/dishAttributes.js';
+
+// Upper bound on documents scanned for prefix/typo-tolerant matching per search
+const FUZZY_CANDIDATE_LIMIT = 500;
+
+// One rendered size of an uploaded image, in its base format and as WebP
+const imageVariantSchema = new mongoose.Schema(
+  {
+    url: String,
+    webpUrl: String,
+    width: Number,
+    height: Number,
+  },
+  { _id: false }
+);
+
+// Uploaded image; imageUrl points at its large variant
+const imageSchema = new mongoose.Schema(
+  {
+    key: String, // Storage key prefix holding every variant
+    width: Number,
+    height: Number,
+    variants: {
+      large: imageVariantSchema,
+      medium: imageVariantSchema,
+      thumb: imageVariantSchema,
+    },
+    uploadedAt: Date,
+  },
+  { _id: false }
+);
+
+// Price in a given currency; amount is in major units (e.g. 12.50)
+const priceSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true, min: [0, 'Price cannot be negative'] },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      validate: { validator: isValidCurrency, message: '{VALUE} is not a valid currency code' },
+    },
+  },
+  { _id: false }
+);
+
+// Membership of a menu, with the dish's publish state on that menu
+const menuEntrySchema = new mongoose.Schema(
+  {
+    menu: { type: mongoose.Schema.Types.ObjectId, ref: 'Menu', required: true },
+    isPublished: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// Result of the latest image health check (see jobs/imageHealthChecker.js)
+const imageHealthSchema = new mongoose.Schema(
+  {
+    url: String, // URL that was checked
+    status: { type: String, enum: IMAGE_HEALTH_STATUSES },
+    httpStatus: Number,
+    contentType: String,
+    contentLength: Number,
+    error: String,
+    checkedAt: Date,
+  },
+  { _id: false }
+);
 
 /**
  * Dish Schema
@@ -20,20 +99,189 @@ const dishSchema = new mongoose.Schema(
     },
     imageUrl: {
       type: String,
-      required: [true, 'Image URL is required'],
+      default: null, // External URL, or the large variant of an uploaded image
       trim: true,
     },
+    image: {
+      type: imageSchema,
+      default: null, // Set when an image is uploaded rather than linked
+    },
+    imageHealth: {
+      type: imageHealthSchema,
+      default: null, // null until the image has been checked
+    },
+    price: {
+      type: priceSchema,
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [MAX_DESCRIPTION_LENGTH, `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`],
+      default: null,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null, // null = uncategorized
+    },
+    position: {
+      type: Number,
+      default: 0, // Order within the category (lowest first)
+    },
+    allergens: {
+      type: [{ type: String, enum: ALLERGENS }],
+      default: [],
+    },
+    dietaryFlags: {
+      type: [{ type: String, enum: DIETARY_FLAGS }],
+      default: [],
+    },
+    spiceLevel: {
+      type: Number,
+      min: SPICE_LEVEL_MIN,
+      max: SPICE_LEVEL_MAX,
+      default: null,
+    },
+    prepTimeMinutes: {
+      type: Number,
+      min: 0,
+      max: MAX_PREP_TIME_MINUTES,
+      default: null,
+    },
     isPublished: {
       type: Boolean,
       default: false, // Default to unpublished
     },
+    menus: {
+      type: [menuEntrySchema],
+      default: [], // Menus the dish is on, each published separately from isPublished
+    },
+    publishAt: {
+      type: Date,
+      default: null, // When set, the scheduler publishes the dish at this time
+    },
+    unpublishAt: {
+      type: Date,
+      default: null, // When set, the scheduler unpublishes the dish at this time
+    },
+    revision: {
+      type: Number,
+      default: 0, // Incremented on every change; matches the latest DishVersion
+    },
+    deletedAt: {
+      type: Date,
+      default: null, // Set when the dish is moved to the trash
+    },
+    deletedBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: String,
+    },
+    changeBatch: {
+      type: String,
+      default: null, // Bulk action or import that last wrote the dish (it sends its own socket event)
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt
   }
 );
 
+// Indexes backing list filters and sorting
+dishSchema.index({ dishName: 1, dishId: 1 });
+dishSchema.index({ isPublished: 1, dishName: 1 });
+dishSchema.index({ deletedAt: 1 });
+dishSchema.index({ publishAt: 1 }, { sparse: true });
+dishSchema.index({ unpublishAt: 1 }, { sparse: true });
+dishSchema.index({ category: 1, position: 1 });
+dishSchema.index({ 'price.amount': 1 });
+dishSchema.index({ 'menus.menu': 1, 'menus.isPublished': 1 });
+dishSchema.index({ 'imageHealth.status': 1 });
+dishSchema.index({ 'imageHealth.checkedAt': 1 });
+dishSchema.index({ updatedAt: 1 }); // Change polling (see jobs/dishChangeWatcher.js)
+
+// Full-text index for search. description/tags are included up front so that
+// adding those fields later doesn't require rebuilding the (single) text index.
+dishSchema.index(
+  { dishName: 'text', tags: 'text', description: 'text' },
+  {
+    name: 'dish_text_search',
+    weights: { dishName: 10, tags: 5, description: 1 },
+  }
+);
+
+/**
+ * Search dishes by relevance
+ * Combines MongoDB full-text matches (ranked by textScore) with prefix and
+ * typo-tolerant matches on dishName, so "marg" and "margarita" both find
+ * "Margherita Pizza"
+ * @param {string} q - Search query
+ * @param {Object} options - { limit, filter } where filter is an extra Mongo filter
+ * @returns {Promise<Object[]>} Plain dish objects with a `relevance` score, best first
+ */
+dishSchema.statics.search = async function (q, { limit = 20, filter = {} } = {}) {
+  const terms = tokenize(q);
+  if (terms.length === 0) return [];
+
+  // Candidates whose name has a word starting with the first letters of any term
+  const prefixes = [...new Set(terms.map((term) => escapeRegex(term.slice(0, 2))))];
+  const namePattern = `(^|\\s)(${prefixes.join('|')})`;
+
+  const [textMatches, nameCandidates] = await Promise.all([
+    this.find(
+      { ...filter, $text: { $search: terms.join(' ') } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit * 2)
+      .lean(),
+    this.find({ ...filter, dishName: { $regex: namePattern, $options: 'i' } })
+      .limit(FUZZY_CANDIDATE_LIMIT)
+      .lean(),
+  ]);
+
+  // Merge both result sets, keyed by dishId
+  const ranked = new Map();
+  for (const dish of [...textMatches, ...nameCandidates]) {
+    const entry = ranked.get(dish.dishId) || { dish, textScore: 0 };
+    if (dish.score) entry.textScore = dish.score;
+    ranked.set(dish.dishId, entry);
+  }
+
+  return [...ranked.values()]
+    .map(({ dish, textScore }) => {
+      // Name matches are weighted to sit on the same scale as the dishName text weight
+      const relevance = textScore + scoreTextMatch(terms, dish.dishName) * 5;
+      const result = { ...dish, relevance: Math.round(relevance * 100) / 100 };
+      delete result.score;
+      return result;
+    })
+    .filter((dish) => dish.relevance > 0)
+    .sort((a, b) => b.relevance - a.relevance || a.dishName.localeCompare(b.dishName))
+    .slice(0, limit);
+};
+
+// A new image URL hasn't been checked yet; drop the old result so it's picked up by the next run
+dishSchema.pre('save', function () {
+  if (!this.isNew && this.isModified('imageUrl')) {
+    this.imageHealth = null;
+  }
+});
+
+// Dishes created in or moved to a category go to the end of it unless given a position
+dishSchema.pre('save', async function () {
+  if ((!this.isNew && !this.isModified('category')) || this.isModified('position')) return;
+
+  const last = await this.constructor
+    .findOne({ category: this.category, deletedAt: null, _id: { $ne: this._id } })
+    .sort({ position: -1 })
+    .select('position')
+    .lean();
+  this.position = last ? last.position + 1 : 0;
+});
+
 // Create model from schema
+
 const Dish = mongoose.model('Dish', dishSchema);
 
 export default Dish;
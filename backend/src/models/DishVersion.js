@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/**
+ * DishVersion Schema
+ * Immutable snapshot of a dish's content at a given revision
+ */
+const dishVersionSchema = new mongoose.Schema(
+  {
+    dishId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Dish content at this revision (no _id, timestamps or revision counter)
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // What produced this revision: create, update, publish, unpublish, revert, restore or baseline
+    action: {
+      type: String,
+      required: true,
+    },
+    // Set when the revision was produced by reverting to an older version
+    revertedFrom: {
+      type: Number,
+      default: null,
+    },
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: String,
+      role: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }, // Versions are never updated
+  }
+);
+
+// One snapshot per revision of a dish
+dishVersionSchema.index({ dishId: 1, version: -1 }, { unique: true });
+
+// Create model from schema
+const DishVersion = mongoose.model('DishVersion', dishVersionSchema);
+
+export default DishVersion;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { MAX_MENU_NAME_LENGTH, WEEKDAYS, isValidTimezone } from '../config/menus.js';
+import { NAME_COLLATION } from './Category.js';
+
+// "HH:MM" on a 24-hour clock; 24:00 is allowed as a closing time
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// One availability window, e.g. Mon-Fri 11:30-15:00. A window that closes
+// at or before it opens runs past midnight into the next day
+const hoursSchema = new mongoose.Schema(
+  {
+    days: {
+      type: [{ type: Number, enum: WEEKDAYS }],
+      validate: { validator: (days) => days.length > 0, message: 'Pick at least one day' },
+    },
+    open: { type: String, required: true, match: [TIME_PATTERN, 'Times must be HH:MM'] },
+    close: { type: String, required: true, match: [TIME_PATTERN, 'Times must be HH:MM'] },
+  },
+  { _id: false }
+);
+
+/**
+ * Menu Schema
+ * A menu (lunch, dinner, catering...) with its own availability hours.
+ * Dishes list the menus they're on, each with its own publish state
+ */
+const menuSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Menu name is required'],
+      trim: true,
+      maxlength: [MAX_MENU_NAME_LENGTH, `Menu name must be at most ${MAX_MENU_NAME_LENGTH} characters`],
+    },
+    timezone: {
+      type: String,
+      required: true,
+      validate: { validator: isValidTimezone, message: '{VALUE} is not a valid time zone' },
+    },
+    hours: {
+      type: [hoursSchema],
+      default: [], // Empty = available at all times
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+menuSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+const Menu = mongoose.model('Menu', menuSchema);
+
+export default Menu;
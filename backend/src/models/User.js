@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { ROLES, ROLE_PERMISSIONS } from '../config/roles.js';
+
+/**
+ * User Schema
+ * Dashboard users who sign in to manage dishes
+ */
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: [true, 'Username is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    password: {
+      type: String,
+      required: [true, 'Password is required'],
+      minlength: [8, 'Password must be at least 8 characters'],
+      select: false, // Never returned unless explicitly requested
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(', ')}`,
+      },
+      default: 'viewer',
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function () {
+  if (!this.isModified('password')) return;
+  this.password = await bcrypt.hash(this.password, 10);
+});
+
+/**
+ * Compare a plain-text password against the stored hash
+ * Requires the document to be loaded with .select('+password')
+ */
+userSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Public representation sent to clients (includes the role's permissions)
+ */
+userSchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    username: this.username,
+    role: this.role,
+    permissions: ROLE_PERMISSIONS[this.role] || [],
+  };
+};
+
+// Create model from schema
+const User = mongoose.model('User', userSchema);
+
+export default User;
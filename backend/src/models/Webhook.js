@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS, MAX_WEBHOOK_URL_LENGTH, MAX_WEBHOOK_DESCRIPTION_LENGTH } from '../config/webhooks.js';
+
+/**
+ * Webhook Schema
+ * A URL that dish events are POSTed to, signed with the webhook's secret
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, 'Webhook URL is required'],
+      trim: true,
+      maxlength: [MAX_WEBHOOK_URL_LENGTH, `URL must be at most ${MAX_WEBHOOK_URL_LENGTH} characters`],
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: { validator: (events) => events.length > 0, message: 'Pick at least one event' },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [
+        MAX_WEBHOOK_DESCRIPTION_LENGTH,
+        `Description must be at most ${MAX_WEBHOOK_DESCRIPTION_LENGTH} characters`,
+      ],
+      default: null,
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false, // Only shown when the webhook is created or its secret rotated
+    },
+    isActive: {
+      type: Boolean,
+      default: true, // Inactive webhooks get no new deliveries; pending ones wait
+    },
+    createdBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: String,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
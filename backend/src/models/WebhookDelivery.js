@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Delivery records (and their attempt logs) are removed after this long
+const DELIVERY_LOG_RETENTION_DAYS = 30;
+
+// One POST to the webhook URL
+const attemptSchema = new mongoose.Schema(
+  {
+    number: Number, // 1 for the first attempt, counting redeliveries
+    attemptedAt: Date,
+    durationMs: Number,
+    httpStatus: { type: Number, default: null }, // null when no response arrived
+    responseBody: { type: String, default: null }, // First characters of the response
+    error: { type: String, default: null },
+    manual: { type: Boolean, default: false }, // Made by a redeliver request
+  },
+  { _id: false }
+);
+
+/**
+ * WebhookDelivery Schema
+ * One event sent to one webhook, with every attempt made to deliver it
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    // Same for every webhook receiving the event; receivers use it to drop duplicates
+    eventId: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Request body, sent as JSON
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'pending',
+    },
+    attemptCount: {
+      type: Number,
+      default: 0, // Attempts since the delivery was queued or last redelivered
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now, // null once succeeded or failed
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: [attemptSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// An event is queued once per webhook, even when several instances see it
+webhookDeliverySchema.index({ webhook: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
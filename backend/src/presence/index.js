@@ -0,0 +1,51 @@
+import { getPubSubDriver, getRedisUrl, getChannelPrefix } from '../config/pubsub.js';
+import { createMemoryPresence } from './memoryPresence.js';
+import { createRedisPresence } from './redisPresence.js';
+
+/**
+ * Presence stores
+ * A store tracks who is connected and which dishes are open for editing,
+ * across every instance that shares it:
+ *   addConnection(socketId, user)   -> Promise<void>
+ *   removeConnection(socketId)      -> Promise<dishIds>   (locks it released)
+ *   listOnlineUsers()               -> Promise<users>
+ *   listLocks()                     -> Promise<locks>
+ *   acquireLock(dishId, socketId)   -> Promise<{ lock, acquired }>   (lock is null once disconnected)
+ *   releaseLock(dishId, socketId)   -> Promise<boolean>
+ *   close()                         -> Promise<void>
+ * Locks are advisory (the REST API doesn't check them; stale writes are caught
+ * by revision checks) and belong to a socket, so they go away when it disconnects.
+ * The store follows PUBSUB_DRIVER, so instances sharing events share presence too
+ */
+
+const factories = {
+  memory: () => createMemoryPresence(),
+  redis: () => createRedisPresence({ url: getRedisUrl(), prefix: getChannelPrefix() }),
+};
+
+let store = null;
+
+/**
+ * Register a presence store factory
+ * @param {string} driver - Name used in PUBSUB_DRIVER
+ * @param {Function} factory - Returns a store
+ */
+export const registerPresenceStore = (driver, factory) => {
+  factories[driver] = factory;
+};
+
+/**
+ * Get the configured presence store (created on first use)
+ * @returns {Object} Presence store
+ * @throws {Error} When PUBSUB_DRIVER names a driver without a presence store
+ */
+export const getPresenceStore = () => {
+  if (!store) {
+    const driver = getPubSubDriver();
+    if (!factories[driver]) {
+      throw new Error(`No presence store for PUBSUB_DRIVER "${driver}"`);
+    }
+    store = factories[driver]();
+  }
+  return store;
+};
@@ -0,0 +1,111 @@
+// Shared by every memory store in this process
+// socket id -> user ({ id, username, role })
+const sharedConnections = new Map();
+// dishId -> { dishId, user: { id, username }, socketId, acquiredAt }
+const sharedLocks = new Map();
+
+/**
+ * Lock as sent to clients (without the owning socket)
+ */
+const toPublicLock = ({ dishId, user, acquiredAt }) => ({ dishId, user, acquiredAt });
+
+/**
+ * In-memory presence store
+ * Only sockets of this process are seen. Stores created in one process share
+ * their state, like memory pub/sub adapters share a bus
+ * @returns {Object} Presence store
+ */
+export const createMemoryPresence = () => {
+  const connections = sharedConnections;
+  const locks = sharedLocks;
+
+  return {
+    name: 'memory',
+
+    /**
+     * Record a connected user's socket
+     * @param {string} socketId - Socket id
+     * @param {Object} user - Public user ({ id, username, role })
+     */
+    async addConnection(socketId, user) {
+      connections.set(socketId, { id: String(user.id), username: user.username, role: user.role });
+    },
+
+    /**
+     * Forget a socket and release every lock it held
+     * @param {string} socketId - Socket id
+     * @returns {Promise<string[]>} dishIds whose locks were released
+     */
+    async removeConnection(socketId) {
+      connections.delete(socketId);
+
+      const released = [];
+      for (const [dishId, lock] of locks) {
+        if (lock.socketId === socketId) {
+          locks.delete(dishId);
+          released.push(dishId);
+        }
+      }
+      return released;
+    },
+
+    /**
+     * Users with at least one open connection, with how many they have
+     * @returns {Promise<Object[]>} [{ id, username, role, connections }] sorted by username
+     */
+    async listOnlineUsers() {
+      const users = new Map();
+      for (const user of connections.values()) {
+        const entry = users.get(user.id) || { ...user, connections: 0 };
+        entry.connections += 1;
+        users.set(user.id, entry);
+      }
+      return [...users.values()].sort((a, b) => a.username.localeCompare(b.username));
+    },
+
+    /**
+     * Every held lock
+     * @returns {Promise<Object[]>} [{ dishId, user, acquiredAt }]
+     */
+    async listLocks() {
+      return [...locks.values()].map(toPublicLock);
+    },
+
+    /**
+     * Lock a dish for editing by a socket
+     * Re-acquiring a lock the socket already holds succeeds
+     * @param {string} dishId - Dish to lock
+     * @param {string} socketId - Socket asking for the lock
+     * @returns {Promise<Object>} { lock, acquired }: acquired is false when someone else holds it;
+     *   lock is null when the socket is no longer connected
+     */
+    async acquireLock(dishId, socketId) {
+      const held = locks.get(dishId);
+      if (held) {
+        return { lock: toPublicLock(held), acquired: held.socketId === socketId };
+      }
+
+      const connection = connections.get(socketId);
+      if (!connection) return { lock: null, acquired: false };
+
+      const { id, username } = connection;
+      const lock = { dishId, user: { id, username }, socketId, acquiredAt: new Date() };
+      locks.set(dishId, lock);
+      return { lock: toPublicLock(lock), acquired: true };
+    },
+
+    /**
+     * Release a socket's lock on a dish
+     * @param {string} dishId - Locked dish
+     * @param {string} socketId - Socket releasing it (only the holder can)
+     * @returns {Promise<boolean>} Whether a lock was released
+     */
+    async releaseLock(dishId, socketId) {
+      if (locks.get(dishId)?.socketId !== socketId) return false;
+      locks.delete(dishId);
+      return true;
+    },
+
+    async close() {},
+  };
+};
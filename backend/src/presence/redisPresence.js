@@ -0,0 +1,231 @@
+import { randomUUID } from 'crypto';
+import { createClient } from 'redis';
+
+// Each instance refreshes a key this often; once it expires (the instance
+// stopped or crashed), its connections and locks are ignored and cleaned up
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const INSTANCE_TTL_MS = 30 * 1000;
+
+// Replace (or, with an empty new value, delete) a hash field only if it still
+// holds the value read, so concurrent instances can't overwrite each other
+const COMPARE_AND_SET = `
+if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then
+  if ARGV[3] == '' then
+    redis.call('HDEL', KEYS[1], ARGV[1])
+  else
+    redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+  end
+  return 1
+end
+return 0
+`;
+
+/**
+ * Lock as sent to clients (without the owning socket and instance)
+ */
+const toPublicLock = ({ dishId, user, acquiredAt }) => ({ dishId, user, acquiredAt });
+
+/**
+ * Redis presence store
+ * Connections and locks live in two hashes shared by every instance
+ * (`<prefix>:presence:connections` and `<prefix>:presence:locks`), so users see
+ * each other whichever instance they're on, and a dish can only be locked once.
+ * Entries record the instance holding the socket
+ * @param {Object} options - { url, prefix }
+ * @returns {Object} Presence store
+ */
+export const createRedisPresence = ({ url, prefix }) => {
+  const client = createClient({ url });
+  const instance = randomUUID();
+  const connectionsKey = `${prefix}:presence:connections`;
+  const locksKey = `${prefix}:presence:locks`;
+  const instanceKey = (id) => `${prefix}:presence:instance:${id}`;
+  let connecting = null;
+  let heartbeat = null;
+
+  // Errors are logged and the client keeps reconnecting on its own
+  client.on('error', (error) => console.error('Redis presence error:', error.message));
+
+  const beat = () => client.set(instanceKey(instance), '1', { PX: INSTANCE_TTL_MS });
+
+  /**
+   * Connect once and start the heartbeat
+   * A failed attempt isn't kept, so the next call tries again
+   */
+  const connect = () => {
+    connecting ??= (async () => {
+      if (!client.isOpen) await client.connect();
+      await beat();
+
+      heartbeat ??= setInterval(() => {
+        beat().catch((error) => console.error('Redis presence heartbeat failed:', error.message));
+      }, HEARTBEAT_INTERVAL_MS);
+      heartbeat.unref();
+    })().catch((error) => {
+      connecting = null;
+      throw error;
+    });
+    return connecting;
+  };
+
+  const compareAndSet = async (key, field, expected, value = '') =>
+    (await client.eval(COMPARE_AND_SET, { keys: [key], arguments: [field, expected, value] })) === 1;
+
+  /**
+   * Which of the given instances are still running
+   * @param {string[]} instances - Instance ids
+   * @returns {Promise<Set<string>>}
+   */
+  const findLive = async (instances) => {
+    const ids = [...new Set(instances)];
+    const exists = await Promise.all(
+      ids.map((id) => (id === instance ? 1 : client.exists(instanceKey(id))))
+    );
+    return new Set(ids.filter((id, index) => exists[index]));
+  };
+
+  /**
+   * Read a hash of JSON entries, dropping (and deleting) those of stopped instances
+   * @param {string} key - Hash key
+   * @returns {Promise<Array>} [[field, entry, raw]] of live instances
+   */
+  const readLive = async (key) => {
+    const entries = Object.entries(await client.hGetAll(key)).map(([field, raw]) => [field, JSON.parse(raw), raw]);
+    const live = await findLive(entries.map(([, entry]) => entry.instance));
+
+    const stale = entries.filter(([, entry]) => !live.has(entry.instance));
+    await Promise.all(stale.map(([field, , raw]) => compareAndSet(key, field, raw)));
+
+    return entries.filter(([, entry]) => live.has(entry.instance));
+  };
+
+  return {
+    name: 'redis',
+
+    /**
+     * Record a connected user's socket
+     * @param {string} socketId - Socket id
+     * @param {Object} user - Public user ({ id, username, role })
+     */
+    async addConnection(socketId, user) {
+      await connect();
+      const entry = { id: String(user.id), username: user.username, role: user.role, instance };
+      await client.hSet(connectionsKey, socketId, JSON.stringify(entry));
+    },
+
+    /**
+     * Forget a socket and release every lock it held
+     * @param {string} socketId - Socket id
+     * @returns {Promise<string[]>} dishIds whose locks were released
+     */
+    async removeConnection(socketId) {
+      await connect();
+      await client.hDel(connectionsKey, socketId);
+
+      const held = Object.entries(await client.hGetAll(locksKey)).filter(
+        ([, raw]) => JSON.parse(raw).socketId === socketId
+      );
+      const released = await Promise.all(held.map(([dishId, raw]) => compareAndSet(locksKey, dishId, raw)));
+      return held.filter((_, index) => released[index]).map(([dishId]) => dishId);
+    },
+
+    /**
+     * Users with at least one open connection, on any instance, with how many they have
+     * @returns {Promise<Object[]>} [{ id, username, role, connections }] sorted by username
+     */
+    async listOnlineUsers() {
+      await connect();
+
+      const users = new Map();
+      for (const [, { id, username, role }] of await readLive(connectionsKey)) {
+        const entry = users.get(id) || { id, username, role, connections: 0 };
+        entry.connections += 1;
+        users.set(id, entry);
+      }
+      return [...users.values()].sort((a, b) => a.username.localeCompare(b.username));
+    },
+
+    /**
+     * Every held lock
+     * @returns {Promise<Object[]>} [{ dishId, user, acquiredAt }]
+     */
+    async listLocks() {
+      await connect();
+      return (await readLive(locksKey)).map(([, lock]) => toPublicLock(lock));
+    },
+
+    /**
+     * Lock a dish for editing by a socket
+     * Re-acquiring a lock the socket already holds succeeds, and a lock held
+     * by a stopped instance is taken over
+     * @param {string} dishId - Dish to lock
+     * @param {string} socketId - Socket asking for the lock
+     * @returns {Promise<Object>} { lock, acquired }: acquired is false when someone else holds it;
+     *   lock is null when the socket is no longer connected
+     */
+    async acquireLock(dishId, socketId) {
+      await connect();
+
+      // Removed by a disconnect (or cleanup) running at the same time
+      const connection = await client.hGet(connectionsKey, socketId);
+      if (!connection) return { lock: null, acquired: false };
+
+      const { id, username } = JSON.parse(connection);
+      const lock = { dishId, user: { id, username }, socketId, instance, acquiredAt: new Date() };
+      const value = JSON.stringify(lock);
+
+      if (await client.hSetNX(locksKey, dishId, value)) {
+        // A disconnect that ran in between didn't see this lock: give it back
+        if (!(await client.hExists(connectionsKey, socketId))) {
+          await compareAndSet(locksKey, dishId, value);
+          return { lock: null, acquired: false };
+        }
+        return { lock: toPublicLock(lock), acquired: true };
+      }
+
+      const raw = await client.hGet(locksKey, dishId);
+      // Released in the meantime: try again
+      if (!raw) return this.acquireLock(dishId, socketId);
+
+      const held = JSON.parse(raw);
+      if (held.socketId === socketId) {
+        return { lock: toPublicLock(held), acquired: true };
+      }
+
+      if (!(await findLive([held.instance])).has(held.instance)) {
+        // Changed in the meantime: try again
+        if (!(await compareAndSet(locksKey, dishId, raw, value))) return this.acquireLock(dishId, socketId);
+        return { lock: toPublicLock(lock), acquired: true };
+      }
+
+      return { lock: toPublicLock(held), acquired: false };
+    },
+
+    /**
+     * Release a socket's lock on a dish
+     * @param {string} dishId - Locked dish
+     * @param {string} socketId - Socket releasing it (only the holder can)
+     * @returns {Promise<boolean>} Whether a lock was released
+     */
+    async releaseLock(dishId, socketId) {
+      await connect();
+
+      const raw = await client.hGet(locksKey, dishId);
+      if (!raw || JSON.parse(raw).socketId !== socketId) return false;
+      return compareAndSet(locksKey, dishId, raw);
+    },
+
+    /**
+     * Stop the heartbeat and close the connection
+     * Other instances then ignore (and clean up) this one's connections and locks
+     */
+    async close() {
+      clearInterval(heartbeat);
+      heartbeat = null;
+      if (!connecting) return;
+      await client.del(instanceKey(instance)).catch(() => {});
+      await client.close();
+      connecting = null;
+    },
+  };
+};
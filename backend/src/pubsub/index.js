@@ -0,0 +1,44 @@
+import { getPubSubDriver, getRedisUrl } from '../config/pubsub.js';
+import { createMemoryPubSub } from './memoryPubSub.js';
+import { createRedisPubSub } from './redisPubSub.js';
+
+/**
+ * Pub/sub adapters
+ * An adapter carries JSON messages between backend instances:
+ *   publish(channel, message)   -> Promise<void>
+ *   subscribe(channel, handler) -> Promise<unsubscribe>   (handler gets each message)
+ *   close()                     -> Promise<void>
+ * New brokers (e.g. NATS) register a factory under a driver name
+ */
+
+const factories = {
+  memory: () => createMemoryPubSub(),
+  redis: () => createRedisPubSub({ url: getRedisUrl() }),
+};
+
+let pubsub = null;
+
+/**
+ * Register a pub/sub adapter factory
+ * @param {string} driver - Name used in PUBSUB_DRIVER
+ * @param {Function} factory - Returns an adapter
+ */
+export const registerPubSubAdapter = (driver, factory) => {
+  factories[driver] = factory;
+};
+
+/**
+ * Get the configured pub/sub adapter (created on first use)
+ * @returns {Object} Pub/sub adapter
+ * @throws {Error} When PUBSUB_DRIVER names an unknown adapter
+ */
+export const getPubSub = () => {
+  if (!pubsub) {
+    const driver = getPubSubDriver();
+    if (!factories[driver]) {
+      throw new Error(`Unknown PUBSUB_DRIVER "${driver}"`);
+    }
+    pubsub = factories[driver]();
+  }
+  return pubsub;
+};
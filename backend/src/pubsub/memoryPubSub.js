@@ -0,0 +1,59 @@
+import { EventEmitter } from 'events';
+
+// Bus shared by every memory adapter in this process
+const sharedBus = new EventEmitter();
+sharedBus.setMaxListeners(0);
+
+/**
+ * In-memory pub/sub adapter
+ * Messages only reach subscribers in the same process. Adapters created on the
+ * same bus behave like separate instances connected to one broker, which is
+ * enough to run several Socket.IO servers side by side in tests
+ * @param {Object} options - { bus }: EventEmitter to use (defaults to one shared per process)
+ * @returns {Object} Pub/sub adapter
+ */
+export const createMemoryPubSub = ({ bus = sharedBus } = {}) => {
+  const listeners = new Set();
+
+  return {
+    name: 'memory',
+
+    /**
+     * Publish a message to a channel
+     * Delivery is asynchronous, as it is with a real broker
+     * @param {string} channel - Channel name
+     * @param {Object} message - JSON-serializable message
+     */
+    async publish(channel, message) {
+      const data = JSON.stringify(message);
+      setImmediate(() => bus.emit(channel, data));
+    },
+
+    /**
+     * Subscribe to a channel
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with each message
+     * @returns {Promise<Function>} Unsubscribe function
+     */
+    async subscribe(channel, handler) {
+      const listener = (data) => handler(JSON.parse(data));
+      bus.on(channel, listener);
+      listeners.add({ channel, listener });
+
+      return async () => {
+        bus.off(channel, listener);
+        for (const entry of listeners) {
+          if (entry.listener === listener) listeners.delete(entry);
+        }
+      };
+    },
+
+    /**
+     * Drop every subscription made through this adapter
+     */
+    async close() {
+      for (const { channel, listener } of listeners) bus.off(channel, listener);
+      listeners.clear();
+    },
+  };
+};
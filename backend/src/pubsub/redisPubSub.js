@@ -0,0 +1,69 @@
+import { createClient } from 'redis';
+
+/**
+ * Redis pub/sub adapter
+ * Works with any server speaking the Redis protocol (Redis, Valkey, KeyDB...).
+ * Publishing and subscribing use separate connections, as Redis requires
+ * @param {Object} options - { url }
+ * @returns {Object} Pub/sub adapter
+ */
+export const createRedisPubSub = ({ url }) => {
+  const publisher = createClient({ url });
+  const subscriber = publisher.duplicate();
+  let connecting = null;
+
+  // Errors are logged and the client keeps reconnecting on its own
+  publisher.on('error', (error) => console.error('Redis publisher error:', error.message));
+  subscriber.on('error', (error) => console.error('Redis subscriber error:', error.message));
+
+  /**
+   * Connect both clients once
+   * A failed attempt isn't kept, so the next call tries again (skipping a
+   * client that did connect)
+   */
+  const connect = () => {
+    connecting ??= Promise.all(
+      [publisher, subscriber].map((client) => (client.isOpen ? null : client.connect()))
+    ).catch((error) => {
+      connecting = null;
+      throw error;
+    });
+    return connecting;
+  };
+
+  return {
+    name: 'redis',
+
+    /**
+     * Publish a message to a channel
+     * @param {string} channel - Channel name
+     * @param {Object} message - JSON-serializable message
+     */
+    async publish(channel, message) {
+      await connect();
+      await publisher.publish(channel, JSON.stringify(message));
+    },
+
+    /**
+     * Subscribe to a channel
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with each message
+     * @returns {Promise<Function>} Unsubscribe function
+     */
+    async subscribe(channel, handler) {
+      await connect();
+      const listener = (data) => handler(JSON.parse(data));
+      await subscriber.subscribe(channel, listener);
+      return () => subscriber.unsubscribe(channel, listener);
+    },
+
+    /**
+     * Close both connections
+     */
+    async close() {
+      if (!connecting) return;
+      await Promise.allSettled([publisher.close(), subscriber.close()]);
+      connecting = null;
+    },
+  };
+};
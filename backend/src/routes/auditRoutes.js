@@ -0,0 +1,16 @@
+import express from 'express';
+import { getAuditLogs } from '../controllers/auditController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+/**
+ * Audit Routes
+ * All routes are prefixed with /api/audit
+ */
+
+// GET /api/audit - List audit records across all dishes (filterable)
+router.get('/', authenticate, authorize(PERMISSIONS.AUDIT_READ), getAuditLogs);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import { login, getCurrentUser } from '../controllers/authController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Auth Routes
+ * All routes are prefixed with /api/auth
+ */
+
+// POST /api/auth/login - Log in and receive a token
+router.post('/login', login);
+
+// GET /api/auth/me - Get the current user
+router.get('/me', authenticate, getCurrentUser);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  reorderCategories,
+} from '../controllers/categoryController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+/**
+ * Category Routes
+ * All routes are prefixed with /api/categories
+ * Reads require dish:read; changes require the category:manage permission
+ */
+
+// GET /api/categories - Get all categories in menu order
+router.get('/', authenticate, authorize(PERMISSIONS.DISH_READ), getCategories);
+
+// POST /api/categories - Create a category
+router.post('/', authenticate, authorize(PERMISSIONS.CATEGORY_MANAGE), createCategory);
+
+// PUT /api/categories/order - Reorder categories (drag and drop)
+router.put('/order', authenticate, authorize(PERMISSIONS.CATEGORY_MANAGE), reorderCategories);
+
+// PUT /api/categories/:categoryId - Rename a category
+router.put('/:categoryId', authenticate, authorize(PERMISSIONS.CATEGORY_MANAGE), updateCategory);
+
+// DELETE /api/categories/:categoryId - Delete an empty category
+router.delete('/:categoryId', authenticate, authorize(PERMISSIONS.CATEGORY_MANAGE), deleteCategory);
+
+export default router;
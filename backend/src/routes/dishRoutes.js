@@ -1,33 +1,211 @@
 import express from 'express';
 import {
   getDishes,
+  searchDishes,
   createDish,
   updateDish,
   deleteDish,
   togglePublishStatus,
 } from '../controllers/dishController.js';
+import { getDishHistory } from '../controllers/auditController.js';
+import { getDishVersions, getDishVersion, revertDish } from '../controllers/versionController.js';
+import { getTrash, restoreDish } from '../controllers/trashController.js';
+import { bulkAction } from '../controllers/bulkController.js';
+import { importDishes } from '../controllers/importController.js';
+import { exportDishes } from '../controllers/exportController.js';
+import { uploadDishImage, getImageHealth } from '../controllers/imageController.js';
+import { moveDish } from '../controllers/categoryController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { uploadImportFile, uploadImageFile } from '../middleware/upload.js';
+import { validateRequest } from '../middleware/validate.js';
+import { PERMISSIONS } from '../config/roles.js';
+import {
+  DISH_PARAMS,
+  VERSION_PARAMS,
+  LIST_QUERY,
+  EXPORT_QUERY,
+  SEARCH_QUERY,
+  IMAGE_HEALTH_QUERY,
+  TRASH_QUERY,
+  IMPORT_QUERY,
+  CREATE_DISH_BODY,
+  UPDATE_DISH_BODY,
+  REVERT_DISH_BODY,
+  TOGGLE_QUERY,
+  MOVE_DISH_BODY,
+  BULK_BODY,
+} from '../utils/dishSchemas.js';
 
 const router = express.Router();
 
 /**
  * Dish Routes
  * All routes are prefixed with /api/dishes
+ * Every route requires a token with the matching permission; customer-facing
+ * sites read published dishes from /api/public instead.
+ * Params, query and body are checked against the schemas in utils/dishSchemas.js
+ * (invalid requests get a 400 with field-level errors)
  */
 
-// GET /api/dishes - Get all dishes
-router.get('/', getDishes);
+// GET /api/dishes - Get dishes (paginated, filterable, sortable)
+router.get(
+  '/',
+  authenticate,
+  authorize(PERMISSIONS.DISH_READ),
+  validateRequest({ query: LIST_QUERY }),
+  getDishes
+);
+
+// GET /api/dishes/search?q= - Full-text search ranked by relevance
+router.get(
+  '/search',
+  authenticate,
+  authorize(PERMISSIONS.DISH_READ),
+  validateRequest({ query: SEARCH_QUERY }),
+  searchDishes
+);
+
+// GET /api/dishes/export?format=csv|json|xlsx - Download dishes matching the list filters
+router.get(
+  '/export',
+  authenticate,
+  authorize(PERMISSIONS.DISH_READ),
+  validateRequest({ query: EXPORT_QUERY }),
+  exportDishes
+);
+
+// GET /api/dishes/image-health - Broken/slow image report from the health checker
+router.get(
+  '/image-health',
+  authenticate,
+  authorize(PERMISSIONS.DISH_UPDATE),
+  validateRequest({ query: IMAGE_HEALTH_QUERY }),
+  getImageHealth
+);
+
+// GET /api/dishes/trash - List deleted dishes
+router.get(
+  '/trash',
+  authenticate,
+  authorize(PERMISSIONS.DISH_DELETE),
+  validateRequest({ query: TRASH_QUERY }),
+  getTrash
+);
 
 // POST /api/dishes - Create a new dish
-router.post('/', createDish);
+router.post(
+  '/',
+  authenticate,
+  authorize(PERMISSIONS.DISH_CREATE),
+  validateRequest({ body: CREATE_DISH_BODY }),
+  createDish
+);
+
+// POST /api/dishes/bulk - Publish, unpublish, delete or update many dishes
+// (per-action permissions are checked in the controller)
+router.post('/bulk', authenticate, validateRequest({ body: BULK_BODY }), bulkAction);
+
+// POST /api/dishes/import - Import dishes from a CSV/JSON file (?dryRun=true to validate only)
+router.post(
+  '/import',
+  authenticate,
+  authorize(PERMISSIONS.DISH_CREATE),
+  authorize(PERMISSIONS.DISH_UPDATE),
+  validateRequest({ query: IMPORT_QUERY }),
+  uploadImportFile,
+  importDishes
+);
+
+// PUT /api/dishes/:dishId - Update a dish (If-Match: "<revision>" rejects stale edits with 409)
+router.put(
+  '/:dishId',
+  authenticate,
+  authorize(PERMISSIONS.DISH_UPDATE),
+  validateRequest({ params: DISH_PARAMS, body: UPDATE_DISH_BODY }),
+  updateDish
+);
+
+// DELETE /api/dishes/:dishId - Move a dish to the trash
+router.delete(
+  '/:dishId',
+  authenticate,
+  authorize(PERMISSIONS.DISH_DELETE),
+  validateRequest({ params: DISH_PARAMS }),
+  deleteDish
+);
+
+// POST /api/dishes/:dishId/image - Upload an image (resized and converted to WebP)
+router.post(
+  '/:dishId/image',
+  authenticate,
+  authorize(PERMISSIONS.DISH_UPDATE),
+  validateRequest({ params: DISH_PARAMS }),
+  uploadImageFile,
+  uploadDishImage
+);
+
+// PUT /api/dishes/:dishId/position - Move a dish within or between categories (drag and drop)
+router.put(
+  '/:dishId/position',
+  authenticate,
+  authorize(PERMISSIONS.DISH_UPDATE),
+  validateRequest({ params: DISH_PARAMS, body: MOVE_DISH_BODY }),
+  moveDish
+);
+
+// POST /api/dishes/:dishId/restore - Restore a dish from the trash
+router.post(
+  '/:dishId/restore',
+  authenticate,
+  authorize(PERMISSIONS.DISH_DELETE),
+  validateRequest({ params: DISH_PARAMS }),
+  restoreDish
+);
+
+// GET /api/dishes/:dishId/history - Get a dish's change history
+router.get(
+  '/:dishId/history',
+  authenticate,
+  authorize(PERMISSIONS.AUDIT_READ),
+  validateRequest({ params: DISH_PARAMS }),
+  getDishHistory
+);
+
+// GET /api/dishes/:dishId/versions - List stored versions of a dish
+router.get(
+  '/:dishId/versions',
+  authenticate,
+  authorize(PERMISSIONS.AUDIT_READ),
+  validateRequest({ params: DISH_PARAMS }),
+  getDishVersions
+);
 
-// PUT /api/dishes/:dishId - Update a dish
-router.put('/:dishId', updateDish);
+// GET /api/dishes/:dishId/versions/:version - Get a single version
+router.get(
+  '/:dishId/versions/:version',
+  authenticate,
+  authorize(PERMISSIONS.AUDIT_READ),
+  validateRequest({ params: VERSION_PARAMS }),
+  getDishVersion
+);
 
-// DELETE /api/dishes/:dishId - Delete a dish
-router.delete('/:dishId', deleteDish);
+// POST /api/dishes/:dishId/revert/:version - Restore a version as a new revision
+router.post(
+  '/:dishId/revert/:version',
+  authenticate,
+  authorize(PERMISSIONS.DISH_UPDATE),
+  validateRequest({ params: VERSION_PARAMS, body: REVERT_DISH_BODY }),
+  revertDish
+);
 
-// PUT /api/dishes/:dishId/toggle - Toggle publish status
-router.put('/:dishId/toggle', togglePublishStatus);
+// PUT /api/dishes/:dishId/toggle - Toggle publish status (?menu=<id> for the state on one menu)
+router.put(
+  '/:dishId/toggle',
+  authenticate,
+  authorize(PERMISSIONS.DISH_PUBLISH),
+  validateRequest({ params: DISH_PARAMS, query: TOGGLE_QUERY }),
+  togglePublishStatus
+);
 
 export default router;
 
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getMenus,
+  createMenu,
+  updateMenu,
+  deleteMenu,
+  updateMenuDishes,
+} from '../controllers/menuController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+/**
+ * Menu Routes
+ * All routes are prefixed with /api/menus
+ * Reads require dish:read; managing menus requires menu:manage, membership dish:update
+ */
+
+// GET /api/menus - Get all menus with dish counts and whether each is open now
+router.get('/', authenticate, authorize(PERMISSIONS.DISH_READ), getMenus);
+
+// POST /api/menus - Create a menu
+router.post('/', authenticate, authorize(PERMISSIONS.MENU_MANAGE), createMenu);
+
+// PUT /api/menus/:menuId - Update a menu's name, time zone or hours
+router.put('/:menuId', authenticate, authorize(PERMISSIONS.MENU_MANAGE), updateMenu);
+
+// DELETE /api/menus/:menuId - Delete a menu (its dishes are kept)
+router.delete('/:menuId', authenticate, authorize(PERMISSIONS.MENU_MANAGE), deleteMenu);
+
+// PUT /api/menus/:menuId/dishes - Add dishes to or remove them from a menu
+router.put('/:menuId/dishes', authenticate, authorize(PERMISSIONS.DISH_UPDATE), updateMenuDishes);
+
+export default router;
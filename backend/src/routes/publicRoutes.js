@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getPublishedDishes,
+  getPublishedDish,
+  getPublicMenus,
+  getPublicMenu,
+} from '../controllers/publicController.js';
+
+const router = express.Router();
+
+/**
+ * Public Routes
+ * All routes are prefixed with /api/public
+ * Read-only and unauthenticated: only published dishes, with trimmed fields.
+ * Cacheable (ETag + Cache-Control); CORS and rate limiting are applied in server.js
+ */
+
+// GET /api/public/dishes - Published dishes grouped into menu sections
+router.get('/dishes', getPublishedDishes);
+
+// GET /api/public/dishes/:dishId - One published dish
+router.get('/dishes/:dishId', getPublishedDish);
+
+// GET /api/public/menus - Menus with hours and whether each is open now
+router.get('/menus', getPublicMenus);
+
+// GET /api/public/menus/:menuId - A menu with the dishes published on it
+router.get('/menus/:menuId', getPublicMenu);
+
+export default router;
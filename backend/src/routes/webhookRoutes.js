@@ -0,0 +1,87 @@
+import express from 'express';
+import {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery,
+} from '../controllers/webhookController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validate.js';
+import { PERMISSIONS } from '../config/roles.js';
+import {
+  WEBHOOK_PARAMS,
+  DELIVERY_PARAMS,
+  CREATE_WEBHOOK_BODY,
+  UPDATE_WEBHOOK_BODY,
+  DELIVERIES_QUERY,
+} from '../utils/webhookSchemas.js';
+
+const router = express.Router();
+
+/**
+ * Webhook Routes
+ * All routes are prefixed with /api/webhooks
+ * Every route requires the webhook:manage permission
+ */
+
+// GET /api/webhooks - Get all webhooks with pending/failed delivery counts
+router.get('/', authenticate, authorize(PERMISSIONS.WEBHOOK_MANAGE), getWebhooks);
+
+// POST /api/webhooks - Register a webhook (the response includes its signing secret)
+router.post(
+  '/',
+  authenticate,
+  authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  validateRequest({ body: CREATE_WEBHOOK_BODY }),
+  createWebhook
+);
+
+// PUT /api/webhooks/:webhookId - Update a webhook's URL, events, description or active state
+router.put(
+  '/:webhookId',
+  authenticate,
+  authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  validateRequest({ params: WEBHOOK_PARAMS, body: UPDATE_WEBHOOK_BODY }),
+  updateWebhook
+);
+
+// DELETE /api/webhooks/:webhookId - Delete a webhook and its delivery log
+router.delete(
+  '/:webhookId',
+  authenticate,
+  authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  validateRequest({ params: WEBHOOK_PARAMS }),
+  deleteWebhook
+);
+
+// POST /api/webhooks/:webhookId/secret - Replace the signing secret
+router.post(
+  '/:webhookId/secret',
+  authenticate,
+  authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  validateRequest({ params: WEBHOOK_PARAMS }),
+  rotateWebhookSecret
+);
+
+// GET /api/webhooks/:webhookId/deliveries - Delivery log, newest first
+router.get(
+  '/:webhookId/deliveries',
+  authenticate,
+  authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  validateRequest({ params: WEBHOOK_PARAMS, query: DELIVERIES_QUERY }),
+  getWebhookDeliveries
+);
+
+// POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver - Send a delivery again now
+router.post(
+  '/:webhookId/deliveries/:deliveryId/redeliver',
+  authenticate,
+  authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  validateRequest({ params: DELIVERY_PARAMS }),
+  redeliverWebhookDelivery
+);
+
+export default router;
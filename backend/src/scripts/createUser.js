@@ -0,0 +1,49 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { ROLES } from '../config/roles.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Create a user, or update the password/role of an existing one
+ * Usage: npm run create-user -- <username> <password> [role]
+ */
+const createUser = async () => {
+  const [username, password, role = 'viewer'] = process.argv.slice(2);
+
+  if (!username || !password) {
+    console.error('Usage: npm run create-user -- <username> <password> [role]');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Role must be one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const existing = await User.findOne({ username: username.toLowerCase() });
+    const user = existing || new User({ username });
+    user.password = password;
+    user.role = role;
+    await user.save();
+
+    console.log(`✅ ${existing ? 'Updated' : 'Created'} user "${user.username}" with role "${user.role}"`);
+
+    // Close connection
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating user:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run the script
+createUser();
@@ -0,0 +1,73 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { readFileSync } from 'fs';
+import { extname, resolve } from 'path';
+import { detectFormat, parseImport, validateImport, commitImport } from '../utils/dishImport.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Import dishes from a CSV or JSON file, upserting by dishId
+ * Unlike the seed script this never deletes existing dishes
+ * Usage: npm run import -- <file> [--dry-run] [--skip-invalid]
+ */
+const importDishes = async () => {
+  const args = process.argv.slice(2);
+  const file = args.find((arg) => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  const skipInvalid = args.includes('--skip-invalid');
+
+  if (!file) {
+    console.error('Usage: npm run import -- <file.csv|file.json> [--dry-run] [--skip-invalid]');
+    process.exit(1);
+  }
+
+  try {
+    const format = detectFormat(extname(file));
+    if (!format) {
+      throw new Error('File must have a .csv or .json extension');
+    }
+
+    const rawRows = parseImport(readFileSync(resolve(file), 'utf-8'), format);
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const report = await validateImport(rawRows);
+    const { summary } = report;
+
+    // Print problems per row
+    for (const row of report.rows) {
+      row.errors.forEach((error) => console.log(`❌ Row ${row.row} (${row.dishId || '?'}): ${error}`));
+      row.warnings.forEach((warning) => console.log(`⚠️  Row ${row.row} (${row.dishId || '?'}): ${warning}`));
+    }
+    console.log(
+      `📋 ${summary.total} rows: ${summary.create} to create, ${summary.update} to update, ` +
+        `${summary.unchanged} unchanged, ${summary.invalid} invalid`
+    );
+
+    if (dryRun) {
+      console.log('ℹ️  Dry run, nothing was written');
+    } else if (summary.invalid > 0 && !skipInvalid) {
+      console.log('❌ Nothing was imported; fix the invalid rows or pass --skip-invalid');
+      process.exitCode = 1;
+    } else {
+      // No request: changes are recorded as made by the system
+      const changed = await commitImport(null, report);
+      console.log(`✅ Imported ${changed.length} dishes`);
+    }
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('✅ Database connection closed');
+    process.exit(process.exitCode || 0);
+  } catch (error) {
+    console.error('❌ Error importing dishes:', error);
+    process.exit(1);
+  }
+};
+
+// Run the import
+importDishes();
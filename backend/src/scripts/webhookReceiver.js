@@ -0,0 +1,47 @@
+import { createServer } from 'http';
+import { verifySignature } from '../utils/webhooks.js';
+
+/**
+ * Local webhook receiver for trying out webhooks
+ * Prints every delivery and checks its signature when a secret is given.
+ * Usage: npm run webhook-receiver -- [port] [secret] [status]
+ *   status: HTTP status to answer with (e.g. 500 to watch retries); default 200
+ */
+const startReceiver = () => {
+  const [port = 4000, secret, status = 200] = process.argv.slice(2);
+
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      const signature = req.headers['x-dishmanager-signature'];
+      const verified = secret ? verifySignature(secret, signature, body) : null;
+
+      console.log(
+        `📨 ${req.headers['x-dishmanager-event'] || req.method} ` +
+          `(delivery ${req.headers['x-dishmanager-delivery'] || '-'}, event ${req.headers['x-dishmanager-event-id'] || '-'})`
+      );
+      if (verified !== null) console.log(verified ? '   ✅ Signature valid' : '   ❌ Signature invalid');
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch {
+        console.log(body);
+      }
+
+      const code = verified === false ? 401 : Number(status);
+      res.writeHead(code, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: code < 300 }));
+    });
+  });
+
+  server.listen(Number(port), () => {
+    console.log(`🪝 Webhook receiver listening on http://localhost:${port}`);
+    if (!secret) console.log('   Pass the webhook secret as the second argument to check signatures');
+  });
+};
+
+// Run the script
+startReceiver();
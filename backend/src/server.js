@@ -4,7 +4,23 @@ import dotenv from 'dotenv';
 import { createServer } from 'http';
 import connectDB from './config/db.js';
 import dishRoutes from './routes/dishRoutes.js';
-import { initializeSocket, socketMiddleware } from './socket.js';
+import authRoutes from './routes/authRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import menuRoutes from './routes/menuRoutes.js';
+import publicRoutes from './routes/publicRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import { initializeSocket, socketMiddleware, connectEventBus } from './socket.js';
+import { getStorage } from './storage/index.js';
+import { UPLOADS_URL_PATH } from './config/storage.js';
+import { getPubSubDriver } from './config/pubsub.js';
+import { getAdminCorsOrigin, getTrustProxy } from './config/publicApi.js';
+import { publicCors, createPublicRateLimit } from './middleware/publicApi.js';
+import { startTrashPurgeJob } from './jobs/purgeTrash.js';
+import { startPublishScheduler } from './jobs/publishScheduler.js';
+import { startImageHealthJob } from './jobs/imageHealthChecker.js';
+import { startDishChangeWatcher } from './jobs/dishChangeWatcher.js';
+import { startWebhookDeliveryJob } from './jobs/webhookDelivery.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,9 +35,16 @@ const server = createServer(app);
 // Initialize Socket.IO
 const io = initializeSocket(server);
 
+// Client IPs (for rate limiting) come from X-Forwarded-For behind a proxy
+app.set('trust proxy', getTrustProxy());
+
+// Public read-only API for customer-facing sites. Mounted ahead of the admin
+// middleware: open to any origin, its own rate limit, and no auth
+app.use('/api/public', publicCors, createPublicRateLimit(), publicRoutes);
+
 // Middleware
 app.use(cors({
-  origin: "*",
+  origin: getAdminCorsOrigin(),
   credentials: true,
 }));
 app.use(express.json());
@@ -30,6 +53,13 @@ app.use(express.urlencoded({ extended: true }));
 // Attach socket.io to requests via middleware
 app.use(socketMiddleware(io));
 
+// Serve uploaded images (local storage only). Every upload gets a new key,
+// so files never change and can be cached for a long time
+const { staticRoot } = getStorage();
+if (staticRoot) {
+  app.use(UPLOADS_URL_PATH, express.static(staticRoot, { maxAge: '365d', immutable: true, index: false }));
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.status(200).json({
@@ -40,7 +70,12 @@ app.get('/api/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/dishes', dishRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/menus', menuRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -62,13 +97,31 @@ app.use((err, req, res, next) => {
 // Connect to MongoDB and start server
 const startServer = async () => {
   try {
+    // Tokens can't be issued or verified without a signing secret
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET environment variable is required');
+    }
+
     // Connect to database
     await connectDB();
 
+    // Share change events with the other backend instances
+    await connectEventBus(io);
+
+    // Background jobs
+    startTrashPurgeJob();
+    startPublishScheduler();
+    startImageHealthJob(io);
+    startWebhookDeliveryJob();
+
+    // Dish events come from the collection itself, so every write path is live
+    const { source } = await startDishChangeWatcher(io);
+    console.log(`👀 Watching dish changes (${source === 'poll' ? 'polling' : 'change stream'})`);
+
     // Start server
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
-      console.log(`📡 Socket.IO initialized`);
+      console.log(`📡 Socket.IO initialized (${getPubSubDriver()} pub/sub)`);
       console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
   } catch (error) {
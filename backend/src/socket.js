@@ -1,4 +1,241 @@
+import { randomUUID } from 'crypto';
 import { Server } from 'socket.io';
+import User from './models/User.js';
+import { ROLES, PERMISSIONS, hasPermission } from './config/roles.js';
+import { verifyToken, getBearerToken } from './utils/token.js';
+import { MAX_DISH_ID_LENGTH } from './config/dishAttributes.js';
+import { getPresenceStore } from './presence/index.js';
+import { EPOCH, appendEvent, getLastSeq, readEventsSince } from './utils/eventLog.js';
+import { getPubSub } from './pubsub/index.js';
+import { getChannelPrefix } from './config/pubsub.js';
+
+/**
+ * Permission a client's role needs to receive each server event
+ * Events not listed here are not delivered to anyone
+ */
+export const EVENT_PERMISSIONS = {
+  'dish-created': PERMISSIONS.DISH_READ,
+  'dish-updated': PERMISSIONS.DISH_READ,
+  'dish-deleted': PERMISSIONS.DISH_READ,
+  'dish-restored': PERMISSIONS.DISH_READ,
+  'dishes-bulk-updated': PERMISSIONS.DISH_READ,
+  'publish-status-updated': PERMISSIONS.DISH_READ,
+  'image-health-updated': PERMISSIONS.DISH_READ,
+  'dishes-reordered': PERMISSIONS.DISH_READ,
+  'category-created': PERMISSIONS.DISH_READ,
+  'category-updated': PERMISSIONS.DISH_READ,
+  'category-deleted': PERMISSIONS.DISH_READ,
+  'categories-reordered': PERMISSIONS.DISH_READ,
+  'menu-created': PERMISSIONS.DISH_READ,
+  'menu-updated': PERMISSIONS.DISH_READ,
+  'menu-deleted': PERMISSIONS.DISH_READ,
+  'menu-dishes-updated': PERMISSIONS.DISH_READ,
+  'presence-updated': PERMISSIONS.DISH_READ,
+  'dish-locked': PERMISSIONS.DISH_READ,
+  'dish-unlocked': PERMISSIONS.DISH_READ,
+};
+
+// Presence events describe current state (see presence-sync), so they aren't
+// numbered or replayed (they are still relayed to the other instances)
+const UNLOGGED_EVENTS = ['presence-updated', 'dish-locked', 'dish-unlocked'];
+
+/**
+ * Events also delivered to anonymous clients (customer-facing menu pages),
+ * with payloads cut down to ids so drafts and internal fields aren't exposed.
+ * Dish events (and the dish ids in reorder and menu membership events) are
+ * only sent for dishes that were or became public (published
+ * overall or on a menu): isPublic(dishId) tells, from the emitter's
+ * publicDishIds. A null result sends nothing.
+ * Clients refetch what they show from the public API
+ */
+export const PUBLIC_EVENTS = {
+  'publish-status-updated': ({ dishId, menuId, isPublished }) => ({ dishId, menuId, isPublished }),
+  'dishes-bulk-updated': ({ action, dishIds }, isPublic) => {
+    const visible = dishIds.filter(isPublic);
+    return visible.length > 0 ? { action, dishIds: visible } : null;
+  },
+  'dish-updated': ({ dishId }, isPublic) => (isPublic(dishId) ? { dishId } : null),
+  'dish-deleted': ({ dishId }, isPublic) => (isPublic(dishId) ? { dishId } : null),
+  'dish-restored': ({ dishId }, isPublic) => (isPublic(dishId) ? { dishId } : null),
+  'dishes-reordered': ({ category, dishIds }, isPublic) => {
+    const visible = dishIds.filter(isPublic);
+    return visible.length > 0 ? { category, dishIds: visible } : null;
+  },
+  'category-updated': ({ category }) => ({ category: { _id: category._id, name: category.name } }),
+  'category-deleted': ({ categoryId }) => ({ categoryId }),
+  'categories-reordered': () => ({}),
+  'menu-updated': ({ menu }) => ({ menu: { _id: menu._id, name: menu.name } }),
+  'menu-deleted': ({ menuId }) => ({ menuId }),
+  'menu-dishes-updated': ({ menuId, added, removed }, isPublic) => {
+    const visible = { added: added.filter(isPublic), removed: removed.filter(isPublic) };
+    return visible.added.length + visible.removed.length > 0 ? { menuId, ...visible } : null;
+  },
+};
+
+// Room anonymous sockets join on connect
+export const PUBLIC_ROOM = 'public';
+
+/**
+ * Room every socket of a given role joins on connect
+ * @param {string} role - User role
+ * @returns {string} Room name
+ */
+export const roleRoom = (role) => `role:${role}`;
+
+/**
+ * Socket.IO middleware that authenticates the handshake
+ * Accepts the same JWT as the REST API, via `auth.token` or an Authorization header.
+ * Connections without a token are anonymous and only receive PUBLIC_EVENTS
+ */
+const authenticateSocket = async (socket, next) => {
+  const token =
+    socket.handshake.auth?.token ||
+    getBearerToken(socket.handshake.headers.authorization);
+
+  if (!token) {
+    socket.data.user = null;
+    return next();
+  }
+
+  try {
+    const payload = verifyToken(token);
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      return next(new Error('User no longer exists'));
+    }
+
+    socket.data.user = user.toPublicJSON();
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+};
+
+/**
+ * Read the dishId from a lock/unlock message
+ * @returns {string|null} null when missing or malformed
+ */
+const readLockDishId = (message) => {
+  const dishId = message?.dishId;
+  return typeof dishId === 'string' && dishId.length > 0 && dishId.length <= MAX_DISH_ID_LENGTH
+    ? dishId
+    : null;
+};
+
+/**
+ * Track a signed-in socket's presence and handle its soft edit locks
+ * Client messages (each with an optional acknowledgement callback):
+ *   presence-sync          -> { users, locks } currently online and held
+ *   dish-lock { dishId }   -> { success, lock }; success is false if someone else holds it
+ *   dish-unlock { dishId } -> { success }
+ * The socket's locks are released when it disconnects. Presence and locks
+ * are kept in the presence store, shared by the instances
+ * @param {Server} io - Socket.IO server instance
+ * @param {Socket} socket - Authenticated socket
+ */
+const handlePresence = (io, socket) => {
+  const { user } = socket.data;
+  const store = getPresenceStore();
+  const reply = (ack, response) => typeof ack === 'function' && ack(response);
+  const broadcastPresence = async () => {
+    emitToPermitted(io, 'presence-updated', { users: await store.listOnlineUsers() });
+  };
+
+  // Messages are handled once the connection is recorded
+  const joined = store.addConnection(socket.id, user);
+  joined.then(broadcastPresence).catch((error) => console.error('Error updating presence:', error.message));
+
+  /**
+   * Handle a client message; when the presence store fails, the error is
+   * logged and acknowledged (the acknowledgement is the last argument)
+   */
+  const on = (name, handler) => {
+    socket.on(name, async (...args) => {
+      try {
+        await joined;
+        await handler(...args);
+      } catch (error) {
+        console.error(`Error handling ${name}:`, error.message);
+        reply(args.at(-1), { success: false, message: 'Error updating presence', error: error.message });
+      }
+    });
+  };
+
+  // Clients ask for the full state once their listeners are in place
+  on('presence-sync', async (ack) => {
+    const [users, locks] = await Promise.all([store.listOnlineUsers(), store.listLocks()]);
+    reply(ack, { users, locks });
+  });
+
+  on('dish-lock', async (message, ack) => {
+    const dishId = readLockDishId(message);
+    if (!dishId) return reply(ack, { success: false, message: 'dishId is required' });
+
+    if (!hasPermission(user.role, PERMISSIONS.DISH_UPDATE)) {
+      return reply(ack, { success: false, message: 'You do not have permission to edit dishes' });
+    }
+
+    const { lock, acquired } = await store.acquireLock(dishId, socket.id);
+    if (!lock) {
+      return reply(ack, { success: false, message: 'You are no longer connected' });
+    }
+    if (!acquired) {
+      return reply(ack, { success: false, lock, message: `${lock.user.username} is already editing this dish` });
+    }
+
+    emitToPermitted(io, 'dish-locked', { lock });
+    reply(ack, { success: true, lock });
+  });
+
+  on('dish-unlock', async (message, ack) => {
+    const dishId = readLockDishId(message);
+    const released = dishId ? await store.releaseLock(dishId, socket.id) : false;
+    if (released) emitToPermitted(io, 'dish-unlocked', { dishId });
+    reply(ack, { success: released });
+  });
+
+  on('disconnect', async () => {
+    for (const dishId of await store.removeConnection(socket.id)) {
+      emitToPermitted(io, 'dish-unlocked', { dishId });
+    }
+    await broadcastPresence();
+  });
+};
+
+/**
+ * Let a signed-in socket catch up on events it missed while disconnected
+ * Client message (with an acknowledgement callback):
+ *   events-replay { since, epoch } -> { events: [{ seq, event, payload }], seq, epoch }
+ *     or { resync: true, seq, epoch } when the gap can't be filled; without
+ *     `since` it just returns the current position
+ * Only events the socket's role may receive are replayed
+ * @param {Socket} socket - Authenticated socket
+ */
+const handleReplay = (socket) => {
+  const { user } = socket.data;
+
+  socket.on('events-replay', (message, ack) => {
+    if (typeof ack !== 'function') return;
+    const position = { seq: getLastSeq(), epoch: EPOCH };
+
+    if (message?.since === undefined || message?.since === null) {
+      return ack({ events: [], ...position });
+    }
+
+    const result = readEventsSince(message.since, message.epoch);
+    if (result.resync) {
+      return ack({ resync: true, ...position });
+    }
+
+    ack({
+      events: result.events
+        .filter((entry) => hasPermission(user.role, EVENT_PERMISSIONS[entry.event]))
+        .map(({ seq, event, payload }) => ({ seq, event, payload })),
+      ...position,
+    });
+  });
+};
 
 /**
  * Initialize Socket.IO server
@@ -15,25 +252,111 @@ export const initializeSocket = (server) => {
     },
   });
 
+  // Reject connections with invalid credentials
+  io.use(authenticateSocket);
+
   // Handle client connections
   io.on('connection', (socket) => {
-    console.log(`✅ Client connected: ${socket.id}`);
+    const { user } = socket.data;
+    console.log(`✅ Client connected: ${socket.id} (${user ? `${user.username}, ${user.role}` : 'anonymous'})`);
+
+    // Rooms are assigned by the server; clients cannot choose their own
+    socket.join(user ? roleRoom(user.role) : PUBLIC_ROOM);
+
+    // Presence, edit locks and replay are for signed-in staff only
+    if (user) {
+      handlePresence(io, socket);
+      handleReplay(socket);
+    }
 
     // Handle disconnection
     socket.on('disconnect', () => {
       console.log(`❌ Client disconnected: ${socket.id}`);
     });
-
-    // Optional: Handle custom events from clients
-    socket.on('join-room', (room) => {
-      socket.join(room);
-      console.log(`Client ${socket.id} joined room: ${room}`);
-    });
   });
 
   return io;
 };
 
+/**
+ * Deliver an event to this instance's clients: role rooms allowed to see it,
+ * and a trimmed copy to anonymous clients for PUBLIC_EVENTS
+ */
+const deliverLocally = (io, event, payload, publicDishIds = []) => {
+  const permission = EVENT_PERMISSIONS[event];
+  const rooms = ROLES.filter((role) => hasPermission(role, permission)).map(roleRoom);
+
+  const { seq } = UNLOGGED_EVENTS.includes(event) ? {} : appendEvent(event, payload);
+
+  if (rooms.length > 0) {
+    io.to(rooms).emit(event, seq ? { ...payload, seq } : payload);
+  }
+
+  const publicPayload = PUBLIC_EVENTS[event]?.(payload, (dishId) => publicDishIds.includes(dishId));
+  if (publicPayload) {
+    io.to(PUBLIC_ROOM).emit(event, publicPayload);
+  }
+};
+
+// Socket.IO server -> { pubsub, origin } once connected to the event bus
+const eventBuses = new WeakMap();
+
+/**
+ * Pub/sub channel change events are relayed on
+ */
+const eventsChannel = () => `${getChannelPrefix()}:socket-events`;
+
+/**
+ * Relay change events between backend instances through the pub/sub adapter
+ * Events emitted here are published for the other instances, and theirs are
+ * delivered to this instance's clients
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} pubsub - Pub/sub adapter (defaults to the configured one)
+ * @returns {Promise<Function>} Disconnects from the event bus
+ */
+export const connectEventBus = async (io, pubsub = getPubSub()) => {
+  const origin = randomUUID();
+
+  const unsubscribe = await pubsub.subscribe(eventsChannel(), (message) => {
+    // Our own events were delivered when they were emitted
+    if (message?.origin === origin || !EVENT_PERMISSIONS[message?.event]) return;
+    deliverLocally(io, message.event, message.payload, message.publicDishIds);
+  });
+
+  eventBuses.set(io, { pubsub, origin });
+
+  return async () => {
+    eventBuses.delete(io);
+    await unsubscribe();
+  };
+};
+
+/**
+ * Emit an event only to the role rooms allowed to see it (see EVENT_PERMISSIONS),
+ * and a trimmed copy to anonymous clients for PUBLIC_EVENTS
+ * Change events are recorded in the event log and carry its sequence number as
+ * `seq`. Events are published to the other instances when an event bus is connected
+ * @param {Server} io - Socket.IO server instance (no-op when missing)
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {Object} options - { relay, publicDishIds }
+ *   relay: false for events every instance derives itself
+ *   publicDishIds: dishes the event concerns that customers could see before or
+ *   after the change; dish events about any other dish aren't sent to anonymous clients
+ */
+export const emitToPermitted = (io, event, payload, { relay = true, publicDishIds = [] } = {}) => {
+  if (!io) return;
+
+  deliverLocally(io, event, payload, publicDishIds);
+
+  const bus = eventBuses.get(io);
+  if (bus && relay) {
+    bus.pubsub
+      .publish(eventsChannel(), { origin: bus.origin, event, payload, publicDishIds })
+      .catch((error) => console.error(`Failed to publish ${event}:`, error.message));
+  }
+};
+
 /**
  * Middleware to attach io instance to requests
  * This allows controllers to emit events
@@ -0,0 +1,55 @@
+import { createHash } from 'crypto';
+import { getStorageDriver, getUploadDir, UPLOADS_URL_PATH } from '../config/storage.js';
+import { createLocalStorage } from './localStorage.js';
+
+/**
+ * Storage adapters
+ * An adapter stores uploaded files and tells us where they're served from:
+ *   save(key, body, { contentType }) -> Promise<url>   (absolute, or relative to the API origin)
+ *   removePrefix(prefix)             -> Promise<void>
+ *   staticRoot                       -> directory to serve at /uploads (local disk only)
+ * New backends (e.g. an S3-compatible bucket) register a factory under a driver name
+ */
+
+const factories = {
+  local: () => createLocalStorage({ root: getUploadDir(), urlPath: UPLOADS_URL_PATH }),
+};
+
+let storage = null;
+
+/**
+ * Storage key prefix for all images of a dish
+ * IDs with characters that aren't URL/path safe get a hash suffix so they can't collide
+ * @param {string} dishId - Dish ID
+ * @returns {string} e.g. "dishes/dish-001/"
+ */
+export const dishImagePrefix = (dishId) => {
+  const safe = dishId.replace(/[^A-Za-z0-9_-]/g, '_');
+  const suffix = safe === dishId ? '' : `-${createHash('sha1').update(dishId).digest('hex').slice(0, 8)}`;
+  return `dishes/${safe}${suffix}/`;
+};
+
+/**
+ * Register a storage adapter factory
+ * @param {string} driver - Name used in STORAGE_DRIVER
+ * @param {Function} factory - Returns an adapter
+ */
+export const registerStorageAdapter = (driver, factory) => {
+  factories[driver] = factory;
+};
+
+/**
+ * Get the configured storage adapter (created on first use)
+ * @returns {Object} Storage adapter
+ * @throws {Error} When STORAGE_DRIVER names an unknown adapter
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const driver = getStorageDriver();
+    if (!factories[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    storage = factories[driver]();
+  }
+  return storage;
+};
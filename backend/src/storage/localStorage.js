@@ -0,0 +1,51 @@
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { dirname, resolve, sep } from 'path';
+
+/**
+ * Local disk storage adapter
+ * Files are written under `root` and served by Express from `urlPath`
+ * @param {Object} options - { root, urlPath }
+ * @returns {Object} Storage adapter
+ */
+export const createLocalStorage = ({ root, urlPath }) => {
+  /**
+   * Resolve a key to a path inside root, refusing keys that escape it
+   */
+  const pathFor = (key) => {
+    const path = resolve(root, key);
+    if (path !== root && !path.startsWith(root + sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Store a file
+     * @param {string} key - Storage key, e.g. "dishes/dish-001/abc/thumb.webp"
+     * @param {Buffer} body - File contents
+     * @returns {Promise<string>} URL (relative to the API origin) the file is served from
+     */
+    async save(key, body) {
+      const path = pathFor(key);
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, body);
+      return `${urlPath}/${key}`;
+    },
+
+    /**
+     * Remove every file whose key starts with `prefix`
+     * @param {string} prefix - Key prefix (a "directory", e.g. "dishes/dish-001/")
+     */
+    async removePrefix(prefix) {
+      await rm(pathFor(prefix), { recursive: true, force: true });
+    },
+
+    /**
+     * Directory to serve statically at urlPath
+     */
+    staticRoot: root,
+  };
+};
@@ -0,0 +1,76 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Bookkeeping fields that are never part of a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'revision', 'imageHealth', 'position', 'changeBatch'];
+
+/**
+ * Convert a dish (document or plain object) into a plain snapshot
+ * @param {Object|null} dish - Mongoose document or plain object
+ * @returns {Object|null} Plain object safe to store
+ */
+export const toSnapshot = (dish) => {
+  if (!dish) return null;
+  const plain = typeof dish.toObject === 'function' ? dish.toObject() : { ...dish };
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Compute a field-level diff between two snapshots
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Object[]} [{ field, from, to }] for every field whose value changed
+ */
+export const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from: from ?? null, to: to ?? null });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Write an audit record for a dish change
+ * Failures are logged rather than thrown so they never undo a successful write
+ * @param {Object|null} req - Express request (provides the actor and request metadata);
+ *   null for changes made by the system itself (e.g. background jobs)
+ * @param {Object} entry - { action, dishId, before, after }
+ * @returns {Promise<Object|null>} Created audit record, or null on failure
+ */
+export const recordAudit = async (req, { action, dishId, before = null, after = null }) => {
+  try {
+    const beforeSnapshot = toSnapshot(before);
+    const afterSnapshot = toSnapshot(after);
+
+    return await AuditLog.create({
+      dishId,
+      action,
+      actor: req?.user
+        ? { id: req.user._id, username: req.user.username, role: req.user.role }
+        : { username: 'system', role: 'system' },
+      changes: diffSnapshots(beforeSnapshot, afterSnapshot),
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      request: req
+        ? {
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            method: req.method,
+            path: req.originalUrl,
+          }
+        : undefined,
+    });
+  } catch (error) {
+    console.error(`Error writing audit record (${action} ${dishId}):`, error);
+    return null;
+  }
+};
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import Category, { NAME_COLLATION } from '../models/Category.js';
+
+/**
+ * Category helpers
+ * Resolve category references given by id or name, shared by the dish
+ * endpoints, bulk updates and imports
+ */
+
+/**
+ * Find a category by id, or by name (case-insensitive)
+ * @param {string} value - Category id or name
+ * @returns {Promise<Object|null>} Category document, or null when not found
+ */
+export const findCategory = async (value) => {
+  const text = String(value).trim();
+
+  if (mongoose.isValidObjectId(text)) {
+    const category = await Category.findById(text);
+    if (category) return category;
+  }
+
+  return Category.findOne({ name: text }).collation(NAME_COLLATION);
+};
+
+/**
+ * Read the category of a dish from a request body
+ * @param {Object} body - req.body (reads `category`, an id or name)
+ * @returns {Promise<Object>} {} when not provided, { category } with the id
+ *   (null = uncategorized), or { error } when the category doesn't exist
+ */
+export const readCategory = async (body = {}) => {
+  const value = body.category;
+  if (value === undefined) return {};
+  if (value === null || value === '') return { category: null };
+
+  const category = await findCategory(value);
+  if (!category) {
+    return { error: `Category "${value}" not found` };
+  }
+  return { category: category._id };
+};
+
+/**
+ * Category ids in menu order, for sorting dishes by section (see buildDishPipeline)
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+export const loadCategoryOrder = async () => {
+  const categories = await Category.find().sort({ position: 1, name: 1 }).select('_id').lean();
+  return categories.map((category) => category._id);
+};
+
+/**
+ * Map of category id to name, for writing categories out by name
+ * @returns {Promise<Map<string, string>>}
+ */
+export const loadCategoryNames = async () => {
+  const categories = await Category.find().select('name').lean();
+  return new Map(categories.map((category) => [String(category._id), category.name]));
+};
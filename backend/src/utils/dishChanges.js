@@ -0,0 +1,265 @@
+/**
+ * Dish change detection
+ * Socket events are derived by comparing a compact snapshot of each dish
+ * before and after a write, or from a change stream's description of the
+ * write, whatever made the write
+ */
+
+// Fields left out of the content comparison: bookkeeping that changes on every
+// write, changes announced by their own events (dishes-reordered,
+// image-health-updated), and publish/trash state, which are compared separately
+const UNCOMPARED_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'revision',
+  'position',
+  'imageHealth',
+  'isPublished',
+  'menus',
+  'deletedAt',
+  'deletedBy',
+  'changeBatch',
+];
+
+// More changes than this in one batch go out as a single dishes-bulk-updated
+export const BULK_EVENT_THRESHOLD = 5;
+
+/**
+ * Snapshot of the parts of a dish that events are derived from
+ * @param {Object} dish - Plain dish document
+ * @returns {Object} { dishId, deleted, isPublished, menus: { menuId: isPublished }, batch, content }
+ */
+export const toSnapshot = (dish) => {
+  const content = { ...dish };
+  UNCOMPARED_FIELDS.forEach((field) => delete content[field]);
+  content.menus = (dish.menus || []).map((entry) => String(entry.menu)).sort();
+
+  return {
+    dishId: dish.dishId,
+    deleted: Boolean(dish.deletedAt),
+    isPublished: Boolean(dish.isPublished),
+    menus: Object.fromEntries((dish.menus || []).map((entry) => [String(entry.menu), Boolean(entry.isPublished)])),
+    batch: dish.changeBatch || null,
+    content: JSON.stringify(content),
+  };
+};
+
+/**
+ * Whether customers could see the dish in this state (see isPublicDish in
+ * utils/publicMenu.js): out of the trash and published overall or on a menu
+ * @param {Object|null} snapshot - Dish snapshot
+ * @returns {boolean}
+ */
+export const isPublicSnapshot = (snapshot) =>
+  Boolean(snapshot && !snapshot.deleted && (snapshot.isPublished || Object.values(snapshot.menus).some(Boolean)));
+
+/**
+ * Publish events for a dish that goes live already published (created or
+ * restored that way), overall and per menu. Socket clients get the whole dish
+ * with dish-created/dish-restored, so these are marked for webhooks only
+ */
+const publishedOnArrival = (after, dish) => {
+  const { dishId } = after;
+  const events = [];
+
+  if (after.isPublished) {
+    events.push({ event: 'publish-status-updated', payload: { dishId, isPublished: true, dish } });
+  }
+
+  for (const [menuId, isPublished] of Object.entries(after.menus)) {
+    if (isPublished) {
+      events.push({ event: 'publish-status-updated', payload: { dishId, menuId, isPublished, dish } });
+    }
+  }
+
+  return events.map((change) => ({ ...change, webhookOnly: true }));
+};
+
+/**
+ * Events for one dish going from one snapshot to another
+ * Dishes in the trash (or removed from the collection) are not live: moving
+ * in and out of that state is a delete or restore, and nothing else is reported
+ * @param {Object|null} before - Snapshot before the change (null for a new dish)
+ * @param {Object|null} after - Snapshot after the change (null when removed)
+ * @param {Object|null} dish - Dish document after the change, sent with the events
+ * @returns {Object[]} [{ event, payload, webhookOnly? }]
+ */
+export const deriveDishEvents = (before, after, dish) => {
+  const wasLive = Boolean(before && !before.deleted);
+  const isLive = Boolean(after && !after.deleted);
+
+  if (!wasLive && !isLive) return [];
+  if (!isLive) return [{ event: 'dish-deleted', payload: { dishId: before.dishId } }];
+  if (!before) return [{ event: 'dish-created', payload: { dish } }, ...publishedOnArrival(after, dish)];
+  if (!wasLive) {
+    return [{ event: 'dish-restored', payload: { dishId: after.dishId, dish } }, ...publishedOnArrival(after, dish)];
+  }
+
+  const events = [];
+  const { dishId } = after;
+
+  if (before.content !== after.content) {
+    events.push({ event: 'dish-updated', payload: { dishId, dish } });
+  }
+
+  if (before.isPublished !== after.isPublished) {
+    events.push({ event: 'publish-status-updated', payload: { dishId, isPublished: after.isPublished, dish } });
+  }
+
+  // Publish state per menu; joining or leaving a menu is a content change
+  for (const [menuId, isPublished] of Object.entries(after.menus)) {
+    if (menuId in before.menus && before.menus[menuId] !== isPublished) {
+      events.push({ event: 'publish-status-updated', payload: { dishId, menuId, isPublished, dish } });
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Whether a change was written by a bulk action or import, which announces
+ * its whole batch with one dishes-bulk-updated of its own
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {boolean}
+ */
+export const isBatchedChange = (before, after) => Boolean(after?.batch && after.batch !== before?.batch);
+
+// A menu's publish flag set on its own (the entry is named by its position)
+const MENU_PUBLISH_PATH = /^menus\.(\d+)\.isPublished$/;
+
+/**
+ * Events for a change stream update, read from the update's own description
+ * of what it modified rather than from the last known state, so every
+ * instance derives the same events for it, including one that resumed the
+ * stream after the change was made
+ * @param {Object} change - Update event (stream opened with fullDocument: 'updateLookup')
+ * @param {Object|null} before - Last known snapshot of the dish, if any
+ * @returns {Object[]} [{ event, payload, batched, webhookOnly? }]
+ */
+const deriveUpdateEvents = (change, before) => {
+  // No document when the dish was removed before the lookup ran: nothing live
+  // to send, and its delete event (which follows) reports the removal
+  const dish = change.fullDocument;
+  if (!dish) return [];
+
+  const after = toSnapshot(dish);
+  const { dishId } = dish;
+
+  const { updatedFields = {}, removedFields = [], truncatedArrays = [] } = change.updateDescription;
+  const paths = [...Object.keys(updatedFields), ...removedFields, ...truncatedArrays.map(({ field }) => field)];
+  const batched = Boolean(updatedFields.changeBatch);
+  const tag = (events) => events.map((event) => ({ ...event, batched }));
+
+  if ('deletedAt' in updatedFields) {
+    if (updatedFields.deletedAt) return tag([{ event: 'dish-deleted', payload: { dishId } }]);
+    const restored = { event: 'dish-restored', payload: { dishId, dish } };
+    return tag([restored, ...publishedOnArrival(after, dish)]);
+  }
+
+  // Changes to a dish in the trash aren't reported
+  if (before ? before.deleted : dish.deletedAt) return [];
+
+  const events = [];
+  let contentChanged = paths.some((path) => !UNCOMPARED_FIELDS.includes(path.split('.')[0]));
+
+  if ('isPublished' in updatedFields) {
+    events.push({
+      event: 'publish-status-updated',
+      payload: { dishId, isPublished: Boolean(updatedFields.isPublished), dish },
+    });
+  }
+
+  const toggled = new Set();
+  for (const [path, value] of Object.entries(updatedFields)) {
+    const menuId = dish.menus?.[MENU_PUBLISH_PATH.exec(path)?.[1]]?.menu;
+    if (!menuId) continue;
+    toggled.add(String(menuId));
+    events.push({
+      event: 'publish-status-updated',
+      payload: { dishId, menuId: String(menuId), isPublished: Boolean(value), dish },
+    });
+  }
+
+  // Any other change to menus is compared with the last known menus
+  if (paths.some((path) => path.split('.')[0] === 'menus' && !MENU_PUBLISH_PATH.test(path))) {
+    const menuIds = (snapshot) => JSON.stringify(Object.keys(snapshot?.menus || {}).sort());
+    if (!before || menuIds(before) !== menuIds(after)) contentChanged = true;
+
+    for (const [menuId, isPublished] of Object.entries(after.menus)) {
+      if (before && menuId in before.menus && before.menus[menuId] !== isPublished && !toggled.has(menuId)) {
+        events.push({ event: 'publish-status-updated', payload: { dishId, menuId, isPublished, dish } });
+      }
+    }
+  }
+
+  if (contentChanged) events.unshift({ event: 'dish-updated', payload: { dishId, dish } });
+  return tag(events);
+};
+
+/**
+ * Events for one change stream event, and the dish's snapshot after it
+ * Inserts, replaces and deletes carry (or remove) the whole document, so they
+ * are compared with the last known snapshot; updates are read from their
+ * description (see deriveUpdateEvents)
+ * @param {Object} change - Change stream event (opened with fullDocument: 'updateLookup')
+ * @param {Object|null} before - Last known snapshot of the dish, if any
+ * @returns {Object} { after, events }: after is the new snapshot (null when removed),
+ *   or undefined when the last known one should be kept
+ */
+export const deriveChangeStreamEvents = (change, before) => {
+  if (change.operationType === 'update') {
+    // No document when it was removed before the lookup ran; its delete event follows
+    // (the last known snapshot is kept for it)
+    const after = change.fullDocument ? toSnapshot(change.fullDocument) : undefined;
+    return { after, events: deriveUpdateEvents(change, before) };
+  }
+
+  // An inserted dish had no earlier state, whatever an out-of-date snapshot says
+  const previous = change.operationType === 'insert' ? null : before;
+  const dish = change.operationType === 'delete' ? null : change.fullDocument;
+  const after = dish ? toSnapshot(dish) : null;
+  const batched = isBatchedChange(previous, after);
+  return { after, events: deriveDishEvents(previous, after, dish).map((event) => ({ ...event, batched })) };
+};
+
+/**
+ * Bulk action that best describes a set of events
+ */
+const bulkAction = (events) => {
+  const actions = new Set(
+    events.map(({ event, payload }) => {
+      if (event === 'publish-status-updated') return payload.isPublished ? 'publish' : 'unpublish';
+      return { 'dish-created': 'create', 'dish-deleted': 'delete', 'dish-restored': 'restore' }[event] || 'update';
+    })
+  );
+  return actions.size === 1 ? [...actions][0] : 'update';
+};
+
+/**
+ * Replace a burst of events (e.g. from a script) with one
+ * dishes-bulk-updated, so clients reload once instead of once per dish
+ * @param {Object[]} events - [{ event, payload }] in order
+ * @returns {Object[]} The events, or a single dishes-bulk-updated
+ */
+export const coalesceDishEvents = (events) => {
+  if (events.length <= BULK_EVENT_THRESHOLD) return events;
+
+  const dishIds = [...new Set(events.map(({ payload }) => payload.dishId || payload.dish.dishId))];
+
+  // Latest state of every changed dish that still exists
+  const latest = new Map();
+  for (const { payload } of events) {
+    if (payload.dish) latest.set(payload.dish.dishId, payload.dish);
+    else latest.delete(payload.dishId);
+  }
+
+  return [
+    {
+      event: 'dishes-bulk-updated',
+      payload: { action: bulkAction(events), dishIds, dishes: [...latest.values()] },
+    },
+  ];
+};
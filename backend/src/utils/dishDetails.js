@@ -0,0 +1,148 @@
+import {
+  ALLERGENS,
+  DIETARY_FLAGS,
+  SPICE_LEVEL_MIN,
+  SPICE_LEVEL_MAX,
+  MAX_PREP_TIME_MINUTES,
+  MAX_DESCRIPTION_LENGTH,
+  getDefaultCurrency,
+  isValidCurrency,
+  getCurrencyDecimals,
+} from '../config/dishAttributes.js';
+
+/**
+ * Dish detail helpers
+ * Parse and validate the menu detail fields (price, description, allergens,
+ * dietary flags, spice level, prep time) from request bodies. The category is
+ * a reference and is resolved separately (see categories.js)
+ */
+
+export const DETAIL_FIELDS = [
+  'price',
+  'description',
+  'allergens',
+  'dietaryFlags',
+  'spiceLevel',
+  'prepTimeMinutes',
+];
+
+/**
+ * Split a list given as an array or a comma/semicolon separated string
+ * @param {string|string[]} value - Raw value
+ * @returns {string[]} Trimmed, lowercased, de-duplicated entries
+ */
+export const parseList = (value) => {
+  const items = Array.isArray(value) ? value : String(value).split(/[,;]/);
+  return [...new Set(items.map((item) => String(item).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Parse a price given as { amount, currency } or a bare amount
+ * @returns {Object} { price } or { error }
+ */
+const parsePrice = (value) => {
+  const { amount, currency = getDefaultCurrency() } =
+    typeof value === 'object' ? value : { amount: value };
+  const number = typeof amount === 'string' && amount.trim() !== '' ? Number(amount) : amount;
+  const code = String(currency).trim().toUpperCase();
+
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+    return { error: 'price.amount must be a number of 0 or more' };
+  }
+  if (!isValidCurrency(code)) {
+    return { error: 'price.currency must be an ISO 4217 currency code (e.g. USD)' };
+  }
+
+  // Compare in minor units with a tolerance for binary rounding (1.15 * 100 = 114.999...)
+  const decimals = getCurrencyDecimals(code);
+  const minorUnits = number * 10 ** decimals;
+  if (Math.abs(minorUnits - Math.round(minorUnits)) > 1e-6) {
+    return { error: `${code} prices can have at most ${decimals} decimal place(s)` };
+  }
+
+  return { price: { amount: Math.round(minorUnits) / 10 ** decimals, currency: code } };
+};
+
+/**
+ * Parse an integer within bounds
+ * @returns {Object} { value } or { error }
+ */
+const parseInteger = (field, value, min, max) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number) || number < min || number > max) {
+    return { error: `${field} must be a whole number from ${min} to ${max}` };
+  }
+  return { value: number };
+};
+
+/**
+ * Parse a list restricted to a vocabulary
+ * @returns {Object} { value } or { error }
+ */
+const parseVocabulary = (field, value, allowed) => {
+  const items = parseList(value);
+  const unknown = items.filter((item) => !allowed.includes(item));
+  if (unknown.length > 0) {
+    return { error: `${field} contains unknown value(s): ${unknown.join(', ')} (allowed: ${allowed.join(', ')})` };
+  }
+  return { value: items };
+};
+
+/**
+ * Read detail fields from a request body
+ * Each field is undefined when not provided, or its parsed value. Sending null
+ * (or an empty string) clears a field: lists become [], others null
+ * @param {Object} body - req.body
+ * @returns {Object} Parsed fields, or { error, field } for the first invalid one
+ */
+export const readDishDetails = (body = {}) => {
+  const details = {};
+
+  for (const field of DETAIL_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    const cleared = value === null || value === '';
+    if (cleared) {
+      details[field] = field === 'allergens' || field === 'dietaryFlags' ? [] : null;
+      continue;
+    }
+
+    let result;
+    switch (field) {
+      case 'price':
+        result = parsePrice(value);
+        if (!result.error) details.price = result.price;
+        break;
+      case 'description': {
+        const text = String(value).trim();
+        result =
+          text.length > MAX_DESCRIPTION_LENGTH
+            ? { error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters` }
+            : {};
+        if (!result.error) details.description = text || null;
+        break;
+      }
+      case 'allergens':
+        result = parseVocabulary(field, value, ALLERGENS);
+        if (!result.error) details.allergens = result.value;
+        break;
+      case 'dietaryFlags':
+        result = parseVocabulary(field, value, DIETARY_FLAGS);
+        if (!result.error) details.dietaryFlags = result.value;
+        break;
+      case 'spiceLevel':
+        result = parseInteger(field, value, SPICE_LEVEL_MIN, SPICE_LEVEL_MAX);
+        if (!result.error) details.spiceLevel = result.value;
+        break;
+      case 'prepTimeMinutes':
+        result = parseInteger(field, value, 0, MAX_PREP_TIME_MINUTES);
+        if (!result.error) details.prepTimeMinutes = result.value;
+        break;
+    }
+
+    if (result.error) return { error: result.error, field };
+  }
+
+  return details;
+};
@@ -0,0 +1,150 @@
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { stringify } from 'csv-stringify';
+import ExcelJS from 'exceljs';
+
+/**
+ * Dish export helpers
+ * Stream dishes from a Mongoose cursor to a response as CSV, JSON or XLSX
+ * without loading the whole result set into memory
+ */
+
+// Exported columns; all but the timestamps match the import format so exports can be re-imported
+export const EXPORT_FIELDS = [
+  'dishId',
+  'dishName',
+  'imageUrl',
+  'price',
+  'currency',
+  'description',
+  'category',
+  'allergens',
+  'dietaryFlags',
+  'spiceLevel',
+  'prepTimeMinutes',
+  'isPublished',
+  'publishAt',
+  'unpublishAt',
+  'createdAt',
+  'updatedAt',
+];
+
+// Dish paths to load for an export ("currency" lives under price)
+export const EXPORT_SELECT = EXPORT_FIELDS.filter((field) => field !== 'currency').join(' ');
+
+// List fields, written as "a;b" in flat formats
+const LIST_FIELDS = ['allergens', 'dietaryFlags'];
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+};
+
+/**
+ * Pick the exported fields from a dish, in column order
+ * The price is split into amount ("price") and "currency"
+ * The category is written by name so the file can be re-imported elsewhere
+ * @param {Object} dish - Lean dish object
+ * @param {Object} options - { joinLists } to write lists as "a;b" (CSV/XLSX),
+ *   { categoryNames } map of category id to name
+ * @returns {Object} Row with every export field (missing values are null)
+ */
+const toRow = (dish, { joinLists = false, categoryNames = new Map() } = {}) =>
+  Object.fromEntries(
+    EXPORT_FIELDS.map((field) => {
+      if (field === 'price') return [field, dish.price?.amount ?? null];
+      if (field === 'currency') return [field, dish.price?.currency ?? null];
+      if (field === 'category') return [field, categoryNames.get(String(dish.category)) ?? null];
+      if (LIST_FIELDS.includes(field)) {
+        const list = dish[field] || [];
+        return [field, joinLists ? list.join(';') : list];
+      }
+      return [field, dish[field] ?? null];
+    })
+  );
+
+/**
+ * Write dishes as CSV with a header row
+ */
+const writeCsv = (cursor, output, options) =>
+  pipeline(
+    cursor,
+    new Transform({
+      objectMode: true,
+      transform(dish, encoding, callback) {
+        callback(null, toRow(dish, { ...options, joinLists: true }));
+      },
+    }),
+    stringify({
+      header: true,
+      columns: EXPORT_FIELDS,
+      cast: {
+        boolean: (value) => String(value),
+        date: (value) => value.toISOString(),
+      },
+    }),
+    output
+  );
+
+/**
+ * Write dishes as a JSON array, one dish per line
+ */
+const writeJson = (cursor, output, options) => {
+  async function* generate() {
+    let first = true;
+    yield '[';
+    for await (const dish of cursor) {
+      yield `${first ? '\n' : ',\n'}${JSON.stringify(toRow(dish, options))}`;
+      first = false;
+    }
+    yield first ? ']\n' : '\n]\n';
+  }
+
+  return pipeline(Readable.from(generate()), output);
+};
+
+/**
+ * Write dishes as a single-sheet XLSX workbook
+ * Rows are committed as they are written so they aren't kept in memory
+ */
+const writeXlsx = async (cursor, output, options) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const sheet = workbook.addWorksheet('Dishes');
+
+  sheet.columns = EXPORT_FIELDS.map((field) => ({
+    header: field,
+    key: field,
+    width: field === 'imageUrl' || field === 'description' ? 50 : 22,
+    style: field.endsWith('At') ? { numFmt: 'yyyy-mm-dd hh:mm' } : undefined,
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const dish of cursor) {
+    sheet.addRow(toRow(dish, { ...options, joinLists: true })).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+const WRITERS = {
+  csv: writeCsv,
+  json: writeJson,
+  xlsx: writeXlsx,
+};
+
+/**
+ * Stream dishes to an output stream in the given format
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {AsyncIterable<Object>} cursor - Lean dish cursor
+ * @param {Writable} output - Destination (e.g. the Express response)
+ * @param {Object} options - { categoryNames } map of category id to name
+ * @returns {Promise<void>} Resolves once everything has been written
+ */
+export const writeExport = (format, cursor, output, options = {}) =>
+  WRITERS[format](cursor, output, options);
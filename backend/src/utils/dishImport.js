@@ -0,0 +1,330 @@
+import { parse as parseCsv } from 'csv-parse/sync';
+import Dish from '../models/Dish.js';
+import { recordAudit } from './audit.js';
+import { saveRevision } from './versioning.js';
+import { readSchedule, validateSchedule } from './schedule.js';
+import { getPublishBlockReason, getNewDishBlockReasons } from './imageHealth.js';
+import { readDishDetails, DETAIL_FIELDS } from './dishDetails.js';
+import { findCategory } from './categories.js';
+import { isHttpUrl } from './validation.js';
+import {
+  DISH_ID_PATTERN,
+  MAX_DISH_ID_LENGTH,
+  MAX_DISH_NAME_LENGTH,
+  MAX_IMAGE_URL_LENGTH,
+} from '../config/dishAttributes.js';
+
+/**
+ * Dish import helpers
+ * Parse CSV/JSON input, validate it row by row against the database, and
+ * upsert valid rows by dishId. Shared by the import endpoint and CLI script.
+ */
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+
+// Columns understood by the importer. In flat files "price" is the amount and
+// "currency" its currency; lists are separated with ";" or ","; "category" is
+// the name (or id) of an existing category
+export const IMPORT_FIELDS = [
+  'dishId',
+  'dishName',
+  'imageUrl',
+  ...DETAIL_FIELDS,
+  'currency',
+  'category',
+  'isPublished',
+  'publishAt',
+  'unpublishAt',
+];
+
+// Columns that change publish state
+const PUBLISH_FIELDS = ['isPublished', 'publishAt', 'unpublishAt'];
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y'];
+const FALSE_VALUES = ['false', '0', 'no', 'n'];
+
+/**
+ * Guess the format from a file name or MIME type
+ * @param {string} hint - File name or MIME type
+ * @returns {string|null} 'csv', 'json' or null when unknown
+ */
+export const detectFormat = (hint = '') => {
+  const value = hint.toLowerCase();
+  if (value.endsWith('.csv') || value.includes('csv')) return 'csv';
+  if (value.endsWith('.json') || value.includes('json')) return 'json';
+  return null;
+};
+
+/**
+ * Parse import content into an array of raw row objects
+ * @param {string} content - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object[]} Rows
+ * @throws {Error} When the content can't be parsed
+ */
+export const parseImport = (content, format) => {
+  if (format === 'csv') {
+    return parseCsv(content, {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      bom: true,
+    });
+  }
+
+  if (format === 'json') {
+    const data = JSON.parse(content);
+    if (!Array.isArray(data)) {
+      throw new Error('JSON import must be an array of dishes');
+    }
+    return data;
+  }
+
+  throw new Error(`Unsupported import format: ${format}`);
+};
+
+/**
+ * Normalize and validate a single raw row (no database access)
+ * @param {Object} raw - Raw row from the parser
+ * @returns {Object} { values, errors, warnings }
+ */
+const normalizeRow = (raw) => {
+  const errors = [];
+  const warnings = [];
+  const values = {};
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { values, errors: ['Row must be an object'], warnings };
+  }
+
+  const unknown = Object.keys(raw).filter((key) => !IMPORT_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    warnings.push(`Ignored unknown column(s): ${unknown.join(', ')}`);
+  }
+
+  // Required text fields (same limits as the API)
+  const maxLengths = { dishId: MAX_DISH_ID_LENGTH, dishName: MAX_DISH_NAME_LENGTH };
+  for (const field of ['dishId', 'dishName']) {
+    const value = raw[field] === undefined || raw[field] === null ? '' : String(raw[field]).trim();
+    if (!value) {
+      errors.push(`${field} is required`);
+    } else if (value.length > maxLengths[field]) {
+      errors.push(`${field} must be at most ${maxLengths[field]} characters`);
+    } else {
+      values[field] = value;
+    }
+  }
+
+  // Optional image link (blank = leave unchanged)
+  const imageUrl = raw.imageUrl === undefined || raw.imageUrl === null ? '' : String(raw.imageUrl).trim();
+  if (imageUrl) {
+    if (isHttpUrl(imageUrl) && imageUrl.length <= MAX_IMAGE_URL_LENGTH) values.imageUrl = imageUrl;
+    else errors.push('imageUrl must be a valid http(s) URL');
+  }
+
+  // Optional menu details (blank = leave unchanged)
+  const detailInput = Object.fromEntries(
+    DETAIL_FIELDS.filter((field) => raw[field] !== undefined && raw[field] !== '').map((field) => [
+      field,
+      raw[field],
+    ])
+  );
+  if (raw.currency && ['string', 'number'].includes(typeof detailInput.price)) {
+    detailInput.price = { amount: detailInput.price, currency: raw.currency };
+  }
+  const details = readDishDetails(detailInput);
+  if (details.error) errors.push(details.error);
+  else Object.assign(values, details);
+
+  // Optional category, resolved against the database in validateImport (blank = leave unchanged)
+  const category = raw.category === undefined || raw.category === null ? '' : String(raw.category).trim();
+  if (category) values.category = category;
+
+  // Optional publish status (blank = leave unchanged / default)
+  if (raw.isPublished !== undefined && raw.isPublished !== null && raw.isPublished !== '') {
+    const value = String(raw.isPublished).trim().toLowerCase();
+    if (TRUE_VALUES.includes(value)) values.isPublished = true;
+    else if (FALSE_VALUES.includes(value)) values.isPublished = false;
+    else errors.push('isPublished must be true or false');
+  }
+
+  // Optional schedule (blank = leave unchanged)
+  const schedule = readSchedule({
+    publishAt: raw.publishAt === '' ? undefined : raw.publishAt,
+    unpublishAt: raw.unpublishAt === '' ? undefined : raw.unpublishAt,
+  });
+  if (schedule.error) {
+    errors.push(schedule.error);
+  } else {
+    if (schedule.publishAt !== undefined) values.publishAt = schedule.publishAt;
+    if (schedule.unpublishAt !== undefined) values.unpublishAt = schedule.unpublishAt;
+  }
+
+  return { values, errors, warnings };
+};
+
+/**
+ * Whether applying `values` would change an existing dish
+ */
+const wouldChange = (dish, values) =>
+  Object.entries(values).some(
+    // Compare serialized so dates, lists and prices compare by value
+    ([field, value]) => JSON.stringify(dish[field] ?? null) !== JSON.stringify(value ?? null)
+  );
+
+/**
+ * Validate parsed rows and work out what importing each one would do
+ * @param {Object[]} rawRows - Rows from parseImport
+ * @param {Object} options - { canPublish } whether publish columns may be applied
+ * @returns {Promise<Object>} Report: { summary, rows } where each row has
+ *   { row, dishId, status: create|update|unchanged|invalid, errors, warnings, values }
+ */
+export const validateImport = async (rawRows, { canPublish = true } = {}) => {
+  const rows = rawRows.map((raw, index) => ({
+    row: index + 1,
+    ...normalizeRow(raw),
+  }));
+
+  // Duplicate dishIds within the file: the first occurrence wins
+  const seen = new Map();
+  for (const row of rows) {
+    const { dishId } = row.values;
+    if (!dishId) continue;
+    if (seen.has(dishId)) {
+      row.errors.push(`Duplicate dishId (first seen on row ${seen.get(dishId)})`);
+    } else {
+      seen.set(dishId, row.row);
+    }
+  }
+
+  // Publish columns are dropped for users who can't publish
+  if (!canPublish) {
+    for (const row of rows) {
+      const dropped = PUBLISH_FIELDS.filter((field) => row.values[field] !== undefined);
+      if (dropped.length > 0) {
+        dropped.forEach((field) => delete row.values[field]);
+        row.warnings.push(`Ignored ${dropped.join(', ')} (requires publish permission)`);
+      }
+    }
+  }
+
+  // Resolve category names once per distinct value
+  const categoryNames = [...new Set(rows.map((row) => row.values.category).filter(Boolean))];
+  const categories = new Map(
+    await Promise.all(categoryNames.map(async (name) => [name, await findCategory(name)]))
+  );
+  for (const row of rows) {
+    if (!row.values.category) continue;
+    const category = categories.get(row.values.category);
+    if (category) row.values.category = category._id;
+    else {
+      row.errors.push(`Category "${row.values.category}" not found`);
+      delete row.values.category;
+    }
+  }
+
+  const existing = await Dish.find({ dishId: { $in: [...seen.keys()] } });
+  const existingById = new Map(existing.map((dish) => [dish.dishId, dish]));
+
+  for (const row of rows) {
+    const dish = existingById.get(row.values.dishId);
+
+    if (dish?.deletedAt) {
+      row.errors.push('Dish is in the trash; restore it before importing');
+    }
+
+    // New dishes get the same ID rules as the API (existing ones may predate them)
+    if (!dish && row.values.dishId && !DISH_ID_PATTERN.test(row.values.dishId)) {
+      row.errors.push('dishId may only contain letters, numbers, "-" and "_", and must start with a letter or number');
+    }
+
+    const scheduleError = validateSchedule({
+      publishAt: row.values.publishAt !== undefined ? row.values.publishAt : dish?.publishAt,
+      unpublishAt: row.values.unpublishAt !== undefined ? row.values.unpublishAt : dish?.unpublishAt,
+    });
+    if (scheduleError) row.errors.push(scheduleError);
+
+    if (row.errors.length === 0 && dish && wouldChange(dish, row.values)) {
+      // Apply to the loaded copy only to see whether publishing would be blocked
+      // (commitImport reloads the dish)
+      dish.set(row.values);
+      const blockReason = getPublishBlockReason(dish);
+      if (blockReason) row.errors.push(blockReason);
+      row.status = 'update';
+    }
+
+    if (row.errors.length > 0) row.status = 'invalid';
+    else if (!dish) row.status = 'create';
+    else if (!row.status) row.status = 'unchanged';
+
+    row.dishId = row.values.dishId || null;
+  }
+
+  // New dishes created published go through the same broken-image rule
+  const created = rows.filter((row) => row.status === 'create');
+  const blockReasons = await getNewDishBlockReasons(
+    created.map((row) => new Dish({ isPublished: false, ...row.values }))
+  );
+  created.forEach((row, index) => {
+    if (!blockReasons[index]) return;
+    row.errors.push(blockReasons[index]);
+    row.status = 'invalid';
+  });
+
+  const count = (status) => rows.filter((row) => row.status === status).length;
+
+  return {
+    summary: {
+      total: rows.length,
+      valid: rows.length - count('invalid'),
+      invalid: count('invalid'),
+      create: count('create'),
+      update: count('update'),
+      unchanged: count('unchanged'),
+    },
+    rows,
+  };
+};
+
+/**
+ * Upsert the valid rows of a validation report by dishId
+ * Invalid and unchanged rows are skipped
+ * @param {Object|null} req - Express request (actor for revisions/audit); null for system imports
+ * @param {Object} report - Result of validateImport
+ * @param {Object} options - { batch }: id tagged on written dishes when the caller
+ *   announces the import with its own dishes-bulk-updated (see Dish.changeBatch)
+ * @returns {Promise<Object[]>} Dishes that were created or updated
+ */
+export const commitImport = async (req, report, { batch = null } = {}) => {
+  const changed = [];
+
+  for (const row of report.rows) {
+    if (row.status !== 'create' && row.status !== 'update') continue;
+
+    try {
+      if (row.status === 'create') {
+        const dish = new Dish({ isPublished: false, ...row.values, changeBatch: batch });
+        await saveRevision(req, dish, { action: 'create' });
+        await recordAudit(req, { action: 'create', dishId: dish.dishId, after: dish });
+        changed.push(dish);
+      } else {
+        const dish = await Dish.findOne({ dishId: row.values.dishId, deletedAt: null });
+        const before = dish.toObject();
+        // Linking a different image replaces any uploaded one
+        if (row.values.imageUrl !== undefined && row.values.imageUrl !== dish.imageUrl) {
+          dish.image = null;
+        }
+        dish.set({ ...row.values, changeBatch: batch });
+        await saveRevision(req, dish, { action: 'update', before });
+        await recordAudit(req, { action: 'update', dishId: dish.dishId, before, after: dish });
+        changed.push(dish);
+      }
+      row.committed = true;
+    } catch (error) {
+      row.committed = false;
+      row.errors.push(error.message);
+    }
+  }
+
+  return changed;
+};
@@ -0,0 +1,233 @@
+import mongoose from 'mongoose';
+
+/**
+ * Query helpers for dish listing
+ * Translates request query strings into Mongoose filter, sort and paging options
+ */
+
+// Fields clients are allowed to sort on
+export const SORTABLE_FIELDS = [
+  'dishName',
+  'dishId',
+  'createdAt',
+  'updatedAt',
+  'isPublished',
+  'price',
+  'spiceLevel',
+  'prepTimeMinutes',
+  'position',
+];
+
+// Field computed by buildDishPipeline: the place of the dish's category on the menu
+export const CATEGORY_ORDER = 'categoryOrder';
+
+// Sort fields stored under different paths ("position" = menu order: sections in
+// category order, then the dish's place in its section)
+const SORT_PATHS = { price: ['price.amount'], position: [CATEGORY_ORDER, 'position'] };
+
+// Matches dishes that are not in the trash (documents without the field included)
+export const NOT_DELETED = { deletedAt: null };
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+/**
+ * Escape special characters so user input can be used inside a RegExp
+ * @param {string} value - Raw user input
+ * @returns {string} Escaped string
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a boolean-like query value ('true' / 'false')
+ * @returns {boolean|undefined} Parsed value, or undefined when not provided/invalid
+ */
+export const parseBoolean = (value) => {
+  if (value === 'true' || value === true) return true;
+  if (value === 'false' || value === false) return false;
+  return undefined;
+};
+
+/**
+ * Parse an ObjectId query value
+ * @returns {mongoose.Types.ObjectId|undefined} Parsed id, or undefined when not provided/invalid
+ */
+export const parseObjectId = (value) =>
+  typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value)
+    ? new mongoose.Types.ObjectId(value)
+    : undefined;
+
+// Values accepted by the imageHealth filter ("pending" = linked but not checked yet)
+export const IMAGE_HEALTH_FILTERS = ['ok', 'warning', 'broken', 'pending'];
+
+/**
+ * Parse a non-negative number query value
+ * @returns {number|undefined} Parsed value, or undefined when not provided/invalid
+ */
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+};
+
+/**
+ * Split a comma separated query value
+ * @returns {string[]} Trimmed, lowercased entries
+ */
+const parseQueryList = (value) =>
+  typeof value === 'string' ? value.split(',').map((item) => item.trim().toLowerCase()).filter(Boolean) : [];
+
+/**
+ * Build a Mongo filter from list query params
+ * Supports: isPublished=true|false, search=<dish name prefix>,
+ * menu=<id> (isPublished then applies to the dish's state on that menu),
+ * imageHealth=ok|warning|broken|pending, category=<id>|none,
+ * dietary=<flag,...> (must have all), allergenFree=<allergen,...> (must contain none),
+ * maxSpice=<0-5>, minPrice/maxPrice (with optional currency), maxPrepTime=<minutes>
+ * Dishes in the trash are always excluded
+ * @param {Object} query - req.query
+ * @returns {Object} Mongo filter
+ */
+export const buildDishFilter = (query = {}) => {
+  const filter = { ...NOT_DELETED };
+
+  const isPublished = parseBoolean(query.isPublished);
+  const menu = parseObjectId(query.menu);
+  if (menu) {
+    filter.menus = {
+      $elemMatch: { menu, ...(isPublished !== undefined && { isPublished }) },
+    };
+  } else if (isPublished !== undefined) {
+    filter.isPublished = isPublished;
+  }
+
+  if (typeof query.search === 'string' && query.search.trim()) {
+    // Anchored prefix match so the dishName index can be used
+    filter.dishName = { $regex: `^${escapeRegex(query.search.trim())}`, $options: 'i' };
+  }
+
+  if (query.category === 'none') {
+    filter.category = null;
+  } else if (parseObjectId(query.category)) {
+    filter.category = parseObjectId(query.category);
+  }
+
+  const dietary = parseQueryList(query.dietary);
+  if (dietary.length > 0) {
+    filter.dietaryFlags = { $all: dietary };
+  }
+
+  const allergenFree = parseQueryList(query.allergenFree);
+  if (allergenFree.length > 0) {
+    filter.allergens = { $nin: allergenFree };
+  }
+
+  const maxSpice = parseNumber(query.maxSpice);
+  if (maxSpice !== undefined) {
+    // Dishes without a spice level count as not spicy
+    filter.$or = [{ spiceLevel: { $lte: maxSpice } }, { spiceLevel: null }];
+  }
+
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter['price.amount'] = {
+      ...(minPrice !== undefined && { $gte: minPrice }),
+      ...(maxPrice !== undefined && { $lte: maxPrice }),
+    };
+  }
+
+  if (typeof query.currency === 'string' && query.currency.trim()) {
+    filter['price.currency'] = query.currency.trim().toUpperCase();
+  }
+
+  const maxPrepTime = parseNumber(query.maxPrepTime);
+  if (maxPrepTime !== undefined) {
+    filter.prepTimeMinutes = { $lte: maxPrepTime };
+  }
+
+  if (query.imageHealth === 'pending') {
+    filter.imageUrl = { $nin: [null, ''] };
+    filter.imageHealth = null;
+  } else if (IMAGE_HEALTH_FILTERS.includes(query.imageHealth)) {
+    filter['imageHealth.status'] = query.imageHealth;
+  }
+
+  return filter;
+};
+
+/**
+ * Build a Mongo sort from list query params
+ * Supports: sortBy=<field>, order=asc|desc
+ * dishId is always added as a tie-breaker so paging is stable
+ * @param {Object} query - req.query
+ * @returns {Object} Mongo sort
+ */
+export const buildDishSort = (query = {}) => {
+  const sortBy = SORTABLE_FIELDS.includes(query.sortBy) ? query.sortBy : 'dishName';
+  const direction = query.order === 'desc' ? -1 : 1;
+
+  const sort = {};
+  for (const path of SORT_PATHS[sortBy] || [sortBy]) {
+    sort[path] = direction;
+  }
+  if (sortBy !== 'dishId') {
+    sort.dishId = direction;
+  }
+  return sort;
+};
+
+/**
+ * Whether a sort uses the category order, which only buildDishPipeline computes
+ * @param {Object} sort - Mongo sort from buildDishSort
+ * @returns {boolean}
+ */
+export const sortsByCategoryOrder = (sort) => CATEGORY_ORDER in sort;
+
+/**
+ * Build an aggregation pipeline listing dishes in menu order
+ * Each dish gets its category's place in `categoryIds`; uncategorized dishes and
+ * dishes whose category no longer exists come after every category, as the
+ * dashboard and public menu show them
+ * @param {Object} filter - Mongo filter (from buildDishFilter)
+ * @param {Object} sort - Mongo sort (may use CATEGORY_ORDER)
+ * @param {Object} options - { categoryIds (in menu order), skip, limit, select (space-separated paths) }
+ * @returns {Object[]} Aggregation pipeline
+ */
+export const buildDishPipeline = (filter, sort, { categoryIds = [], skip = 0, limit, select } = {}) => [
+  { $match: filter },
+  {
+    $addFields: {
+      [CATEGORY_ORDER]: {
+        $let: {
+          vars: { index: { $indexOfArray: [{ $literal: categoryIds }, '$category'] } },
+          in: { $cond: [{ $eq: ['$$index', -1] }, categoryIds.length, '$$index'] },
+        },
+      },
+    },
+  },
+  { $sort: sort },
+  ...(skip > 0 ? [{ $skip: skip }] : []),
+  ...(limit ? [{ $limit: limit }] : []),
+  {
+    $project: select
+      ? Object.fromEntries(select.split(' ').map((path) => [path, 1]))
+      : { [CATEGORY_ORDER]: 0 },
+  },
+];
+
+/**
+ * Parse page/limit query params, clamped to sane bounds
+ * @param {Object} query - req.query
+ * @returns {Object} { page, limit, skip }
+ */
+export const parsePagination = (query = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit,
+  };
+};
@@ -0,0 +1,182 @@
+import {
+  DISH_ID_PATTERN,
+  MAX_DISH_ID_LENGTH,
+  MAX_DISH_NAME_LENGTH,
+  MAX_IMAGE_URL_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_CATEGORY_LENGTH,
+  SPICE_LEVEL_MIN,
+  SPICE_LEVEL_MAX,
+  MAX_PREP_TIME_MINUTES,
+} from '../config/dishAttributes.js';
+import { readDishDetails } from './dishDetails.js';
+import { SORTABLE_FIELDS, IMAGE_HEALTH_FILTERS } from './dishQuery.js';
+import { EXPORT_FORMATS } from './dishExport.js';
+import { IMPORT_FORMATS } from './dishImport.js';
+
+/**
+ * Request schemas for the dish routes (see utils/validation.js for the rule format)
+ * Types, formats and lengths are checked here; rules that need the database
+ * (unknown category, duplicate dishId) are checked by the controllers
+ */
+
+export const BULK_ACTIONS = ['publish', 'unpublish', 'delete', 'update'];
+
+// Maximum number of dishes per bulk request
+export const MAX_BULK_ITEMS = 200;
+
+// Longest search text accepted
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Check a detail field with the same parser the controllers use, so the
+ * messages (and rules like currency decimals) match
+ */
+const detailCheck = (field) => (value) => readDishDetails({ [field]: value }).error || null;
+
+// dishId as given when creating a dish
+const newDishIdRule = {
+  type: 'string',
+  maxLength: MAX_DISH_ID_LENGTH,
+  pattern: DISH_ID_PATTERN,
+  patternMessage: 'dishId may only contain letters, numbers, "-" and "_", and must start with a letter or number',
+};
+
+// dishId of an existing dish (not held to the pattern, which older dishes may predate)
+const dishIdRule = { type: 'string', maxLength: MAX_DISH_ID_LENGTH };
+
+const list = (field) => ({ type: ['array', 'string'], nullable: true, check: detailCheck(field) });
+const queryNumber = { type: 'number', nullable: true, min: 0 };
+
+// Editable dish fields, shared by create, update and bulk update
+const DISH_FIELDS = {
+  dishName: { type: 'string', maxLength: MAX_DISH_NAME_LENGTH },
+  imageUrl: { type: 'url', nullable: true, maxLength: MAX_IMAGE_URL_LENGTH },
+  price: {
+    type: ['object', 'number'],
+    nullable: true,
+    fields: {
+      amount: { type: 'number', required: true, min: 0 },
+      currency: { type: 'string', pattern: /^[A-Za-z]{3}$/, patternMessage: 'price.currency must be a 3-letter currency code' },
+    },
+    check: detailCheck('price'),
+  },
+  description: { type: 'string', nullable: true, maxLength: MAX_DESCRIPTION_LENGTH },
+  category: { type: 'string', nullable: true, maxLength: MAX_CATEGORY_LENGTH },
+  allergens: list('allergens'),
+  dietaryFlags: list('dietaryFlags'),
+  spiceLevel: { type: 'integer', nullable: true, min: SPICE_LEVEL_MIN, max: SPICE_LEVEL_MAX },
+  prepTimeMinutes: { type: 'integer', nullable: true, min: 0, max: MAX_PREP_TIME_MINUTES },
+  isPublished: { type: 'boolean' },
+  publishAt: { type: 'date', nullable: true },
+  unpublishAt: { type: 'date', nullable: true },
+};
+
+// :dishId route param
+export const DISH_PARAMS = {
+  dishId: { ...dishIdRule, required: true },
+};
+
+// :dishId/:version route params
+export const VERSION_PARAMS = {
+  ...DISH_PARAMS,
+  version: { type: 'integer', required: true, min: 1 },
+};
+
+// GET /api/dishes (and export) query params; empty values are treated as not set
+export const LIST_QUERY = {
+  page: { type: 'integer', nullable: true, min: 1 },
+  limit: { type: 'integer', nullable: true, min: 1 },
+  menu: { type: 'objectId', nullable: true },
+  isPublished: { type: 'string', nullable: true, enum: ['true', 'false'] },
+  search: { type: 'string', nullable: true, maxLength: MAX_SEARCH_LENGTH },
+  imageHealth: { type: 'string', nullable: true, enum: IMAGE_HEALTH_FILTERS },
+  category: {
+    type: 'string',
+    nullable: true,
+    check: (value) =>
+      value === 'none' || /^[0-9a-f]{24}$/i.test(value) ? null : 'category must be a category id or "none"',
+  },
+  dietary: { type: 'string', nullable: true },
+  allergenFree: { type: 'string', nullable: true },
+  maxSpice: queryNumber,
+  minPrice: queryNumber,
+  maxPrice: queryNumber,
+  currency: { type: 'string', nullable: true, pattern: /^[A-Za-z]{3}$/, patternMessage: 'currency must be a 3-letter code' },
+  maxPrepTime: queryNumber,
+  sortBy: { type: 'string', nullable: true, enum: SORTABLE_FIELDS },
+  order: { type: 'string', nullable: true, enum: ['asc', 'desc'] },
+};
+
+// GET /api/dishes/export query params
+export const EXPORT_QUERY = {
+  ...LIST_QUERY,
+  format: { type: 'string', nullable: true, enum: Object.keys(EXPORT_FORMATS) },
+};
+
+// GET /api/dishes/search query params
+export const SEARCH_QUERY = {
+  q: { type: 'string', required: true, maxLength: MAX_SEARCH_LENGTH },
+  limit: { type: 'integer', nullable: true, min: 1 },
+  isPublished: LIST_QUERY.isPublished,
+};
+
+// GET /api/dishes/trash query params
+export const TRASH_QUERY = {
+  page: LIST_QUERY.page,
+  limit: LIST_QUERY.limit,
+};
+
+// POST /api/dishes/import query params
+export const IMPORT_QUERY = {
+  dryRun: { type: 'string', nullable: true, enum: ['true', 'false'] },
+  skipInvalid: { type: 'string', nullable: true, enum: ['true', 'false'] },
+  format: { type: 'string', nullable: true, enum: IMPORT_FORMATS },
+};
+
+// GET /api/dishes/image-health query params
+export const IMAGE_HEALTH_QUERY = {
+  status: { type: 'string', nullable: true, enum: IMAGE_HEALTH_FILTERS },
+};
+
+// POST /api/dishes body
+export const CREATE_DISH_BODY = {
+  dishId: { ...newDishIdRule, required: true },
+  ...DISH_FIELDS,
+  dishName: { ...DISH_FIELDS.dishName, required: true },
+};
+
+// PUT /api/dishes/:dishId body (every field optional; revision is the one the edit is based on)
+export const UPDATE_DISH_BODY = {
+  ...DISH_FIELDS,
+  revision: { type: 'integer', min: 0 },
+};
+
+// POST /api/dishes/:dishId/revert/:version body (revision is the one the revert is based on)
+export const REVERT_DISH_BODY = {
+  revision: UPDATE_DISH_BODY.revision,
+};
+
+// PUT /api/dishes/:dishId/toggle query params
+export const TOGGLE_QUERY = {
+  menu: { type: 'objectId', nullable: true },
+};
+
+// PUT /api/dishes/:dishId/position body
+export const MOVE_DISH_BODY = {
+  category: DISH_FIELDS.category,
+  beforeDishId: { ...dishIdRule, nullable: true },
+};
+
+// POST /api/dishes/bulk body
+export const BULK_BODY = {
+  action: { type: 'string', required: true, enum: BULK_ACTIONS },
+  dishIds: {
+    type: 'array',
+    required: true,
+    minLength: 1,
+    maxLength: MAX_BULK_ITEMS,
+    items: { ...dishIdRule, required: true },
+  },
+  fields: { type: 'object', nullable: true, fields: DISH_FIELDS },
+};
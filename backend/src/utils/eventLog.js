@@ -0,0 +1,69 @@
+import { randomUUID } from 'crypto';
+import { getEventLogSize, getEventLogMaxAgeMs } from '../config/events.js';
+
+/**
+ * Bounded log of emitted change events
+ * Every event gets the next sequence number, so a client that reconnects can
+ * ask for everything after the last one it saw. Numbers restart with the
+ * server, so each run has its own epoch; a client from another epoch, or one
+ * further behind than the log reaches, has to reload instead
+ */
+
+// Identifies this server run
+export const EPOCH = randomUUID();
+
+let lastSeq = 0;
+
+// Oldest first: { seq, event, payload, at }
+const entries = [];
+
+/**
+ * Drop events beyond the size limit or older than the age limit
+ */
+const trimLog = () => {
+  const cutoff = Date.now() - getEventLogMaxAgeMs();
+  const maxSize = getEventLogSize();
+  while (entries.length > 0 && (entries.length > maxSize || entries[0].at < cutoff)) {
+    entries.shift();
+  }
+};
+
+/**
+ * Sequence number of the latest event
+ */
+export const getLastSeq = () => lastSeq;
+
+/**
+ * Record an event under the next sequence number
+ * The payload is stored serialized, so later changes to the documents in it
+ * don't alter what is replayed
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @returns {Object} { seq, event, payload, at }
+ */
+export const appendEvent = (event, payload) => {
+  const entry = { seq: ++lastSeq, event, payload: JSON.parse(JSON.stringify(payload ?? {})), at: Date.now() };
+  entries.push(entry);
+  trimLog();
+  return entry;
+};
+
+/**
+ * Events after a client's last-seen sequence number
+ * @param {number} since - Last sequence number the client saw
+ * @param {string} epoch - Epoch the number belongs to
+ * @returns {Object} { events } or { resync: true } when the gap can't be filled
+ */
+export const readEventsSince = (since, epoch) => {
+  trimLog();
+
+  if (epoch !== EPOCH || !Number.isInteger(since) || since < 0 || since > lastSeq) {
+    return { resync: true };
+  }
+  if (since === lastSeq) return { events: [] };
+
+  // Events right after `since` have already been dropped
+  if (entries.length === 0 || entries[0].seq > since + 1) return { resync: true };
+
+  return { events: entries.filter((entry) => entry.seq > since) };
+};
@@ -0,0 +1,130 @@
+import { getCheckTimeoutMs, getMaxImageBytes, isBrokenImagePublishBlocked } from '../config/imageHealth.js';
+
+/**
+ * Image health helpers
+ * Check that an image URL still serves an image, and decide whether a
+ * broken image should stop a dish from being published
+ */
+
+// ok: 2xx image within the size limit; warning: served but too large or of an
+// unexpected type; broken: unreachable or an error status
+export const IMAGE_HEALTH_STATUSES = ['ok', 'warning', 'broken'];
+
+/**
+ * Request an image and read its status and headers (the body is not downloaded)
+ * HEAD is tried first; servers that don't support it get a GET that is aborted
+ * once headers arrive
+ */
+const fetchHeaders = async (url, method) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), getCheckTimeoutMs());
+
+  try {
+    const response = await fetch(url, {
+      method,
+      redirect: 'follow',
+      signal: controller.signal,
+      headers: { 'User-Agent': 'DishManager image health check' },
+    });
+    return {
+      httpStatus: response.status,
+      contentType: response.headers.get('content-type'),
+      contentLength: Number(response.headers.get('content-length')) || null,
+    };
+  } finally {
+    clearTimeout(timer);
+    controller.abort(); // Drop any body we didn't read
+  }
+};
+
+/**
+ * Check an image URL
+ * @param {string} url - Image URL
+ * @returns {Promise<Object>} { url, status, httpStatus, contentType, contentLength, error, checkedAt }
+ */
+export const checkImageUrl = async (url) => {
+  const result = {
+    url,
+    status: 'broken',
+    httpStatus: null,
+    contentType: null,
+    contentLength: null,
+    error: null,
+    checkedAt: new Date(),
+  };
+
+  try {
+    let headers = await fetchHeaders(url, 'HEAD');
+    if (headers.httpStatus === 405 || headers.httpStatus === 501 || headers.httpStatus === 403) {
+      headers = await fetchHeaders(url, 'GET');
+    }
+    Object.assign(result, headers);
+  } catch (error) {
+    result.error = error.name === 'AbortError' ? 'Timed out' : error.cause?.message || error.message;
+    return result;
+  }
+
+  const mimeType = result.contentType?.split(';')[0].trim().toLowerCase();
+
+  if (result.httpStatus < 200 || result.httpStatus >= 300) {
+    result.error = `HTTP ${result.httpStatus}`;
+  } else if (mimeType && !mimeType.startsWith('image/')) {
+    result.status = 'warning';
+    result.error = `Unexpected content type ${mimeType}`;
+  } else if (result.contentLength && result.contentLength > getMaxImageBytes()) {
+    result.status = 'warning';
+    result.error = `Image is ${Math.round(result.contentLength / 1024)} KB`;
+  } else {
+    result.status = 'ok';
+  }
+
+  return result;
+};
+
+/**
+ * Reason a dish may not be published because of its image
+ * Only applies when BLOCK_PUBLISH_ON_BROKEN_IMAGE is on, the dish is being
+ * published, and its image was found broken (an image newly linked to an
+ * existing dish hasn't been checked yet, so it isn't blocked; new dishes are
+ * checked first, see getNewDishBlockReasons)
+ * @param {Object} dish - Dish document with pending changes applied
+ * @param {Object} options - { publishing } whether the change publishes the dish
+ *   (default: isPublished was switched on; pass true when publishing on a menu)
+ * @returns {string|null} Error message, or null when publishing is allowed
+ */
+export const getPublishBlockReason = (
+  dish,
+  { publishing = dish.isPublished && dish.isModified('isPublished') } = {}
+) => {
+  if (!isBrokenImagePublishBlocked()) return null;
+  if (!publishing) return null;
+  if ((!dish.isNew && dish.isModified('imageUrl')) || dish.imageHealth?.status !== 'broken') return null;
+
+  return `Dish ${dish.dishId} can't be published while its image is broken (${dish.imageHealth.error || 'unreachable'})`;
+};
+
+// Images checked at once by getNewDishBlockReasons
+const NEW_DISH_CHECK_CONCURRENCY = 5;
+
+/**
+ * Reasons new dishes may not be created published because of their image
+ * A new dish has no earlier check to go by, so when BLOCK_PUBLISH_ON_BROKEN_IMAGE
+ * is on, the image of each one created published is checked now and the result
+ * set on it (saved with the dish, so the health job doesn't check it again soon)
+ * @param {Object[]} dishes - New dish documents (not yet saved)
+ * @returns {Promise<(string|null)[]>} Error message per dish, or null when it may be created
+ */
+export const getNewDishBlockReasons = async (dishes) => {
+  if (!isBrokenImagePublishBlocked()) return dishes.map(() => null);
+
+  const queue = dishes.filter((dish) => dish.isPublished && dish.imageUrl);
+  const worker = async () => {
+    while (queue.length > 0) {
+      const dish = queue.shift();
+      dish.imageHealth = await checkImageUrl(dish.imageUrl);
+    }
+  };
+  await Promise.all(Array.from({ length: NEW_DISH_CHECK_CONCURRENCY }, worker));
+
+  return dishes.map((dish) => getPublishBlockReason(dish, { publishing: dish.isPublished }));
+};
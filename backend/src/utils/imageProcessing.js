@@ -0,0 +1,62 @@
+import sharp from 'sharp';
+
+/**
+ * Image processing helpers
+ * Normalize uploaded images and render the resized/WebP variants we serve
+ */
+
+// Sizes generated for every upload (longest edge, never enlarged)
+export const IMAGE_VARIANTS = [
+  { name: 'large', size: 1600 },
+  { name: 'medium', size: 800 },
+  { name: 'thumb', size: 320 },
+];
+
+// Input formats accepted for upload
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+
+/**
+ * Render every variant of an image in its base format (JPEG, or PNG when it
+ * has transparency) and as WebP
+ * @param {Buffer} input - Uploaded file contents
+ * @returns {Promise<Object>} { width, height, files } where each file is
+ *   { variant, format, contentType, body, width, height }
+ * @throws {Error} With status 400 when the input isn't a readable image
+ */
+export const processImage = async (input) => {
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch {
+    throw Object.assign(new Error('File is not a supported image'), { status: 400 });
+  }
+
+  const baseFormat = metadata.hasAlpha ? 'png' : 'jpeg';
+  const files = [];
+
+  for (const { name, size } of IMAGE_VARIANTS) {
+    // rotate() applies the EXIF orientation; metadata is stripped by default
+    const resized = sharp(input)
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+
+    for (const format of [baseFormat, 'webp']) {
+      const { data, info } = await resized
+        .clone()
+        .toFormat(format, format === 'jpeg' ? { quality: 82, mozjpeg: true } : { quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      files.push({
+        variant: name,
+        format,
+        contentType: `image/${format}`,
+        body: data,
+        width: info.width,
+        height: info.height,
+      });
+    }
+  }
+
+  const largest = files[0];
+  return { width: largest.width, height: largest.height, files };
+};
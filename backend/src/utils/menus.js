@@ -0,0 +1,138 @@
+import { MAX_MENU_NAME_LENGTH, WEEKDAYS, getDefaultMenuTimezone, isValidTimezone } from '../config/menus.js';
+
+/**
+ * Menu helpers
+ * Parse menu fields from request bodies, evaluate availability hours and
+ * read a dish's per-menu publish state
+ */
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// Weekday names as formatted by Intl (en-US), indexed like Date#getDay
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Parse availability hours
+ * @param {Object[]|null} value - [{ days: [0-6], open: 'HH:MM', close: 'HH:MM' }]
+ * @returns {Object} { hours } or { error }
+ */
+const parseHours = (value) => {
+  if (value === null) return { hours: [] };
+  if (!Array.isArray(value)) {
+    return { error: 'hours must be an array of { days, open, close }' };
+  }
+
+  const hours = [];
+  for (const [index, window] of value.entries()) {
+    const days = Array.isArray(window?.days) ? [...new Set(window.days.map(Number))].sort() : [];
+    if (days.length === 0 || !days.every((day) => WEEKDAYS.includes(day))) {
+      return { error: `hours[${index}].days must list days of the week (0 = Sunday to 6 = Saturday)` };
+    }
+    if (!TIME_PATTERN.test(window.open) || window.open === '24:00' || !TIME_PATTERN.test(window.close)) {
+      return { error: `hours[${index}] open and close must be HH:MM (24-hour)` };
+    }
+    hours.push({ days, open: window.open, close: window.close });
+  }
+
+  return { hours };
+};
+
+/**
+ * Read menu fields from a request body
+ * @param {Object} body - req.body: { name, timezone, hours }
+ * @param {Object} options - { partial } for updates, where every field is optional
+ * @returns {Object} Parsed fields, or { error } for the first invalid one
+ */
+export const readMenuFields = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Please provide a menu name' };
+    if (name.length > MAX_MENU_NAME_LENGTH) {
+      return { error: `Menu name must be at most ${MAX_MENU_NAME_LENGTH} characters` };
+    }
+    fields.name = name;
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimezone(body.timezone)) {
+      return { error: 'timezone must be an IANA time zone (e.g. Europe/London)' };
+    }
+    fields.timezone = body.timezone;
+  } else if (!partial) {
+    fields.timezone = getDefaultMenuTimezone();
+  }
+
+  if (body.hours !== undefined) {
+    const { hours, error } = parseHours(body.hours);
+    if (error) return { error };
+    fields.hours = hours;
+  }
+
+  return fields;
+};
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Day of the week and minutes since midnight of a moment in a time zone
+ */
+const localTime = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    day: WEEKDAY_NAMES.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * Whether a menu is available at a given moment
+ * Menus without hours are always available
+ * @param {Object} menu - Menu (document or plain object)
+ * @param {Date} now - Moment to check (default: now)
+ * @returns {boolean}
+ */
+export const isMenuOpen = (menu, now = new Date()) => {
+  if (!menu.hours || menu.hours.length === 0) return true;
+
+  const { day, minutes } = localTime(now, menu.timezone);
+  const previousDay = (day + 6) % 7;
+
+  return menu.hours.some(({ days, open, close }) => {
+    const from = toMinutes(open);
+    const to = toMinutes(close);
+
+    if (from < to) {
+      return days.includes(day) && minutes >= from && minutes < to;
+    }
+    // Runs past midnight: from opening on a listed day until closing the next morning
+    return (days.includes(day) && minutes >= from) || (days.includes(previousDay) && minutes < to);
+  });
+};
+
+/**
+ * Find a dish's membership entry for a menu
+ * @param {Object} dish - Dish (document or plain object)
+ * @param {string} menuId - Menu id
+ * @returns {Object|undefined} { menu, isPublished }, or undefined when not on the menu
+ */
+export const findMenuEntry = (dish, menuId) =>
+  (dish.menus || []).find((entry) => String(entry.menu) === String(menuId));
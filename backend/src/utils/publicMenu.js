@@ -0,0 +1,126 @@
+import { isMenuOpen } from './menus.js';
+
+/**
+ * Public menu helpers
+ * Shape dishes, categories and menus for the customer-facing API: only what a
+ * menu needs to show, without publish schedules, history or internal state
+ */
+
+/**
+ * Whether customers can see a dish through the public API: it isn't in the
+ * trash and is published overall or on at least one menu
+ * @param {Object|null} dish - Dish document or plain object
+ * @returns {boolean}
+ */
+export const isPublicDish = (dish) =>
+  Boolean(dish && !dish.deletedAt && (dish.isPublished || dish.menus?.some((entry) => entry.isPublished)));
+
+// Dish fields read for public responses
+export const PUBLIC_DISH_SELECT = [
+  'dishId',
+  'dishName',
+  'description',
+  'price',
+  'category',
+  'allergens',
+  'dietaryFlags',
+  'spiceLevel',
+  'prepTimeMinutes',
+  'imageUrl',
+  'image.width',
+  'image.height',
+  'image.variants',
+  'position',
+].join(' ');
+
+// List filters customers may use (see buildDishFilter); anything else is ignored
+const PUBLIC_FILTERS = [
+  'search',
+  'category',
+  'dietary',
+  'allergenFree',
+  'maxSpice',
+  'minPrice',
+  'maxPrice',
+  'currency',
+  'maxPrepTime',
+];
+
+// Upper bound on dishes in one public response
+export const MAX_PUBLIC_DISHES = 500;
+
+/**
+ * Keep only the query params the public API supports as filters
+ * @param {Object} query - req.query
+ * @returns {Object} Filter params for buildDishFilter
+ */
+export const pickPublicFilters = (query = {}) =>
+  Object.fromEntries(PUBLIC_FILTERS.filter((key) => query[key] !== undefined).map((key) => [key, query[key]]));
+
+/**
+ * Public view of a dish
+ * @param {Object} dish - Lean dish selected with PUBLIC_DISH_SELECT
+ * @param {Map} categoryNames - Category id -> name
+ */
+export const toPublicDish = (dish, categoryNames = new Map()) => ({
+  dishId: dish.dishId,
+  dishName: dish.dishName,
+  description: dish.description || '',
+  price: dish.price ? { amount: dish.price.amount, currency: dish.price.currency } : null,
+  category: dish.category ? categoryNames.get(String(dish.category)) || null : null,
+  allergens: dish.allergens || [],
+  dietaryFlags: dish.dietaryFlags || [],
+  spiceLevel: dish.spiceLevel ?? null,
+  prepTimeMinutes: dish.prepTimeMinutes ?? null,
+  imageUrl: dish.imageUrl || null,
+  image: dish.image?.variants
+    ? { width: dish.image.width, height: dish.image.height, variants: dish.image.variants }
+    : null,
+});
+
+/**
+ * Public view of a menu
+ * @param {Object} menu - Lean menu
+ * @param {Date} now - Moment isOpen is evaluated at
+ */
+export const toPublicMenu = (menu, now = new Date()) => ({
+  id: String(menu._id),
+  name: menu.name,
+  timezone: menu.timezone,
+  hours: (menu.hours || []).map(({ days, open, close }) => ({ days, open, close })),
+  isOpen: isMenuOpen(menu, now),
+});
+
+/**
+ * Group dishes into menu sections, in category order with uncategorized dishes last
+ * Sections without dishes are left out
+ * @param {Object[]} dishes - Lean dishes selected with PUBLIC_DISH_SELECT
+ * @param {Object[]} categories - Lean categories in menu order
+ * @returns {Object[]} [{ category: { id, name } | null, dishes }]
+ */
+export const buildSections = (dishes, categories) => {
+  const categoryNames = new Map(categories.map((category) => [String(category._id), category.name]));
+  const byCategory = new Map();
+
+  const sorted = [...dishes].sort(
+    (a, b) => (a.position || 0) - (b.position || 0) || a.dishName.localeCompare(b.dishName)
+  );
+  for (const dish of sorted) {
+    // Dishes pointing at a category that no longer exists count as uncategorized
+    const key = dish.category && categoryNames.has(String(dish.category)) ? String(dish.category) : null;
+    if (!byCategory.has(key)) byCategory.set(key, []);
+    byCategory.get(key).push(toPublicDish(dish, categoryNames));
+  }
+
+  const sections = categories
+    .filter((category) => byCategory.has(String(category._id)))
+    .map((category) => ({
+      category: { id: String(category._id), name: category.name },
+      dishes: byCategory.get(String(category._id)),
+    }));
+
+  if (byCategory.has(null)) {
+    sections.push({ category: null, dishes: byCategory.get(null) });
+  }
+  return sections;
+};
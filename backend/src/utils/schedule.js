@@ -0,0 +1,59 @@
+/**
+ * Publish schedule helpers
+ * Parse and validate publishAt/unpublishAt values from request bodies
+ */
+
+export const SCHEDULE_FIELDS = ['publishAt', 'unpublishAt'];
+
+/**
+ * Read schedule fields from a request body
+ * Each field is undefined when not provided, null when cleared, or a Date
+ * @param {Object} body - req.body
+ * @returns {Object} { publishAt, unpublishAt }, or { error, field } for an invalid date
+ */
+export const readSchedule = (body = {}) => {
+  const schedule = {};
+
+  for (const field of SCHEDULE_FIELDS) {
+    const value = body[field];
+
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      schedule[field] = null;
+      continue;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date)) {
+      return { error: `${field} must be a valid date`, field };
+    }
+    schedule[field] = date;
+  }
+
+  return schedule;
+};
+
+/**
+ * Check that a dish's schedule is coherent
+ * @param {Object} schedule - { publishAt, unpublishAt } (Dates or null)
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateSchedule = ({ publishAt, unpublishAt }) => {
+  if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+    return 'unpublishAt must be later than publishAt';
+  }
+  return null;
+};
+
+/**
+ * Whether a parsed schedule changes a dish's current schedule
+ * @param {Object} dish - Dish document
+ * @param {Object} schedule - Result of readSchedule
+ * @returns {boolean}
+ */
+export const scheduleChanges = (dish, schedule) =>
+  SCHEDULE_FIELDS.some(
+    (field) =>
+      schedule[field] !== undefined &&
+      (schedule[field]?.getTime() ?? null) !== (dish[field]?.getTime() ?? null)
+  );
@@ -0,0 +1,103 @@
+/**
+ * Text search helpers
+ * Tokenizing and fuzzy matching used to complement MongoDB's $text search,
+ * which matches whole (stemmed) words only
+ */
+
+/**
+ * Split a search string into lowercase word tokens
+ * @param {string} text - Raw text
+ * @returns {string[]} Tokens
+ */
+export const tokenize = (text = '') =>
+  text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * Stops early and returns max + 1 once the distance is known to exceed max
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Edit distance, capped at max + 1
+ */
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+};
+
+/**
+ * Number of typos tolerated for a term, scaled by its length
+ * @param {string} term - Search term
+ * @returns {number} Allowed edit distance
+ */
+export const allowedTypos = (term) => {
+  if (term.length < 4) return 0;
+  if (term.length < 8) return 1;
+  return 2;
+};
+
+/**
+ * Score how well a piece of text matches the search terms
+ * Prefix matches score higher than typo-tolerant (fuzzy) matches
+ * @param {string[]} terms - Tokenized search terms
+ * @param {string} text - Text to match against (e.g. the dish name)
+ * @returns {number} Score, 0 when no term matches
+ */
+export const scoreTextMatch = (terms, text) => {
+  const words = tokenize(text);
+  let score = 0;
+
+  for (const term of terms) {
+    let best = 0;
+
+    for (const word of words) {
+      if (word === term) {
+        best = Math.max(best, 3);
+      } else if (word.startsWith(term)) {
+        best = Math.max(best, 2);
+      } else {
+        const maxTypos = allowedTypos(term);
+        // Compare against the word and its same-length prefix so "margh" still finds "margherita"
+        const distance = Math.min(
+          editDistance(term, word, maxTypos),
+          editDistance(term, word.slice(0, term.length), maxTypos)
+        );
+        if (maxTypos > 0 && distance <= maxTypos) {
+          best = Math.max(best, 1 / (distance + 1));
+        }
+      }
+    }
+
+    score += best;
+  }
+
+  return score;
+};
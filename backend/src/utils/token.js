@@ -0,0 +1,48 @@
+import jwt from 'jsonwebtoken';
+
+/**
+ * JWT helpers
+ * Tokens carry the user's id and role; the user is re-loaded on each request
+ */
+
+const DEFAULT_EXPIRES_IN = '12h';
+
+/**
+ * Read the signing secret from the environment
+ * @throws {Error} When JWT_SECRET is not configured
+ */
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Issue a signed token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+export const signToken = (user) =>
+  jwt.sign({ sub: user._id.toString(), role: user.role }, getSecret(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_EXPIRES_IN,
+  });
+
+/**
+ * Verify a token and return its payload
+ * @param {string} token - JWT from the client
+ * @returns {Object} Decoded payload ({ sub, role, iat, exp })
+ * @throws {Error} When the token is invalid or expired
+ */
+export const verifyToken = (token) => jwt.verify(token, getSecret());
+
+/**
+ * Extract a bearer token from an Authorization header value
+ * @param {string} header - e.g. "Bearer eyJhbGci..."
+ * @returns {string|null} Token, or null when missing/malformed
+ */
+export const getBearerToken = (header) => {
+  if (typeof header !== 'string') return null;
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
@@ -0,0 +1,194 @@
+/**
+ * Request validation
+ * A small declarative schema checker behind the validateRequest middleware.
+ * Errors are reported per field ({ field, message }) so clients can show them
+ * next to the offending input
+ *
+ * A schema maps field names to rules. Rule options:
+ *   type       string|integer|number|boolean|date|url|objectId|array|object, or a list of them
+ *   required   must be present and non-empty
+ *   nullable   null or a blank string is accepted (e.g. to clear a field)
+ *   minLength/maxLength  for strings (trimmed) and arrays
+ *   min/max    for numbers
+ *   pattern    RegExp strings must match (patternMessage explains it)
+ *   enum       allowed values
+ *   items      rule applied to every array entry
+ *   fields     schema for the properties of an object
+ *   check      (value) => error message or null, for anything else
+ */
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Check that a string is an absolute http(s) URL
+ */
+export const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Numbers as given, numeric strings (query params, form fields) converted
+ * @returns {number} NaN when the value isn't numeric
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+const TYPES = {
+  string: { test: (value) => typeof value === 'string', label: 'text' },
+  integer: { test: (value) => Number.isInteger(toNumber(value)), label: 'a whole number' },
+  number: { test: (value) => Number.isFinite(toNumber(value)), label: 'a number' },
+  boolean: { test: (value) => typeof value === 'boolean', label: 'true or false' },
+  date: {
+    test: (value) => (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value)),
+    label: 'a valid date',
+  },
+  url: { test: (value) => typeof value === 'string' && isHttpUrl(value.trim()), label: 'a valid http(s) URL' },
+  objectId: { test: (value) => typeof value === 'string' && OBJECT_ID_PATTERN.test(value), label: 'a valid id' },
+  array: { test: Array.isArray, label: 'a list' },
+  object: {
+    test: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+    label: 'an object',
+  },
+};
+
+/**
+ * Check one value against a rule, adding any errors to `errors`
+ * @param {string} field - Field path used in messages (e.g. "price.amount")
+ * @param {*} value - Value to check
+ * @param {Object} rule - Field rule
+ * @param {Object[]} errors - Collected { field, message } errors
+ */
+const checkValue = (field, value, rule, errors) => {
+  const fail = (message) => errors.push({ field, message });
+
+  const isEmpty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  if (isEmpty) {
+    if (rule.nullable && value !== undefined) return;
+    if (rule.required) return fail(`${field} is required`);
+    if (value !== undefined) fail(`${field} cannot be empty`);
+    return;
+  }
+
+  const types = [].concat(rule.type || []);
+  const type = types.find((name) => TYPES[name].test(value));
+  if (types.length > 0 && !type) {
+    return fail(`${field} must be ${types.map((name) => TYPES[name].label).join(' or ')}`);
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const length = typeof value === 'string' ? value.trim().length : value.length;
+    if (rule.minLength !== undefined && length < rule.minLength) {
+      return fail(
+        typeof value === 'string'
+          ? `${field} must be at least ${rule.minLength} characters`
+          : `${field} must include at least ${rule.minLength} item(s)`
+      );
+    }
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+      return fail(
+        typeof value === 'string'
+          ? `${field} must be at most ${rule.maxLength} characters`
+          : `${field} can include at most ${rule.maxLength} item(s)`
+      );
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    const number = toNumber(value);
+    if (rule.min !== undefined && number < rule.min) return fail(`${field} must be at least ${rule.min}`);
+    if (rule.max !== undefined && number > rule.max) return fail(`${field} must be at most ${rule.max}`);
+  }
+
+  if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value.trim())) {
+    return fail(rule.patternMessage || `${field} has an invalid format`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`${field} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  const errorCount = errors.length;
+
+  if (rule.items && Array.isArray(value)) {
+    value.forEach((item, index) => checkValue(`${field}[${index}]`, item, rule.items, errors));
+  }
+
+  if (rule.fields && type === 'object') {
+    for (const [key, fieldRule] of Object.entries(rule.fields)) {
+      checkValue(`${field}.${key}`, value[key], fieldRule, errors);
+    }
+  }
+
+  // Custom checks only run on values that are otherwise well-formed
+  if (rule.check && errors.length === errorCount) {
+    const message = rule.check(value);
+    if (message) fail(message);
+  }
+};
+
+/**
+ * Check an object (body, query or params) against a schema
+ * Fields not in the schema are ignored
+ * @param {Object} schema - Field name -> rule
+ * @param {Object} data - Values to check
+ * @returns {Object[]} [{ field, message }], empty when valid
+ */
+export const validateSchema = (schema, data = {}) => {
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    checkValue(field, data[field], rule, errors);
+  }
+  return errors;
+};
+
+/**
+ * Send a validation error response
+ * Shape: { success: false, message, errors: [{ field, message }] }
+ * 400 = malformed request, 409 = conflicts with existing data, 422 = well-formed but not allowed
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Object[]} errors - [{ field, message }]
+ */
+export const sendValidationError = (res, status, errors) =>
+  res.status(status).json({
+    success: false,
+    message:
+      errors.length > 1
+        ? `${errors[0].message} (and ${errors.length - 1} more)`
+        : errors[0].message,
+    errors,
+  });
+
+/**
+ * Answer Mongoose validation and duplicate key errors with field-level details
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while saving
+ * @returns {boolean} Whether a response was sent
+ */
+export const sendMongooseError = (res, error) => {
+  if (error?.name === 'ValidationError' && error.errors) {
+    sendValidationError(
+      res,
+      422,
+      Object.values(error.errors).map((fieldError) => ({ field: fieldError.path, message: fieldError.message }))
+    );
+    return true;
+  }
+
+  if (error?.code === 11000) {
+    const [field = 'id', value] = Object.entries(error.keyValue || {})[0] || [];
+    const message = value !== undefined ? `${field} ${value} already exists` : `${field} already exists`;
+    sendValidationError(res, 409, [{ field, message }]);
+    return true;
+  }
+
+  return false;
+};
@@ -0,0 +1,149 @@
+import DishVersion from '../models/DishVersion.js';
+import { toSnapshot } from './audit.js';
+
+// Fields that are bookkeeping rather than dish content
+const NON_CONTENT_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'revision',
+  'deletedAt',
+  'deletedBy',
+  'imageHealth',
+  'position',
+  'changeBatch',
+];
+
+// Content fields a revert leaves untouched (identity, publish state, schedule and menu membership)
+export const REVERT_EXCLUDED_FIELDS = ['dishId', 'isPublished', 'publishAt', 'unpublishAt', 'menus'];
+
+/**
+ * Extract the versioned content of a dish
+ * @param {Object} dish - Mongoose document or plain object
+ * @returns {Object} Plain object without bookkeeping fields
+ */
+export const contentSnapshot = (dish) => {
+  const snapshot = toSnapshot(dish) || {};
+  for (const field of NON_CONTENT_FIELDS) delete snapshot[field];
+  return snapshot;
+};
+
+/**
+ * Build the actor sub-document for the current request (null req = system change)
+ */
+const actorFromRequest = (req) =>
+  req?.user
+    ? { id: req.user._id, username: req.user.username, role: req.user.role }
+    : { username: 'system', role: 'system' };
+
+/**
+ * Save a dish as a new revision and store its snapshot
+ * Dishes created before versioning get their pre-change state stored as a
+ * baseline version first, so the very first edit can still be reverted.
+ * The save only applies if the stored revision is still the one the dish was
+ * loaded at; otherwise a concurrent change won and Mongoose throws a
+ * DocumentNotFoundError (see isRevisionConflict)
+ * @param {Object|null} req - Express request (provides the actor); null for system changes
+ * @param {Object} dish - Modified dish document (not yet saved)
+ * @param {Object} options - { action, before, revertedFrom }
+ *   before: plain snapshot taken before the change (null for new dishes)
+ * @returns {Promise<Object>} The saved dish
+ */
+export const saveRevision = async (req, dish, { action, before = null, revertedFrom = null }) => {
+  const actor = actorFromRequest(req);
+  const loadedRevision = dish.revision || 0;
+
+  if (!dish.isNew) {
+    // Dishes that predate versioning may have no revision stored at all
+    dish.$where = { revision: loadedRevision || { $in: [0, null] } };
+  }
+
+  const needsBaseline = before && !before.revision;
+  dish.revision = needsBaseline ? 2 : loadedRevision + 1;
+  await dish.save();
+
+  if (needsBaseline) {
+    await DishVersion.create({
+      dishId: dish.dishId,
+      version: 1,
+      snapshot: contentSnapshot(before),
+      action: 'baseline',
+    });
+  }
+
+  await DishVersion.create({
+    dishId: dish.dishId,
+    version: dish.revision,
+    snapshot: contentSnapshot(dish),
+    action,
+    revertedFrom,
+    actor,
+  });
+
+  return dish;
+};
+
+/**
+ * Apply a stored snapshot's content onto a dish document
+ * Fields missing from the snapshot are cleared; identity and publish state are kept
+ * @param {Object} dish - Dish document to modify
+ * @param {Object} snapshot - Snapshot from a DishVersion
+ */
+export const applySnapshot = (dish, snapshot) => {
+  const fields = new Set([...Object.keys(contentSnapshot(dish)), ...Object.keys(snapshot)]);
+
+  for (const field of fields) {
+    if (REVERT_EXCLUDED_FIELDS.includes(field)) continue;
+    dish.set(field, snapshot[field]);
+  }
+};
+
+/**
+ * Read the revision a client based its edit on, from an If-Match header
+ * (`"12"`, `W/"12"` or `12`) or a `revision` body field (a whole number, or a
+ * string of one); `*` means any
+ * @param {Object} req - Express request
+ * @returns {Object} { revision } (undefined when not sent) or { error, field }
+ */
+export const readExpectedRevision = (req) => {
+  const header = req.get('If-Match');
+  if (header !== undefined && header.trim() !== '*') {
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+    if (!match) {
+      return { error: 'If-Match must be the revision the edit is based on, e.g. "12"', field: 'If-Match' };
+    }
+    return { revision: Number(match[1]) };
+  }
+
+  const { revision } = req.body || {};
+  if (revision === undefined) return { revision: undefined };
+
+  const valid = ['number', 'string'].includes(typeof revision) && /^\d+$/.test(String(revision).trim());
+  if (!valid) {
+    return { error: 'revision must be the revision the edit is based on, e.g. 12', field: 'revision' };
+  }
+  return { revision: Number(revision) };
+};
+
+/**
+ * Whether a save failed because another change bumped the revision first
+ */
+export const isRevisionConflict = (error) => error?.name === 'DocumentNotFoundError';
+
+/**
+ * Answer a stale write with 409 and the dish as it is now, so the client can
+ * compare and retry against the current revision
+ * @param {Object} res - Express response
+ * @param {Object} dish - Current dish
+ */
+export const sendRevisionConflict = (res, dish) => {
+  const message = `This dish was changed by someone else (now at revision ${dish.revision}). Review the latest version and save again`;
+  res.status(409).json({
+    success: false,
+    message,
+    errors: [{ field: 'revision', message }],
+    currentRevision: dish.revision,
+    data: dish,
+  });
+};
@@ -0,0 +1,46 @@
+import { WEBHOOK_EVENTS, MAX_WEBHOOK_URL_LENGTH, MAX_WEBHOOK_DESCRIPTION_LENGTH } from '../config/webhooks.js';
+import { DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+
+/**
+ * Request schemas for the webhook routes (see utils/validation.js for the rule format)
+ */
+
+const WEBHOOK_FIELDS = {
+  url: { type: 'url', maxLength: MAX_WEBHOOK_URL_LENGTH },
+  events: {
+    type: 'array',
+    minLength: 1,
+    items: { type: 'string', required: true, enum: WEBHOOK_EVENTS },
+  },
+  description: { type: 'string', nullable: true, maxLength: MAX_WEBHOOK_DESCRIPTION_LENGTH },
+  isActive: { type: 'boolean' },
+};
+
+// :webhookId route param
+export const WEBHOOK_PARAMS = {
+  webhookId: { type: 'objectId', required: true },
+};
+
+// :webhookId and :deliveryId route params
+export const DELIVERY_PARAMS = {
+  ...WEBHOOK_PARAMS,
+  deliveryId: { type: 'objectId', required: true },
+};
+
+// POST /api/webhooks body
+export const CREATE_WEBHOOK_BODY = {
+  ...WEBHOOK_FIELDS,
+  url: { ...WEBHOOK_FIELDS.url, required: true },
+  events: { ...WEBHOOK_FIELDS.events, required: true },
+};
+
+// PUT /api/webhooks/:webhookId body
+export const UPDATE_WEBHOOK_BODY = WEBHOOK_FIELDS;
+
+// GET /api/webhooks/:webhookId/deliveries query params
+export const DELIVERIES_QUERY = {
+  page: { type: 'integer', nullable: true, min: 1 },
+  limit: { type: 'integer', nullable: true, min: 1 },
+  status: { type: 'string', nullable: true, enum: DELIVERY_STATUSES },
+  event: { type: 'string', nullable: true, enum: WEBHOOK_EVENTS },
+};
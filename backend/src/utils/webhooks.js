@@ -0,0 +1,223 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import {
+  getMaxAttempts,
+  getRetryBaseMs,
+  getDeliveryTimeoutMs,
+  MAX_RETRY_DELAY_MS,
+} from '../config/webhooks.js';
+
+/**
+ * Webhook helpers
+ * Turning dish events into webhook payloads, signing requests, and making
+ * delivery attempts
+ *
+ * Every request carries an X-DishManager-Signature header: "t=<unix seconds>,v1=<hex>",
+ * where v1 is the HMAC-SHA256 of "<t>.<raw body>" keyed with the webhook secret
+ */
+
+// Characters of a receiver's response kept in the delivery log
+const MAX_RESPONSE_LOG_LENGTH = 1000;
+
+// A claimed delivery is left alone by other runs (and instances) for this long
+// beyond the request timeout; if the attempt never finishes it is picked up again
+const CLAIM_MARGIN_MS = 30 * 1000;
+
+// Signatures older than this are rejected by verifySignature
+const DEFAULT_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * New random webhook secret
+ * @returns {string} e.g. "whsec_3f9a..."
+ */
+export const generateSecret = () => `whsec_${randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw request body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} "t=<timestamp>,v1=<hex>"
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check a signature header, as a receiver would
+ * @param {string} secret - Webhook secret
+ * @param {string} header - X-DishManager-Signature value
+ * @param {string} body - Raw request body
+ * @param {number} toleranceSeconds - Largest accepted age of the signature
+ * @returns {boolean}
+ */
+export const verifySignature = (secret, header, body, toleranceSeconds = DEFAULT_SIGNATURE_TOLERANCE_SECONDS) => {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.split('=', 2))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1]);
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
+
+/**
+ * Webhook event for a derived dish event (see utils/dishChanges.js)
+ * @param {Object} change - { event, payload, changeId }: changeId identifies the write
+ *   (change stream event id, or dish id + revision + update time)
+ * @returns {Object|null} { eventId, event, data }, or null for events webhooks don't carry
+ */
+export const toWebhookEvent = ({ event, payload, changeId }) => {
+  const { dish = null, menuId = null } = payload;
+  const dishId = payload.dishId || dish?.dishId;
+
+  const name = {
+    'dish-created': 'dish.created',
+    'dish-updated': 'dish.updated',
+    'dish-deleted': 'dish.deleted',
+    'dish-restored': 'dish.restored',
+    'publish-status-updated': payload.isPublished ? 'dish.published' : 'dish.unpublished',
+  }[event];
+  if (!name) return null;
+
+  const data = { dishId };
+  if (menuId) data.menuId = String(menuId);
+  if (dish) data.dish = dish;
+
+  return {
+    // Stable for a given change (see changeId), so instances queueing it agree on it
+    eventId: createHash('sha1').update(`${changeId}:${name}:${data.menuId || ''}`).digest('hex'),
+    event: name,
+    data,
+  };
+};
+
+/**
+ * Wait before the next attempt after `attemptCount` failures
+ * @param {number} attemptCount - Failed attempts so far (1 or more)
+ * @returns {number} Milliseconds
+ */
+export const getRetryDelayMs = (attemptCount) =>
+  Math.min(getRetryBaseMs() * 2 ** (attemptCount - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * nextAttemptAt for a delivery being attempted now (a lease)
+ * The delivery job only picks up due deliveries, so it leaves a claimed one alone
+ * until the attempt has had time to finish, and retries it if the attempt never does
+ * @returns {Date}
+ */
+export const getClaimExpiry = () => new Date(Date.now() + getDeliveryTimeoutMs() + CLAIM_MARGIN_MS);
+
+/**
+ * Read the start of a response body without downloading all of it
+ */
+const readResponseStart = async (response) => {
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  try {
+    while (text.length < MAX_RESPONSE_LOG_LENGTH) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return text.slice(0, MAX_RESPONSE_LOG_LENGTH);
+};
+
+/**
+ * POST a delivery's payload to its webhook
+ * Redirects are not followed: only a 2xx answer counts as delivered
+ * @param {Object} webhook - Webhook document (with its secret)
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} { ok, httpStatus, responseBody, error, durationMs }
+ */
+const postDelivery = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), getDeliveryTimeoutMs());
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      redirect: 'manual',
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'DishManager webhooks',
+        'X-DishManager-Event': delivery.event,
+        'X-DishManager-Event-Id': delivery.eventId,
+        'X-DishManager-Delivery': String(delivery._id),
+        'X-DishManager-Signature': signPayload(webhook.secret, body),
+      },
+      body,
+    });
+    const responseBody = await readResponseStart(response).catch(() => null);
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      httpStatus: response.status,
+      responseBody,
+      error: response.status >= 200 && response.status < 300 ? null : `Receiver answered ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      httpStatus: null,
+      responseBody: null,
+      error: error.name === 'AbortError' ? 'Timed out waiting for the receiver' : error.cause?.message || error.message,
+      durationMs: Date.now() - startedAt,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Make one delivery attempt and record it
+ * A failed attempt schedules a retry, until the delivery runs out of attempts
+ * @param {Object} webhook - Webhook document (with its secret)
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} options - { manual }: the attempt was requested by a user
+ * @returns {Promise<Object>} Updated delivery
+ */
+export const attemptDelivery = async (webhook, delivery, { manual = false } = {}) => {
+  const attemptedAt = new Date();
+  const { ok, httpStatus, responseBody, error, durationMs } = await postDelivery(webhook, delivery);
+
+  delivery.attempts.push({
+    number: delivery.attempts.length + 1,
+    attemptedAt,
+    durationMs,
+    httpStatus,
+    responseBody,
+    error,
+    manual,
+  });
+  delivery.attemptCount += 1;
+
+  if (ok) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attemptCount >= getMaxAttempts()) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(delivery.attemptCount));
+  }
+
+  return delivery.save();
+};
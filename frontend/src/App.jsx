@@ -1,13 +1,18 @@
 import { useEffect } from 'react'
+import { Routes, Route } from 'react-router-dom'
 import Dashboard from './pages/Dashboard'
+import Login from './pages/Login'
+import PublicMenu from './pages/PublicMenu'
 import { useSocket } from './hooks/useSocket'
+import { useAuth } from './hooks/useAuth'
 
 /**
- * Main App Component
- * Sets up Socket.IO connection and renders the Dashboard
+ * Admin App
+ * Sets up Socket.IO connection and renders the Dashboard once signed in
  */
-function App() {
-  const { socket, isConnected } = useSocket()
+function AdminApp() {
+  const { user, token, loading: authLoading, login, logout, can } = useAuth()
+  const { socket, isConnected } = useSocket(token)
 
   useEffect(() => {
     // Log connection status
@@ -18,9 +23,34 @@ function App() {
     }
   }, [isConnected])
 
+  // Restoring a stored session
+  if (authLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return user ? (
+    <Dashboard socket={socket} user={user} can={can} onLogout={logout} />
+  ) : (
+    <Login onLogin={login} />
+  )
+}
+
+/**
+ * Main App Component
+ * Routes /menu to the public customer menu and everything else to the admin app
+ */
+function App() {
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100">
-      <Dashboard socket={socket} />
+      <Routes>
+        <Route path="/menu" element={<PublicMenu />} />
+        <Route path="/menu/:menuId" element={<PublicMenu />} />
+        <Route path="*" element={<AdminApp />} />
+      </Routes>
     </div>
   )
 }
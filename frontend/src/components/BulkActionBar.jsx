@@ -0,0 +1,145 @@
+import { useState } from 'react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { PERMISSIONS } from '../utils/permissions'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+// Bulk actions, the permission each needs, and their button styles
+const ACTIONS = [
+  { action: 'publish', label: 'Publish', permission: PERMISSIONS.DISH_PUBLISH, className: 'bg-green-500 hover:bg-green-600' },
+  { action: 'unpublish', label: 'Unpublish', permission: PERMISSIONS.DISH_PUBLISH, className: 'bg-gray-500 hover:bg-gray-600' },
+  { action: 'delete', label: 'Delete', permission: PERMISSIONS.DISH_DELETE, className: 'bg-red-500 hover:bg-red-600' },
+]
+
+/**
+ * BulkActionBar Component
+ * Floating bar shown while dishes are selected; applies one action to all of them
+ * @param {string[]} selectedIds - Selected dish IDs
+ * @param {Function} onClear - Clear the selection
+ * @param {Function} onSelectAll - Select every dish on the current page
+ * @param {Function} onComplete - Called after a bulk request finishes
+ * @param {Function} can - Permission check; actions the user can't take are hidden
+ * @param {Object[]} menus - Menus the selection can be added to
+ * @param {Object} currentMenu - Menu being viewed (offers removing the selection from it)
+ */
+const BulkActionBar = ({ selectedIds, onClear, onSelectAll, onComplete, can, menus = [], currentMenu }) => {
+  const [pendingAction, setPendingAction] = useState(null)
+
+  if (selectedIds.length === 0) return null
+
+  const canEditMenus = can(PERMISSIONS.DISH_UPDATE)
+
+  /**
+   * Add the selection to a menu, or remove it from one
+   * @param {string} menuId - Menu to change
+   * @param {string} change - 'add' or 'remove'
+   */
+  const handleMenuChange = async (menuId, change) => {
+    try {
+      setPendingAction(`menu-${change}`)
+
+      const response = await axios.put(`${API_URL}/menus/${menuId}/dishes`, {
+        [change]: selectedIds,
+      })
+
+      toast.success(response.data.message, { icon: '📋' })
+      onComplete && onComplete()
+    } catch (error) {
+      console.error('Error updating menu dishes:', error)
+      toast.error(error.response?.data?.message || 'Failed to update menu', { icon: '❌' })
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  /**
+   * Send the bulk request and report per-item results
+   */
+  const handleAction = async (action) => {
+    const count = selectedIds.length
+    if (
+      action === 'delete' &&
+      !window.confirm(`Move ${count} dish${count === 1 ? '' : 'es'} to the trash?`)
+    ) {
+      return
+    }
+
+    try {
+      setPendingAction(action)
+
+      const response = await axios.post(`${API_URL}/dishes/bulk`, {
+        dishIds: selectedIds,
+        action,
+      })
+
+      const { summary, results } = response.data
+      if (summary.failed > 0) {
+        const failedIds = results.filter((r) => !r.success).map((r) => r.dishId)
+        toast.error(`${response.data.message} (${failedIds.join(', ')})`, { icon: '⚠️' })
+      } else {
+        toast.success(response.data.message, { icon: '✅' })
+      }
+
+      onComplete && onComplete(results)
+    } catch (error) {
+      console.error('Error applying bulk action:', error)
+      toast.error(
+        error.response?.data?.message || 'Failed to apply bulk action',
+        { icon: '❌' }
+      )
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 bg-white rounded-xl shadow-2xl border px-4 py-3 flex flex-wrap items-center gap-3">
+      <span className="text-sm font-medium text-gray-700">
+        {selectedIds.length} selected
+      </span>
+      <button onClick={onSelectAll} className="text-sm text-primary-600 hover:text-primary-700">
+        Select page
+      </button>
+      <button onClick={onClear} className="text-sm text-gray-500 hover:text-gray-700">
+        Clear
+      </button>
+      {ACTIONS.filter(({ permission }) => can(permission)).map(({ action, label, className }) => (
+        <button
+          key={action}
+          onClick={() => handleAction(action)}
+          disabled={!!pendingAction}
+          className={`px-4 py-2 text-white rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
+        >
+          {pendingAction === action ? 'Working...' : label}
+        </button>
+      ))}
+      {canEditMenus && menus.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && handleMenuChange(e.target.value, 'add')}
+          disabled={!!pendingAction}
+          className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+        >
+          <option value="">{pendingAction === 'menu-add' ? 'Working...' : 'Add to menu...'}</option>
+          {menus.map((menu) => (
+            <option key={menu._id} value={menu._id}>
+              {menu.name}
+            </option>
+          ))}
+        </select>
+      )}
+      {canEditMenus && currentMenu && (
+        <button
+          onClick={() => handleMenuChange(currentMenu._id, 'remove')}
+          disabled={!!pendingAction}
+          className="px-4 py-2 text-white rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed bg-amber-500 hover:bg-amber-600"
+        >
+          {pendingAction === 'menu-remove' ? 'Working...' : `Remove from ${currentMenu.name}`}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default BulkActionBar
@@ -0,0 +1,235 @@
+import { useState } from 'react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+/**
+ * CategoryManager Component
+ * Add, rename, delete and drag to reorder menu sections
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Function to close the modal
+ * @param {Object[]} categories - Categories in menu order (with dishCount)
+ * @param {Function} onChange - Called after any change so the list can be reloaded
+ */
+const CategoryManager = ({ isOpen, onClose, categories, onChange }) => {
+  const [newName, setNewName] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [editingName, setEditingName] = useState('')
+  const [draggingId, setDraggingId] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  if (!isOpen) return null
+
+  /**
+   * Run a request, report its outcome and reload the list
+   * @param {Function} request - Performs the API call and returns the response
+   * @param {string} fallbackError - Message shown when the API gives none
+   * @returns {Promise<boolean>} Whether the request succeeded
+   */
+  const submit = async (request, fallbackError) => {
+    try {
+      setIsSubmitting(true)
+      const response = await request()
+      toast.success(response.data.message, { icon: '🗂️' })
+      onChange && onChange()
+      return true
+    } catch (error) {
+      console.error(fallbackError, error)
+      toast.error(error.response?.data?.message || fallbackError, { icon: '❌' })
+      return false
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  /**
+   * Create a category from the input
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+
+    const created = await submit(
+      () => axios.post(`${API_URL}/categories`, { name: newName.trim() }),
+      'Failed to create category'
+    )
+    if (created) setNewName('')
+  }
+
+  /**
+   * Save the category being renamed
+   */
+  const handleRename = async (e) => {
+    e.preventDefault()
+    const renamed = await submit(
+      () => axios.put(`${API_URL}/categories/${editingId}`, { name: editingName.trim() }),
+      'Failed to rename category'
+    )
+    if (renamed) setEditingId(null)
+  }
+
+  /**
+   * Delete a category (only allowed once it's empty)
+   */
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the "${category.name}" category?`)) return
+
+    await submit(
+      () => axios.delete(`${API_URL}/categories/${category._id}`),
+      'Failed to delete category'
+    )
+  }
+
+  /**
+   * Whether a category is dragged downwards past the target
+   * (it then lands after the target rather than before it)
+   */
+  const isAfter = (sourceId, targetId) =>
+    categories.findIndex((c) => c._id === sourceId) < categories.findIndex((c) => c._id === targetId)
+
+  /**
+   * Drop the dragged category in place of `target`
+   */
+  const handleDrop = async (target) => {
+    const sourceId = draggingId
+    setDraggingId(null)
+    if (!sourceId || sourceId === target._id) return
+
+    const ids = categories.map((category) => category._id).filter((id) => id !== sourceId)
+    ids.splice(ids.indexOf(target._id) + (isAfter(sourceId, target._id) ? 1 : 0), 0, sourceId)
+
+    await submit(
+      () => axios.put(`${API_URL}/categories/order`, { categoryIds: ids }),
+      'Failed to reorder categories'
+    )
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-2xl font-bold text-gray-800">Menu Sections</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            disabled={isSubmitting}
+          >
+            <svg
+              className="w-6 h-6"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {/* Categories (drag to reorder) */}
+          {categories.length === 0 ? (
+            <p className="text-sm text-gray-600">No sections yet. Add Starters, Mains, Desserts...</p>
+          ) : (
+            <ul className="border rounded-lg divide-y">
+              {categories.map((category) => (
+                <li
+                  key={category._id}
+                  draggable={!isSubmitting && editingId !== category._id}
+                  onDragStart={() => setDraggingId(category._id)}
+                  onDragEnd={() => setDraggingId(null)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => handleDrop(category)}
+                  className={`flex items-center gap-2 px-3 py-2 bg-white ${
+                    draggingId === category._id ? 'opacity-50' : ''
+                  }`}
+                >
+                  <span className="cursor-move text-gray-400" title="Drag to reorder">⠿</span>
+                  {editingId === category._id ? (
+                    <form onSubmit={handleRename} className="flex flex-1 gap-2">
+                      <input
+                        type="text"
+                        value={editingName}
+                        onChange={(e) => setEditingName(e.target.value)}
+                        maxLength={50}
+                        autoFocus
+                        className="flex-1 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      />
+                      <button
+                        type="submit"
+                        disabled={isSubmitting || !editingName.trim()}
+                        className="text-sm text-primary-600 hover:text-primary-700"
+                      >
+                        Save
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEditingId(null)}
+                        className="text-sm text-gray-500 hover:text-gray-700"
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <>
+                      <span className="flex-1 text-gray-800">{category.name}</span>
+                      <span className="text-xs text-gray-500">
+                        {category.dishCount} dish{category.dishCount === 1 ? '' : 'es'}
+                      </span>
+                      <button
+                        onClick={() => {
+                          setEditingId(category._id)
+                          setEditingName(category.name)
+                        }}
+                        disabled={isSubmitting}
+                        className="text-sm text-primary-600 hover:text-primary-700"
+                      >
+                        Rename
+                      </button>
+                      <button
+                        onClick={() => handleDelete(category)}
+                        disabled={isSubmitting || category.dishCount > 0}
+                        title={category.dishCount > 0 ? 'Move its dishes to another section first' : undefined}
+                        className="text-sm text-red-600 hover:text-red-700 disabled:text-gray-300"
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* New Category */}
+          <form onSubmit={handleAdd} className="flex gap-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              maxLength={50}
+              placeholder="New section, e.g., Starters"
+              disabled={isSubmitting}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              disabled={isSubmitting || !newName.trim()}
+              className="btn-primary"
+            >
+              Add
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CategoryManager
@@ -0,0 +1,188 @@
+import { FORM_FIELD_GROUPS, isSameGroup } from '../utils/dishForm'
+import { ALLERGENS, DIETARY_FLAGS, labelFor, formatPrice } from '../utils/dishAttributes'
+import { fromLocalInputValue, formatDateTime } from '../utils/dates'
+
+/**
+ * Readable value of a field group for the comparison table
+ * @param {Object} group - Entry of FORM_FIELD_GROUPS
+ * @param {Object} data - Form values
+ * @param {Object[]} categories - Menu categories (for names)
+ * @returns {string}
+ */
+const formatGroup = (group, data, categories) => {
+  switch (group.key) {
+    case 'price':
+      return data.priceAmount === ''
+        ? 'No price'
+        : formatPrice({ amount: Number(data.priceAmount), currency: data.currency })
+    case 'category':
+      return data.category
+        ? categories.find((category) => category._id === data.category)?.name || data.category
+        : 'Uncategorized'
+    case 'allergens':
+      return data.allergens.map((value) => labelFor(ALLERGENS, value)).join(', ') || 'None'
+    case 'dietaryFlags':
+      return data.dietaryFlags.map((value) => labelFor(DIETARY_FLAGS, value)).join(', ') || 'None'
+    case 'spiceLevel':
+      return data.spiceLevel === '' ? 'Not set' : String(data.spiceLevel)
+    case 'prepTimeMinutes':
+      return data.prepTimeMinutes === '' ? 'Not set' : `${data.prepTimeMinutes} min`
+    case 'isPublished':
+      return data.isPublished ? 'Yes' : 'No'
+    case 'schedule': {
+      const parts = [
+        data.publishAt && `Publishes ${formatDateTime(fromLocalInputValue(data.publishAt))}`,
+        data.unpublishAt && `Unpublishes ${formatDateTime(fromLocalInputValue(data.unpublishAt))}`,
+      ].filter(Boolean)
+      return parts.join(', ') || 'None'
+    }
+    default:
+      return data[group.fields[0]] || '—'
+  }
+}
+
+/**
+ * ConflictDialog Component
+ * Shown when saving a dish fails because someone else saved it first: compares
+ * your values with the current ones and lets you choose how to continue
+ * @param {Object} mine - Your form values
+ * @param {Object} base - Form values of the version you started editing
+ * @param {Object} theirs - Form values of the current version
+ * @param {Object} current - Current dish from the API (for its revision)
+ * @param {Object[]} categories - Menu categories
+ * @param {boolean} canPublish - Whether publish fields are part of your edit
+ * @param {boolean} isSubmitting - Whether a save is in progress
+ * @param {Function} onOverwrite - Save your values over the current version
+ * @param {Function} onMerge - Load the current version with your edits applied on top
+ * @param {Function} onDiscard - Load the current version, dropping your edits
+ * @param {Function} onCancel - Close the dialog and keep editing
+ */
+const ConflictDialog = ({
+  mine,
+  base,
+  theirs,
+  current,
+  categories = [],
+  canPublish,
+  isSubmitting,
+  onOverwrite,
+  onMerge,
+  onDiscard,
+  onCancel,
+}) => {
+  // Only fields where your values and the current ones differ
+  const rows = FORM_FIELD_GROUPS.filter(
+    (group) => (canPublish || !group.publishOnly) && !isSameGroup(group, mine, theirs)
+  ).map((group) => ({
+    group,
+    editedByYou: !isSameGroup(group, mine, base),
+    editedByThem: !isSameGroup(group, theirs, base),
+  }))
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="p-6 border-b">
+          <h2 className="text-2xl font-bold text-gray-800">⚠️ This dish was changed</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            Someone else saved it (now revision {current.revision}) while you were editing.
+            Compare your version with the current one and choose how to continue.
+          </p>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {/* Comparison */}
+          {rows.length === 0 ? (
+            <p className="text-sm text-gray-700">
+              Your values already match the current version. Merge to continue from it.
+            </p>
+          ) : (
+            <div className="border rounded-lg overflow-hidden">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left text-gray-600">
+                  <tr>
+                    <th className="px-3 py-2 font-medium">Field</th>
+                    <th className="px-3 py-2 font-medium">Your version</th>
+                    <th className="px-3 py-2 font-medium">Current version</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {rows.map(({ group, editedByYou, editedByThem }) => (
+                    <tr
+                      key={group.key}
+                      className={editedByYou && editedByThem ? 'bg-amber-50' : ''}
+                    >
+                      <td className="px-3 py-2 font-medium text-gray-800 align-top">
+                        {group.label}
+                        {editedByYou && editedByThem && (
+                          <span className="block text-xs font-normal text-amber-700">Changed by both</span>
+                        )}
+                      </td>
+                      <td
+                        className={`px-3 py-2 align-top break-words ${
+                          editedByYou ? 'text-gray-900' : 'text-gray-400'
+                        }`}
+                      >
+                        {formatGroup(group, mine, categories)}
+                      </td>
+                      <td
+                        className={`px-3 py-2 align-top break-words ${
+                          editedByThem ? 'text-gray-900' : 'text-gray-400'
+                        }`}
+                      >
+                        {formatGroup(group, theirs, categories)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p className="text-xs text-gray-500">
+            Merging keeps the fields you edited and takes everything else from the current
+            version, so you can review the result before saving.
+          </p>
+
+          {/* Buttons */}
+          <div className="flex flex-wrap gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onCancel}
+              disabled={isSubmitting}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={onDiscard}
+              disabled={isSubmitting}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              Discard mine
+            </button>
+            <button
+              type="button"
+              onClick={onOverwrite}
+              disabled={isSubmitting}
+              className="px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 disabled:opacity-50 transition-colors"
+            >
+              Overwrite with mine
+            </button>
+            <button
+              type="button"
+              onClick={onMerge}
+              disabled={isSubmitting}
+              className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors"
+            >
+              Merge and review
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ConflictDialog
@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import { PERMISSIONS } from '../utils/permissions'
+import { formatDateTime } from '../utils/dates'
+import { ALLERGENS, DIETARY_FLAGS, labelFor, formatPrice } from '../utils/dishAttributes'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
 
@@ -8,19 +11,47 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
  * DishCard Component
  * Displays a single dish with image, name, publish status, and action buttons
  * @param {Object} dish - The dish object
- * @param {Function} onToggle - Callback function when toggle is successful
+ * @param {Function} onToggle - Callback when toggle is successful: (dishId, newStatus, updatedDish)
  * @param {Function} onEdit - Callback function to edit the dish
  * @param {Function} onDelete - Callback function to delete the dish
+ * @param {Function} can - Permission check; actions the user can't take are hidden
+ * @param {boolean} selected - Whether the dish is selected for bulk actions
+ * @param {Function} onSelect - Toggle selection (checkbox hidden when omitted)
+ * @param {string} categoryName - Category to label the card with (omit when shown in a section)
+ * @param {string} menuId - Menu being viewed; publish status and toggle then apply to that menu
+ * @param {Object} editLock - Someone else's edit lock on the dish ({ user }), if any
+ * @param {string} currentUserId - Signed-in user's id (to tell their other tabs apart)
  */
-const DishCard = ({ dish, onToggle, onEdit, onDelete }) => {
+const DishCard = ({
+  dish,
+  onToggle,
+  onEdit,
+  onDelete,
+  can,
+  selected,
+  onSelect,
+  categoryName,
+  menuId,
+  editLock,
+  currentUserId,
+}) => {
+  // Publish status on the selected menu, or the dish's overall status
+  const published = menuId
+    ? dish.menus?.find((entry) => entry.menu === menuId)?.isPublished ?? false
+    : dish.isPublished
+
   const [isToggling, setIsToggling] = useState(false)
   const [isDeleting, setIsDeleting] = useState(false)
-  const [localPublished, setLocalPublished] = useState(dish.isPublished)
+  const [localPublished, setLocalPublished] = useState(published)
+
+  const canPublish = can(PERMISSIONS.DISH_PUBLISH)
+  const canEdit = can(PERMISSIONS.DISH_UPDATE)
+  const canDelete = can(PERMISSIONS.DISH_DELETE)
 
   // Sync local state with prop changes (from Socket.IO updates)
   useEffect(() => {
-    setLocalPublished(dish.isPublished)
-  }, [dish.isPublished])
+    setLocalPublished(published)
+  }, [published])
 
   /**
    * Handle toggle publish status
@@ -30,19 +61,24 @@ const DishCard = ({ dish, onToggle, onEdit, onDelete }) => {
     try {
       setIsToggling(true)
       
-      const response = await axios.put(`${API_URL}/dishes/${dish.dishId}/toggle`)
+      const response = await axios.put(`${API_URL}/dishes/${dish.dishId}/toggle`, null, {
+        params: menuId ? { menu: menuId } : undefined,
+      })
       
       if (response.data.success) {
-        const newStatus = response.data.data.isPublished
+        const updated = response.data.data
+        const newStatus = menuId
+          ? updated.menus.find((entry) => entry.menu === menuId)?.isPublished ?? false
+          : updated.isPublished
         setLocalPublished(newStatus)
         
         // Call parent callback if provided
         if (onToggle) {
-          onToggle(dish.dishId, newStatus)
+          onToggle(dish.dishId, newStatus, updated)
         }
         
         toast.success(
-          `Dish ${newStatus ? 'published' : 'unpublished'} successfully!`,
+          menuId ? response.data.message : `Dish ${newStatus ? 'published' : 'unpublished'} successfully!`,
           {
             icon: newStatus ? '✅' : '🔒',
           }
@@ -67,7 +103,7 @@ const DishCard = ({ dish, onToggle, onEdit, onDelete }) => {
    */
   const handleDelete = async () => {
     // Confirm deletion
-    if (!window.confirm(`Are you sure you want to delete "${dish.dishName}"?`)) {
+    if (!window.confirm(`Move "${dish.dishName}" to the trash? It can be restored later.`)) {
       return
     }
 
@@ -77,7 +113,7 @@ const DishCard = ({ dish, onToggle, onEdit, onDelete }) => {
       const response = await axios.delete(`${API_URL}/dishes/${dish.dishId}`)
       
       if (response.data.success) {
-        toast.success('Dish deleted successfully!', { icon: '✅' })
+        toast.success('Dish moved to trash', { icon: '🗑️' })
         
         // Call parent callback if provided
         if (onDelete) {
@@ -98,18 +134,41 @@ const DishCard = ({ dish, onToggle, onEdit, onDelete }) => {
   }
 
   return (
-    <div className="bg-white rounded-xl shadow-md hover:shadow-xl transition-shadow duration-300 overflow-hidden">
+    <div
+      className={`bg-white rounded-xl shadow-md hover:shadow-xl transition-shadow duration-300 overflow-hidden ${
+        selected ? 'ring-2 ring-primary-500' : ''
+      }`}
+    >
       {/* Dish Image */}
       <div className="relative w-full h-48 bg-gray-200 overflow-hidden">
-        <img
-          src={dish.imageUrl}
-          alt={dish.dishName}
-          className="w-full h-full object-cover"
-          onError={(e) => {
-            // Fallback image if URL fails
-            e.target.src = 'https://via.placeholder.com/400x300?text=Dish+Image'
-          }}
-        />
+        {/* Uploaded images are served as a resized WebP with a JPEG/PNG fallback */}
+        <picture>
+          {dish.image?.variants?.medium?.webpUrl && (
+            <source srcSet={dish.image.variants.medium.webpUrl} type="image/webp" />
+          )}
+          <img
+            src={dish.image?.variants?.medium?.url || dish.imageUrl || 'https://via.placeholder.com/400x300?text=Dish+Image'}
+            alt={dish.dishName}
+            loading="lazy"
+            className="w-full h-full object-cover"
+            onError={(e) => {
+              // Fallback image if URL fails
+              e.target.src = 'https://via.placeholder.com/400x300?text=Dish+Image'
+            }}
+          />
+        </picture>
+        {/* Selection Checkbox Overlay */}
+        {onSelect && (
+          <label className="absolute top-3 left-3 bg-white/90 rounded-md p-1.5 shadow cursor-pointer">
+            <input
+              type="checkbox"
+              checked={!!selected}
+              onChange={() => onSelect(dish.dishId)}
+              className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+              aria-label={`Select ${dish.dishName}`}
+            />
+          </label>
+        )}
         {/* Published Badge Overlay */}
         <div className="absolute top-3 right-3">
           <span
@@ -122,115 +181,92 @@ const DishCard = ({ dish, onToggle, onEdit, onDelete }) => {
             {localPublished ? 'Published' : 'Unpublished'}
           </span>
         </div>
+        {/* Being Edited Badge (soft lock from another user or tab) */}
+        {editLock && (
+          <div className="absolute bottom-3 right-3">
+            <span className="px-3 py-1 rounded-full text-xs font-semibold bg-blue-600 text-white shadow">
+              ✏️ Being edited by {editLock.user.id === currentUserId ? 'you in another tab' : editLock.user.username}
+            </span>
+          </div>
+        )}
+        {/* Image Health Badge (from the backend's periodic check) */}
+        {(dish.imageHealth?.status === 'broken' || dish.imageHealth?.status === 'warning') && (
+          <div className="absolute bottom-3 left-3">
+            <span
+              title={`${dish.imageHealth.error || ''} (checked ${formatDateTime(dish.imageHealth.checkedAt)})`}
+              className={`px-3 py-1 rounded-full text-xs font-semibold text-white ${
+                dish.imageHealth.status === 'broken' ? 'bg-red-500' : 'bg-amber-500'
+              }`}
+            >
+              {dish.imageHealth.status === 'broken' ? '⚠️ Broken image' : '⚠️ Image issue'}
+            </span>
+          </div>
+        )}
       </div>
 
       {/* Dish Info */}
       <div className="p-5">
-        <h3 className="text-xl font-bold text-gray-800 mb-4 line-clamp-2">
-          {dish.dishName}
-        </h3>
+        {categoryName && (
+          <p className="text-xs font-semibold uppercase tracking-wide text-primary-600 mb-1">
+            {categoryName}
+          </p>
+        )}
+        <div className="flex items-start justify-between gap-3 mb-4">
+          <h3 className="text-xl font-bold text-gray-800 line-clamp-2">
+            {dish.dishName}
+          </h3>
+          {dish.price && (
+            <span className="text-lg font-semibold text-gray-900 whitespace-nowrap">
+              {formatPrice(dish.price)}
+            </span>
+          )}
+        </div>
+
+        {/* Menu Details */}
+        {dish.description && (
+          <p className="-mt-2 mb-3 text-sm text-gray-600 line-clamp-2">{dish.description}</p>
+        )}
+        {(dish.spiceLevel > 0 || dish.prepTimeMinutes != null || dish.dietaryFlags?.length > 0) && (
+          <div className="mb-3 flex flex-wrap items-center gap-2 text-xs text-gray-600">
+            {dish.spiceLevel > 0 && (
+              <span title={`Spice level ${dish.spiceLevel}`}>{'🌶️'.repeat(dish.spiceLevel)}</span>
+            )}
+            {dish.prepTimeMinutes != null && <span>⏱️ {dish.prepTimeMinutes} min</span>}
+            {dish.dietaryFlags?.map((flag) => (
+              <span key={flag} className="px-2 py-0.5 rounded-full bg-green-100 text-green-800">
+                {labelFor(DIETARY_FLAGS, flag)}
+              </span>
+            ))}
+          </div>
+        )}
+        {dish.allergens?.length > 0 && (
+          <p className="mb-3 text-xs text-amber-700">
+            Contains: {dish.allergens.map((allergen) => labelFor(ALLERGENS, allergen)).join(', ')}
+          </p>
+        )}
+
+        {/* Publish Schedule */}
+        {(dish.publishAt || dish.unpublishAt) && (
+          <div className="-mt-2 mb-4 space-y-1 text-xs text-amber-700">
+            {dish.publishAt && <p>⏰ Publishes {formatDateTime(dish.publishAt)}</p>}
+            {dish.unpublishAt && <p>⏰ Unpublishes {formatDateTime(dish.unpublishAt)}</p>}
+          </div>
+        )}
 
         {/* Action Buttons */}
         <div className="space-y-2">
           {/* Toggle Publish Button */}
-          <button
-            onClick={handleToggle}
-            disabled={isToggling || isDeleting}
-            className={`w-full py-2.5 px-4 rounded-lg font-medium transition-all duration-200 ${
-              localPublished
-                ? 'bg-red-500 hover:bg-red-600 text-white'
-                : 'bg-green-500 hover:bg-green-600 text-white'
-            } disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2`}
-          >
-            {isToggling ? (
-              <>
-                <svg
-                  className="animate-spin h-4 w-4 text-white"
-                  xmlns="http://www.w3.org/2000/svg"
-                  fill="none"
-                  viewBox="0 0 24 24"
-                >
-                  <circle
-                    className="opacity-25"
-                    cx="12"
-                    cy="12"
-                    r="10"
-                    stroke="currentColor"
-                    strokeWidth="4"
-                  ></circle>
-                  <path
-                    className="opacity-75"
-                    fill="currentColor"
-                    d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                  ></path>
-                </svg>
-                <span>Processing...</span>
-              </>
-            ) : localPublished ? (
-              <>
-                <svg
-                  className="w-4 h-4"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636"
-                  />
-                </svg>
-                <span>Unpublish</span>
-              </>
-            ) : (
-              <>
-                <svg
-                  className="w-4 h-4"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M5 13l4 4L19 7"
-                  />
-                </svg>
-                <span>Publish</span>
-              </>
-            )}
-          </button>
-
-          {/* Edit and Delete Buttons */}
-          <div className="flex gap-2">
-            <button
-              onClick={() => onEdit && onEdit(dish)}
-              disabled={isToggling || isDeleting}
-              className="flex-1 py-2 px-4 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-            >
-              <svg
-                className="w-4 h-4"
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
-              >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={2}
-                  d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
-                />
-              </svg>
-              <span>Edit</span>
-            </button>
+          {canPublish && (
             <button
-              onClick={handleDelete}
+              onClick={handleToggle}
               disabled={isToggling || isDeleting}
-              className="flex-1 py-2 px-4 bg-red-500 hover:bg-red-600 text-white rounded-lg font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+              className={`w-full py-2.5 px-4 rounded-lg font-medium transition-all duration-200 ${
+                localPublished
+                  ? 'bg-red-500 hover:bg-red-600 text-white'
+                  : 'bg-green-500 hover:bg-green-600 text-white'
+              } disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2`}
             >
-              {isDeleting ? (
+              {isToggling ? (
                 <>
                   <svg
                     className="animate-spin h-4 w-4 text-white"
@@ -252,7 +288,24 @@ const DishCard = ({ dish, onToggle, onEdit, onDelete }) => {
                       d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
                     ></path>
                   </svg>
-                  <span>Deleting...</span>
+                  <span>Processing...</span>
+                </>
+              ) : localPublished ? (
+                <>
+                  <svg
+                    className="w-4 h-4"
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636"
+                    />
+                  </svg>
+                  <span>Unpublish</span>
                 </>
               ) : (
                 <>
@@ -266,14 +319,92 @@ const DishCard = ({ dish, onToggle, onEdit, onDelete }) => {
                       strokeLinecap="round"
                       strokeLinejoin="round"
                       strokeWidth={2}
-                      d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+                      d="M5 13l4 4L19 7"
                     />
                   </svg>
-                  <span>Delete</span>
+                  <span>Publish</span>
                 </>
               )}
             </button>
-          </div>
+          )}
+
+          {/* Edit and Delete Buttons */}
+          {(canEdit || canDelete) && (
+            <div className="flex gap-2">
+              {canEdit && (
+                <button
+                  onClick={() => onEdit && onEdit(dish)}
+                  disabled={isToggling || isDeleting}
+                  className="flex-1 py-2 px-4 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  <svg
+                    className="w-4 h-4"
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
+                    />
+                  </svg>
+                  <span>Edit</span>
+                </button>
+              )}
+              {canDelete && (
+                <button
+                  onClick={handleDelete}
+                  disabled={isToggling || isDeleting}
+                  className="flex-1 py-2 px-4 bg-red-500 hover:bg-red-600 text-white rounded-lg font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  {isDeleting ? (
+                    <>
+                      <svg
+                        className="animate-spin h-4 w-4 text-white"
+                        xmlns="http://www.w3.org/2000/svg"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                      >
+                        <circle
+                          className="opacity-25"
+                          cx="12"
+                          cy="12"
+                          r="10"
+                          stroke="currentColor"
+                          strokeWidth="4"
+                        ></circle>
+                        <path
+                          className="opacity-75"
+                          fill="currentColor"
+                          d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                        ></path>
+                      </svg>
+                      <span>Deleting...</span>
+                    </>
+                  ) : (
+                    <>
+                      <svg
+                        className="w-4 h-4"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+                        />
+                      </svg>
+                      <span>Delete</span>
+                    </>
+                  )}
+                </button>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Dish ID (for debugging) */}
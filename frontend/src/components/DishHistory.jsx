@@ -0,0 +1,86 @@
+import { useDishHistory } from '../hooks/useDishHistory'
+
+// Badge colours per audit action
+const ACTION_STYLES = {
+  create: 'bg-blue-100 text-blue-700',
+  update: 'bg-yellow-100 text-yellow-700',
+  delete: 'bg-red-100 text-red-700',
+  publish: 'bg-green-100 text-green-700',
+  unpublish: 'bg-gray-200 text-gray-700',
+  revert: 'bg-purple-100 text-purple-700',
+}
+
+/**
+ * Format a field value from an audit diff for display
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * DishHistory Component
+ * Lists who changed a dish, when, and which fields changed
+ * @param {string} dishId - Dish to show history for
+ */
+const DishHistory = ({ dishId }) => {
+  const { entries, loading, error, refetch } = useDishHistory(dishId)
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading history...</p>
+  }
+
+  if (error) {
+    return (
+      <div className="text-sm text-red-600">
+        {error}{' '}
+        <button type="button" onClick={refetch} className="underline">
+          Retry
+        </button>
+      </div>
+    )
+  }
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-500">No changes recorded yet.</p>
+  }
+
+  return (
+    <ol className="space-y-3">
+      {entries.map((entry) => (
+        <li key={entry._id} className="border border-gray-200 rounded-lg p-3">
+          <div className="flex items-center justify-between gap-2 mb-1">
+            <span
+              className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${
+                ACTION_STYLES[entry.action] || 'bg-gray-100 text-gray-700'
+              }`}
+            >
+              {entry.action}
+            </span>
+            <span className="text-xs text-gray-500">
+              {new Date(entry.createdAt).toLocaleString()}
+            </span>
+          </div>
+          <p className="text-xs text-gray-600 mb-1">
+            by <span className="font-medium">{entry.actor?.username || 'unknown'}</span>
+            {entry.actor?.role && ` (${entry.actor.role})`}
+          </p>
+          {entry.changes?.length > 0 && (
+            <ul className="text-xs text-gray-700 space-y-0.5">
+              {entry.changes.map((change) => (
+                <li key={change.field} className="break-all">
+                  <span className="font-medium">{change.field}</span>:{' '}
+                  <span className="line-through text-gray-400">{formatValue(change.from)}</span>{' '}
+                  → {formatValue(change.to)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default DishHistory
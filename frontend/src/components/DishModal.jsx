@@ -1,9 +1,33 @@
 import { useState, useEffect } from 'react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import { PERMISSIONS } from '../utils/permissions'
+import DishHistory from './DishHistory'
+import DishVersions from './DishVersions'
+import ImageUploader from './ImageUploader'
+import ConflictDialog from './ConflictDialog'
+import { fromLocalInputValue, formatDateTime } from '../utils/dates'
+import { ALLERGENS, DIETARY_FLAGS, SPICE_LEVEL_MAX, CURRENCIES } from '../utils/dishAttributes'
+import { toFormData, mergeFormData } from '../utils/dishForm'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
 
+/**
+ * Map a field from an API validation error to the form input it belongs to
+ * e.g. "price.amount" -> priceAmount, "allergens[2]" -> allergens
+ */
+const toFormField = (field) => {
+  if (field === 'price.currency') return 'currency'
+  const [name] = field.split(/[.[]/)
+  return name === 'price' ? 'priceAmount' : name
+}
+
+/**
+ * Validation message shown under an input
+ */
+const FieldError = ({ message }) =>
+  message ? <p className="mt-1 text-sm text-red-600">{message}</p> : null
+
 /**
  * DishModal Component
  * Modal for adding or editing a dish
@@ -11,36 +35,49 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
  * @param {Function} onClose - Function to close the modal
  * @param {Object} dish - Dish object to edit (null for adding new)
  * @param {Function} onSuccess - Callback when operation succeeds
+ * @param {Function} can - Permission check; publish status is only editable by publishers
+ * @param {Object[]} categories - Menu categories to choose from
+ * @param {Object} editLock - Someone else's edit lock on the dish ({ user }), if any
  */
-const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
-  const [formData, setFormData] = useState({
-    dishId: '',
-    dishName: '',
-    imageUrl: '',
-    isPublished: false,
-  })
+const DishModal = ({ isOpen, onClose, dish, onSuccess, can, categories = [], editLock }) => {
+  const [formData, setFormData] = useState(() => toFormData(null))
   const [isSubmitting, setIsSubmitting] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
+  const [showVersions, setShowVersions] = useState(false)
+  const [imageFile, setImageFile] = useState(null)
+  // Validation errors by form field, from the API or local checks
+  const [fieldErrors, setFieldErrors] = useState({})
+  // Version of the dish the form is based on (its revision is sent with the save)
+  const [baseDish, setBaseDish] = useState(null)
+  // Current dish from the API when a save was rejected as stale
+  const [conflict, setConflict] = useState(null)
+
+  const canPublish = can(PERMISSIONS.DISH_PUBLISH)
 
-  // Initialize form data when dish changes (for editing)
+  // Initialize form data when dish changes (empty form for a new dish)
   useEffect(() => {
-    if (dish) {
-      setFormData({
-        dishId: dish.dishId || '',
-        dishName: dish.dishName || '',
-        imageUrl: dish.imageUrl || '',
-        isPublished: dish.isPublished || false,
-      })
-    } else {
-      // Reset form for new dish
-      setFormData({
-        dishId: '',
-        dishName: '',
-        imageUrl: '',
-        isPublished: false,
-      })
-    }
+    setFormData(toFormData(dish))
+    setBaseDish(dish)
+    setConflict(null)
+    // Collapse history/versions and drop any pending upload when switching dishes or reopening
+    setShowHistory(false)
+    setShowVersions(false)
+    setImageFile(null)
+    setFieldErrors({})
   }, [dish, isOpen])
 
+  /**
+   * Drop the error for a field once it's edited
+   */
+  const clearFieldError = (name) => {
+    setFieldErrors((prev) => (prev[name] ? { ...prev, [name]: null } : prev))
+  }
+
+  /**
+   * Border colour for an input, red while it has an error
+   */
+  const borderClass = (name) => (fieldErrors[name] ? 'border-red-500' : 'border-gray-300')
+
   /**
    * Handle form input changes
    */
@@ -50,6 +87,40 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
       ...prev,
       [name]: type === 'checkbox' ? checked : value,
     }))
+    clearFieldError(name)
+  }
+
+  /**
+   * Add or remove a value from a list field (allergens, dietary flags)
+   */
+  const handleListToggle = (name, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      [name]: prev[name].includes(value)
+        ? prev[name].filter((item) => item !== value)
+        : [...prev[name], value],
+    }))
+    clearFieldError(name)
+  }
+
+  /**
+   * Upload the pending image for a saved dish
+   * @returns {Promise<boolean>} Whether the upload succeeded
+   */
+  const uploadImage = async (dishId) => {
+    try {
+      const body = new FormData()
+      body.append('image', imageFile)
+      await axios.post(`${API_URL}/dishes/${dishId}/image`, body)
+      return true
+    } catch (error) {
+      console.error('Error uploading image:', error)
+      toast.error(
+        `Dish saved, but the image upload failed: ${error.response?.data?.message || error.message}`,
+        { icon: '⚠️' }
+      )
+      return false
+    }
   }
 
   /**
@@ -59,13 +130,55 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
     e.preventDefault()
 
     // Validate form
-    if (!formData.dishId || !formData.dishName || !formData.imageUrl) {
+    if (!formData.dishId || !formData.dishName) {
       toast.error('Please fill in all required fields', { icon: '❌' })
       return
     }
 
+    if (
+      formData.publishAt &&
+      formData.unpublishAt &&
+      new Date(formData.unpublishAt) <= new Date(formData.publishAt)
+    ) {
+      setFieldErrors({ unpublishAt: 'Unpublish time must be after publish time' })
+      toast.error('Unpublish time must be after publish time', { icon: '❌' })
+      return
+    }
+
+    await saveDish(baseDish?.revision)
+  }
+
+  /**
+   * Create the dish, or update it if the stored revision still matches
+   * @param {number} revision - Revision the edit is based on (updates only)
+   */
+  const saveDish = async (revision) => {
+    // Menu details (empty inputs clear the field)
+    const details = {
+      price:
+        formData.priceAmount === ''
+          ? null
+          : { amount: Number(formData.priceAmount), currency: formData.currency },
+      description: formData.description,
+      category: formData.category,
+      allergens: formData.allergens,
+      dietaryFlags: formData.dietaryFlags,
+      spiceLevel: formData.spiceLevel === '' ? null : Number(formData.spiceLevel),
+      prepTimeMinutes: formData.prepTimeMinutes === '' ? null : Number(formData.prepTimeMinutes),
+    }
+
+    // Only publishers may change publish status or schedule
+    const publishFields = canPublish
+      ? {
+          isPublished: formData.isPublished,
+          publishAt: fromLocalInputValue(formData.publishAt),
+          unpublishAt: fromLocalInputValue(formData.unpublishAt),
+        }
+      : {}
+
     try {
       setIsSubmitting(true)
+      setFieldErrors({})
 
       if (dish) {
         // Update existing dish
@@ -74,20 +187,31 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
           {
             dishName: formData.dishName,
             imageUrl: formData.imageUrl,
-            isPublished: formData.isPublished,
-          }
+            ...details,
+            ...publishFields,
+          },
+          // Rejected with 409 if someone else saved the dish since it was loaded
+          { headers: { 'If-Match': `"${revision}"` } }
         )
 
         if (response.data.success) {
+          if (imageFile) await uploadImage(dish.dishId)
           toast.success('Dish updated successfully!', { icon: '✅' })
           onSuccess && onSuccess()
           onClose()
         }
       } else {
         // Create new dish
-        const response = await axios.post(`${API_URL}/dishes`, formData)
+        const response = await axios.post(`${API_URL}/dishes`, {
+          dishId: formData.dishId,
+          dishName: formData.dishName,
+          imageUrl: formData.imageUrl,
+          ...details,
+          ...publishFields,
+        })
 
         if (response.data.success) {
+          if (imageFile) await uploadImage(formData.dishId)
           toast.success('Dish created successfully!', { icon: '✅' })
           onSuccess && onSuccess()
           onClose()
@@ -95,6 +219,21 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
       }
     } catch (error) {
       console.error('Error saving dish:', error)
+      const errors = error.response?.data?.errors || []
+
+      // Stale edit: let the user compare with the current version
+      if (error.response?.status === 409 && errors.some(({ field }) => field === 'revision')) {
+        setConflict(error.response.data.data)
+        return
+      }
+
+      // Show field-level errors next to their inputs (first message per field)
+      const byField = {}
+      for (const { field, message } of errors) {
+        const name = toFormField(field)
+        if (!byField[name]) byField[name] = message
+      }
+      setFieldErrors(byField)
       toast.error(
         error.response?.data?.message || 'Failed to save dish',
         { icon: '❌' }
@@ -104,11 +243,49 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
     }
   }
 
+  /**
+   * Save your values over the version someone else saved
+   */
+  const handleOverwrite = async () => {
+    const current = conflict
+    setBaseDish(current)
+    setConflict(null)
+    await saveDish(current.revision)
+  }
+
+  /**
+   * Continue from the current version with your edits applied on top
+   */
+  const handleMerge = () => {
+    setFormData((prev) => mergeFormData(prev, toFormData(baseDish), toFormData(conflict)))
+    setBaseDish(conflict)
+    setConflict(null)
+    toast('Merged with the latest version. Review and save again.', { icon: 'ℹ️' })
+  }
+
+  /**
+   * Drop your edits and continue from the current version
+   */
+  const handleDiscard = () => {
+    setFormData(toFormData(conflict))
+    setBaseDish(conflict)
+    setConflict(null)
+    setFieldErrors({})
+  }
+
+  /**
+   * Handle a successful revert from the versions panel
+   */
+  const handleReverted = () => {
+    onSuccess && onSuccess()
+    onClose()
+  }
+
   if (!isOpen) return null
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
-      <div className="bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b">
           <h2 className="text-2xl font-bold text-gray-800">
@@ -137,6 +314,14 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
 
         {/* Form */}
         <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {/* Someone else has this dish open */}
+          {editLock && (
+            <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+              ✏️ <strong>{editLock.user.username}</strong> is also editing this dish. If they save first,
+              you&apos;ll be asked to review their changes before yours are saved.
+            </div>
+          )}
+
           {/* Dish ID */}
           <div>
             <label
@@ -152,12 +337,13 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
               value={formData.dishId}
               onChange={handleChange}
               disabled={!!dish} // Disable when editing (dishId cannot be changed)
-              className={`w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent ${
+              className={`w-full px-4 py-2 border ${borderClass('dishId')} rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent ${
                 dish ? 'bg-gray-100 cursor-not-allowed' : ''
               }`}
               placeholder="e.g., dish-009"
               required
             />
+            <FieldError message={fieldErrors.dishId} />
             {dish && (
               <p className="mt-1 text-xs text-gray-500">
                 Dish ID cannot be changed
@@ -179,10 +365,11 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
               name="dishName"
               value={formData.dishName}
               onChange={handleChange}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              className={`w-full px-4 py-2 border ${borderClass('dishName')} rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent`}
               placeholder="e.g., Spaghetti Carbonara"
               required
             />
+            <FieldError message={fieldErrors.dishName} />
           </div>
 
           {/* Image URL */}
@@ -191,7 +378,7 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
               htmlFor="imageUrl"
               className="block text-sm font-medium text-gray-700 mb-1"
             >
-              Image URL <span className="text-red-500">*</span>
+              Image URL
             </label>
             <input
               type="url"
@@ -199,48 +386,295 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
               name="imageUrl"
               value={formData.imageUrl}
               onChange={handleChange}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              className={`w-full px-4 py-2 border ${borderClass('imageUrl')} rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent`}
               placeholder="https://example.com/image.jpg"
-              required
             />
+            <FieldError message={fieldErrors.imageUrl} />
           </div>
 
-          {/* Published Status */}
-          <div className="flex items-center">
-            <input
-              type="checkbox"
-              id="isPublished"
-              name="isPublished"
-              checked={formData.isPublished}
+          {/* Image Upload (replaces the URL above when saved) */}
+          <ImageUploader
+            file={imageFile}
+            imageUrl={formData.imageUrl}
+            onFileChange={setImageFile}
+            disabled={isSubmitting}
+          />
+
+          {/* Image Health (only meaningful while the checked image is still in use) */}
+          {dish?.imageHealth &&
+            dish.imageHealth.status !== 'ok' &&
+            !imageFile &&
+            formData.imageUrl === dish.imageUrl && (
+              <p
+                className={`-mt-2 text-sm ${
+                  dish.imageHealth.status === 'broken' ? 'text-red-600' : 'text-amber-600'
+                }`}
+              >
+                ⚠️ {dish.imageHealth.status === 'broken' ? 'Image is broken' : 'Image issue'}:{' '}
+                {dish.imageHealth.error} (checked {formatDateTime(dish.imageHealth.checkedAt)})
+              </p>
+            )}
+
+          {/* Price */}
+          <div className="grid grid-cols-3 gap-3">
+            <div className="col-span-2">
+              <label
+                htmlFor="priceAmount"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Price
+              </label>
+              <input
+                type="number"
+                id="priceAmount"
+                name="priceAmount"
+                min="0"
+                step="any"
+                value={formData.priceAmount}
+                onChange={handleChange}
+                className={`w-full px-4 py-2 border ${borderClass('priceAmount')} rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent`}
+                placeholder="e.g., 12.50"
+              />
+              <FieldError message={fieldErrors.priceAmount} />
+            </div>
+            <div>
+              <label
+                htmlFor="currency"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Currency
+              </label>
+              <select
+                id="currency"
+                name="currency"
+                value={formData.currency}
+                onChange={handleChange}
+                className={`w-full px-3 py-2 border ${borderClass('currency')} rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent`}
+              >
+                {/* Keep a stored currency selectable even if it isn't in the default list */}
+                {[...new Set([...CURRENCIES, formData.currency])].map((code) => (
+                  <option key={code} value={code}>
+                    {code}
+                  </option>
+                ))}
+              </select>
+              <FieldError message={fieldErrors.currency} />
+            </div>
+          </div>
+
+          {/* Category */}
+          <div>
+            <label
+              htmlFor="category"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Category
+            </label>
+            <select
+              id="category"
+              name="category"
+              value={formData.category}
               onChange={handleChange}
-              className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
-            />
+              className={`w-full px-4 py-2 border ${borderClass('category')} rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-transparent`}
+            >
+              <option value="">Uncategorized</option>
+              {categories.map((category) => (
+                <option key={category._id} value={category._id}>
+                  {category.name}
+                </option>
+              ))}
+            </select>
+            <FieldError message={fieldErrors.category} />
+          </div>
+
+          {/* Description */}
+          <div>
             <label
-              htmlFor="isPublished"
-              className="ml-2 text-sm font-medium text-gray-700"
+              htmlFor="description"
+              className="block text-sm font-medium text-gray-700 mb-1"
             >
-              Published
+              Description
             </label>
+            <textarea
+              id="description"
+              name="description"
+              rows={3}
+              maxLength={1000}
+              value={formData.description}
+              onChange={handleChange}
+              className={`w-full px-4 py-2 border ${borderClass('description')} rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent`}
+              placeholder="Short description shown on the menu"
+            />
+            <FieldError message={fieldErrors.description} />
           </div>
 
-          {/* Preview Image */}
-          {formData.imageUrl && (
+          {/* Spice Level and Prep Time */}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label
+                htmlFor="spiceLevel"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Spice level
+              </label>
+              <select
+                id="spiceLevel"
+                name="spiceLevel"
+                value={formData.spiceLevel}
+                onChange={handleChange}
+                className={`w-full px-3 py-2 border ${borderClass('spiceLevel')} rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent`}
+              >
+                <option value="">Not set</option>
+                {Array.from({ length: SPICE_LEVEL_MAX + 1 }, (_, level) => (
+                  <option key={level} value={level}>
+                    {level === 0 ? '0 (not spicy)' : `${level} ${'🌶️'.repeat(level)}`}
+                  </option>
+                ))}
+              </select>
+              <FieldError message={fieldErrors.spiceLevel} />
+            </div>
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Image Preview
+              <label
+                htmlFor="prepTimeMinutes"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Prep time (min)
+              </label>
+              <input
+                type="number"
+                id="prepTimeMinutes"
+                name="prepTimeMinutes"
+                min="0"
+                max="600"
+                step="1"
+                value={formData.prepTimeMinutes}
+                onChange={handleChange}
+                className={`w-full px-4 py-2 border ${borderClass('prepTimeMinutes')} rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent`}
+              />
+              <FieldError message={fieldErrors.prepTimeMinutes} />
+            </div>
+          </div>
+
+          {/* Dietary Flags */}
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Dietary</legend>
+            <div className="flex flex-wrap gap-2">
+              {DIETARY_FLAGS.map(({ value, label, icon }) => (
+                <label
+                  key={value}
+                  className={`px-3 py-1 rounded-full text-sm border cursor-pointer ${
+                    formData.dietaryFlags.includes(value)
+                      ? 'bg-green-100 border-green-400 text-green-800'
+                      : 'border-gray-300 text-gray-600'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    className="sr-only"
+                    checked={formData.dietaryFlags.includes(value)}
+                    onChange={() => handleListToggle('dietaryFlags', value)}
+                  />
+                  {icon} {label}
+                </label>
+              ))}
+            </div>
+            <FieldError message={fieldErrors.dietaryFlags} />
+          </fieldset>
+
+          {/* Allergens */}
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Contains allergens</legend>
+            <div className="flex flex-wrap gap-2">
+              {ALLERGENS.map(({ value, label }) => (
+                <label
+                  key={value}
+                  className={`px-3 py-1 rounded-full text-sm border cursor-pointer ${
+                    formData.allergens.includes(value)
+                      ? 'bg-amber-100 border-amber-400 text-amber-800'
+                      : 'border-gray-300 text-gray-600'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    className="sr-only"
+                    checked={formData.allergens.includes(value)}
+                    onChange={() => handleListToggle('allergens', value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <FieldError message={fieldErrors.allergens} />
+          </fieldset>
+
+          {/* Published Status */}
+          {canPublish && (
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="isPublished"
+                name="isPublished"
+                checked={formData.isPublished}
+                onChange={handleChange}
+                className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+              />
+              <label
+                htmlFor="isPublished"
+                className="ml-2 text-sm font-medium text-gray-700"
+              >
+                Published
               </label>
-              <div className="w-full h-32 bg-gray-100 rounded-lg overflow-hidden">
-                <img
-                  src={formData.imageUrl}
-                  alt="Preview"
-                  className="w-full h-full object-cover"
-                  onError={(e) => {
-                    e.target.src =
-                      'https://via.placeholder.com/400x300?text=Invalid+URL'
-                  }}
+            </div>
+          )}
+
+          {/* Publish Schedule */}
+          {canPublish ? (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <div>
+                <label
+                  htmlFor="publishAt"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  Publish at
+                </label>
+                <input
+                  type="datetime-local"
+                  id="publishAt"
+                  name="publishAt"
+                  value={formData.publishAt}
+                  onChange={handleChange}
+                  className={`w-full px-3 py-2 border ${borderClass('publishAt')} rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent`}
+                />
+                <FieldError message={fieldErrors.publishAt} />
+              </div>
+              <div>
+                <label
+                  htmlFor="unpublishAt"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  Unpublish at
+                </label>
+                <input
+                  type="datetime-local"
+                  id="unpublishAt"
+                  name="unpublishAt"
+                  value={formData.unpublishAt}
+                  onChange={handleChange}
+                  className={`w-full px-3 py-2 border ${borderClass('unpublishAt')} rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent`}
                 />
+                <FieldError message={fieldErrors.unpublishAt} />
               </div>
+              <p className="sm:col-span-2 text-xs text-gray-500">
+                Optional. The dish is published/unpublished automatically at these times.
+              </p>
             </div>
+          ) : (
+            (dish?.publishAt || dish?.unpublishAt) && (
+              <div className="text-sm text-gray-600">
+                {dish.publishAt && <p>⏰ Publishes {formatDateTime(dish.publishAt)}</p>}
+                {dish.unpublishAt && <p>⏰ Unpublishes {formatDateTime(dish.unpublishAt)}</p>}
+              </div>
+            )
           )}
 
           {/* Buttons */}
@@ -288,7 +722,63 @@ const DishModal = ({ isOpen, onClose, dish, onSuccess }) => {
             </button>
           </div>
         </form>
+
+        {/* Change History and Versions (editing only) */}
+        {dish && can(PERMISSIONS.AUDIT_READ) && (
+          <div className="px-6 pb-6 space-y-4">
+            <div>
+              <button
+                type="button"
+                onClick={() => setShowHistory((prev) => !prev)}
+                className="text-sm font-medium text-primary-600 hover:text-primary-700"
+              >
+                {showHistory ? 'Hide change history' : 'Show change history'}
+              </button>
+              {showHistory && (
+                <div className="mt-3">
+                  <DishHistory dishId={dish.dishId} />
+                </div>
+              )}
+            </div>
+            <div>
+              <button
+                type="button"
+                onClick={() => setShowVersions((prev) => !prev)}
+                className="text-sm font-medium text-primary-600 hover:text-primary-700"
+              >
+                {showVersions ? 'Hide versions' : 'Restore a previous version'}
+              </button>
+              {showVersions && (
+                <div className="mt-3">
+                  <DishVersions
+                    dishId={dish.dishId}
+                    currentRevision={dish.revision}
+                    canRevert={can(PERMISSIONS.DISH_UPDATE)}
+                    onReverted={handleReverted}
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+        )}
       </div>
+
+      {/* Save Conflict */}
+      {conflict && (
+        <ConflictDialog
+          mine={formData}
+          base={toFormData(baseDish)}
+          theirs={toFormData(conflict)}
+          current={conflict}
+          categories={categories}
+          canPublish={canPublish}
+          isSubmitting={isSubmitting}
+          onOverwrite={handleOverwrite}
+          onMerge={handleMerge}
+          onDiscard={handleDiscard}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </div>
   )
 }
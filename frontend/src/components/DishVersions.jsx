@@ -0,0 +1,134 @@
+import { useState } from 'react'
+import toast from 'react-hot-toast'
+import { useDishVersions } from '../hooks/useDishVersions'
+
+// Fields shown in the preview, in order (others are listed after)
+const PREVIEW_FIELDS = ['dishName', 'imageUrl']
+
+/**
+ * Format a snapshot value for display
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * DishVersions Component
+ * Lists stored versions of a dish; pick one to preview it, then revert
+ * @param {string} dishId - Dish to show versions for
+ * @param {number} currentRevision - The dish's current revision (can't revert to it)
+ * @param {boolean} canRevert - Whether the user may revert
+ * @param {Function} onReverted - Called with the updated dish after a successful revert
+ */
+const DishVersions = ({ dishId, currentRevision, canRevert, onReverted }) => {
+  const { versions, loading, error, refetch, revert } = useDishVersions(dishId)
+  const [selectedVersion, setSelectedVersion] = useState(null)
+  const [isReverting, setIsReverting] = useState(false)
+
+  const selected = versions.find((v) => v.version === selectedVersion)
+
+  /**
+   * Revert to the selected version after confirmation
+   */
+  const handleRevert = async () => {
+    if (!selected) return
+    if (!window.confirm(`Revert this dish to version ${selected.version}?`)) return
+
+    try {
+      setIsReverting(true)
+      const dish = await revert(selected.version, currentRevision)
+      toast.success(`Reverted to version ${selected.version}`, { icon: '⏪' })
+      onReverted && onReverted(dish)
+    } catch (err) {
+      toast.error(err.message, { icon: '❌' })
+    } finally {
+      setIsReverting(false)
+    }
+  }
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading versions...</p>
+  }
+
+  if (error) {
+    return (
+      <div className="text-sm text-red-600">
+        {error}{' '}
+        <button type="button" onClick={refetch} className="underline">
+          Retry
+        </button>
+      </div>
+    )
+  }
+
+  if (versions.length === 0) {
+    return <p className="text-sm text-gray-500">No versions stored yet.</p>
+  }
+
+  const previewFields = selected
+    ? [
+        ...PREVIEW_FIELDS,
+        ...Object.keys(selected.snapshot).filter((f) => !PREVIEW_FIELDS.includes(f)),
+      ]
+    : []
+
+  return (
+    <div className="space-y-3">
+      <select
+        value={selectedVersion ?? ''}
+        onChange={(e) => setSelectedVersion(e.target.value ? Number(e.target.value) : null)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+      >
+        <option value="">Select a version to preview...</option>
+        {versions.map((v) => (
+          <option key={v.version} value={v.version}>
+            v{v.version} · {v.action}
+            {v.revertedFrom ? ` (from v${v.revertedFrom})` : ''} ·{' '}
+            {new Date(v.createdAt).toLocaleString()}
+            {v.actor?.username ? ` · ${v.actor.username}` : ''}
+            {v.version === currentRevision ? ' (current)' : ''}
+          </option>
+        ))}
+      </select>
+
+      {selected && (
+        <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+          {selected.snapshot.imageUrl && (
+            <div className="w-full h-28 bg-gray-100 rounded-lg overflow-hidden">
+              <img
+                src={selected.snapshot.imageUrl}
+                alt={selected.snapshot.dishName}
+                className="w-full h-full object-cover"
+                onError={(e) => {
+                  e.target.src = 'https://via.placeholder.com/400x300?text=Invalid+URL'
+                }}
+              />
+            </div>
+          )}
+          <dl className="text-xs text-gray-700 space-y-0.5">
+            {previewFields.map((field) => (
+              <div key={field} className="flex gap-2 break-all">
+                <dt className="font-medium">{field}:</dt>
+                <dd>{formatValue(selected.snapshot[field])}</dd>
+              </div>
+            ))}
+          </dl>
+          {canRevert && selected.version !== currentRevision && (
+            <button
+              type="button"
+              onClick={handleRevert}
+              disabled={isReverting}
+              className="btn-primary w-full"
+            >
+              {isReverting ? 'Reverting...' : `Revert to version ${selected.version}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DishVersions
@@ -0,0 +1,85 @@
+import { useState } from 'react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+// Download formats offered in the menu
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+  { value: 'json', label: 'JSON' },
+]
+
+/**
+ * ExportButton Component
+ * Downloads the dishes matching the current filters in the chosen format
+ * @param {Object} filters - List filters and sort to export with (same params as the list API)
+ */
+const ExportButton = ({ filters }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [isExporting, setIsExporting] = useState(false)
+
+  /**
+   * Fetch the export and save it via a temporary link
+   * (a plain link can't send the Authorization header)
+   */
+  const handleExport = async (format) => {
+    setIsOpen(false)
+
+    try {
+      setIsExporting(true)
+
+      // Drop empty values so they don't reach the API as filters
+      const params = Object.fromEntries(
+        Object.entries({ ...filters, format }).filter(([, value]) => value !== '')
+      )
+
+      const response = await axios.get(`${API_URL}/dishes/export`, {
+        params,
+        responseType: 'blob',
+      })
+
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `dishes-${new Date().toISOString().slice(0, 10)}.${format}`
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting dishes:', error)
+      toast.error('Failed to export dishes', { icon: '❌' })
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={isExporting}
+        className="btn-secondary"
+      >
+        {isExporting ? 'Exporting...' : '📤 Export'}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-40 bg-white rounded-lg shadow-lg border z-30 py-1">
+          {FORMATS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => handleExport(value)}
+              className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExportButton
@@ -0,0 +1,127 @@
+import { useState, useEffect, useRef } from 'react'
+import toast from 'react-hot-toast'
+
+// Types the backend accepts for upload
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif']
+
+/**
+ * ImageUploader Component
+ * Drag-and-drop (or click to browse) image picker with a preview
+ * The file is only held here; the parent uploads it when the form is saved
+ * @param {File} file - Selected file (null when none)
+ * @param {string} imageUrl - Current image to preview when no file is selected
+ * @param {Function} onFileChange - Called with the chosen File, or null to clear it
+ * @param {boolean} disabled - Disable picking (e.g. while saving)
+ */
+const ImageUploader = ({ file, imageUrl, onFileChange, disabled }) => {
+  const [isDragging, setIsDragging] = useState(false)
+  const [filePreview, setFilePreview] = useState(null)
+  const inputRef = useRef(null)
+
+  // Preview the selected file via an object URL, released when it changes
+  useEffect(() => {
+    if (!file) {
+      setFilePreview(null)
+      return
+    }
+    const url = URL.createObjectURL(file)
+    setFilePreview(url)
+    return () => URL.revokeObjectURL(url)
+  }, [file])
+
+  /**
+   * Accept a file if it's a supported image
+   */
+  const pickFile = (picked) => {
+    if (!picked) return
+    if (!ACCEPTED_TYPES.includes(picked.type)) {
+      toast.error('Please choose a JPEG, PNG, WebP, GIF or AVIF image', { icon: '❌' })
+      return
+    }
+    onFileChange(picked)
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setIsDragging(false)
+    if (!disabled) pickFile(e.dataTransfer.files[0])
+  }
+
+  const handleDragOver = (e) => {
+    e.preventDefault()
+    if (!disabled) setIsDragging(true)
+  }
+
+  const preview = filePreview || imageUrl
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Upload Image
+      </label>
+      <div
+        role="button"
+        tabIndex={0}
+        onClick={() => !disabled && inputRef.current.click()}
+        onKeyDown={(e) => {
+          if ((e.key === 'Enter' || e.key === ' ') && !disabled) inputRef.current.click()
+        }}
+        onDrop={handleDrop}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        className={`relative w-full h-40 rounded-lg border-2 border-dashed overflow-hidden flex items-center justify-center cursor-pointer transition-colors ${
+          isDragging ? 'border-primary-500 bg-primary-50' : 'border-gray-300 bg-gray-50 hover:border-gray-400'
+        } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+      >
+        {preview ? (
+          <img
+            src={preview}
+            alt="Preview"
+            className="w-full h-full object-cover"
+            onError={(e) => {
+              e.target.src = 'https://via.placeholder.com/400x300?text=Invalid+URL'
+            }}
+          />
+        ) : (
+          <p className="text-sm text-gray-500 text-center px-4">
+            Drag an image here, or click to browse
+            <br />
+            <span className="text-xs">JPEG, PNG, WebP, GIF or AVIF</span>
+          </p>
+        )}
+        {isDragging && (
+          <div className="absolute inset-0 flex items-center justify-center bg-white bg-opacity-70 text-primary-700 font-medium">
+            Drop to use this image
+          </div>
+        )}
+      </div>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_TYPES.join(',')}
+        className="hidden"
+        onChange={(e) => {
+          pickFile(e.target.files[0])
+          e.target.value = ''
+        }}
+      />
+      {file && (
+        <div className="mt-1 flex items-center justify-between text-xs text-gray-600">
+          <span className="truncate">
+            {file.name} ({Math.round(file.size / 1024)} KB), uploaded when you save
+          </span>
+          <button
+            type="button"
+            onClick={() => onFileChange(null)}
+            disabled={disabled}
+            className="text-red-600 hover:text-red-700 ml-2"
+          >
+            Remove
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ImageUploader
@@ -0,0 +1,222 @@
+import { useState } from 'react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+// Badge styles for each row status in the validation report
+const STATUS_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  unchanged: 'bg-gray-100 text-gray-600',
+  invalid: 'bg-red-100 text-red-800',
+}
+
+/**
+ * ImportModal Component
+ * Upload a CSV/JSON file, review the dry-run validation report, then import
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Function to close the modal
+ * @param {Function} onSuccess - Called after dishes were imported
+ */
+const ImportModal = ({ isOpen, onClose, onSuccess }) => {
+  const [file, setFile] = useState(null)
+  const [report, setReport] = useState(null)
+  const [skipInvalid, setSkipInvalid] = useState(false)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  if (!isOpen) return null
+
+  /**
+   * Upload the selected file
+   * @param {boolean} dryRun - Validate only, without writing anything
+   */
+  const upload = async (dryRun) => {
+    const formData = new FormData()
+    formData.append('file', file)
+
+    const response = await axios.post(`${API_URL}/dishes/import`, formData, {
+      params: { dryRun, skipInvalid },
+    })
+    return response.data
+  }
+
+  /**
+   * Reset state and close the modal
+   */
+  const handleClose = () => {
+    setFile(null)
+    setReport(null)
+    setSkipInvalid(false)
+    onClose()
+  }
+
+  /**
+   * Pick a new file; any previous report no longer applies
+   */
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null)
+    setReport(null)
+  }
+
+  /**
+   * Validate the file and show what importing it would do
+   */
+  const handleValidate = async () => {
+    try {
+      setIsSubmitting(true)
+      setReport(await upload(true))
+    } catch (error) {
+      console.error('Error validating import:', error)
+      toast.error(error.response?.data?.message || 'Failed to validate file', { icon: '❌' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  /**
+   * Import the file for real
+   */
+  const handleImport = async () => {
+    try {
+      setIsSubmitting(true)
+      const data = await upload(false)
+      toast.success(data.message, { icon: '📥' })
+      onSuccess && onSuccess()
+      handleClose()
+    } catch (error) {
+      console.error('Error importing dishes:', error)
+      // A 422 carries a fresh report showing which rows are invalid
+      if (error.response?.data?.rows) {
+        setReport(error.response.data)
+      }
+      toast.error(error.response?.data?.message || 'Failed to import dishes', { icon: '❌' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const summary = report?.summary
+  const toImport = summary ? summary.create + summary.update : 0
+  const canImport = summary && toImport > 0 && (summary.invalid === 0 || skipInvalid)
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-2xl font-bold text-gray-800">Import Dishes</h2>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            disabled={isSubmitting}
+          >
+            <svg
+              className="w-6 h-6"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {/* File */}
+          <div>
+            <label htmlFor="importFile" className="block text-sm font-medium text-gray-700 mb-1">
+              CSV or JSON file
+            </label>
+            <input
+              type="file"
+              id="importFile"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+              disabled={isSubmitting}
+              className="w-full text-sm text-gray-700"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Columns: dishId, dishName, imageUrl, price, currency, description, category,
+              allergens, dietaryFlags, spiceLevel, prepTimeMinutes, isPublished, publishAt, unpublishAt.
+              The category must be the name of an existing menu section.
+              Existing dishes are updated by dishId.
+            </p>
+          </div>
+
+          {/* Validation Report */}
+          {summary && (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-700">
+                {summary.total} rows: <span className="text-green-700">{summary.create} new</span>,{' '}
+                <span className="text-blue-700">{summary.update} updated</span>,{' '}
+                {summary.unchanged} unchanged,{' '}
+                <span className="text-red-700">{summary.invalid} invalid</span>
+              </p>
+              <div className="max-h-64 overflow-y-auto border rounded-lg divide-y">
+                {report.rows.map((row) => (
+                  <div key={row.row} className="px-3 py-2 text-sm">
+                    <div className="flex items-center gap-2">
+                      <span className="text-gray-400 w-10">#{row.row}</span>
+                      <span className="font-medium text-gray-800 flex-1 truncate">
+                        {row.dishId || '—'} {row.values?.dishName && `· ${row.values.dishName}`}
+                      </span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[row.status]}`}>
+                        {row.status}
+                      </span>
+                    </div>
+                    {row.errors.map((message) => (
+                      <p key={message} className="ml-12 text-red-600">{message}</p>
+                    ))}
+                    {row.warnings.map((message) => (
+                      <p key={message} className="ml-12 text-amber-600">{message}</p>
+                    ))}
+                  </div>
+                ))}
+              </div>
+              {summary.invalid > 0 && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={skipInvalid}
+                    onChange={(e) => setSkipInvalid(e.target.checked)}
+                    disabled={isSubmitting}
+                    className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                  />
+                  Skip invalid rows and import the rest
+                </label>
+              )}
+            </div>
+          )}
+
+          {/* Buttons */}
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={handleValidate}
+              disabled={!file || isSubmitting}
+              className="flex-1 btn-secondary"
+            >
+              {report ? 'Re-validate' : 'Validate'}
+            </button>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={!canImport || isSubmitting}
+              className="flex-1 btn-primary"
+            >
+              {isSubmitting ? 'Working...' : `Import ${toImport} dish${toImport === 1 ? '' : 'es'}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImportModal
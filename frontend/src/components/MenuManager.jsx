@@ -0,0 +1,289 @@
+import { useState } from 'react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { WEEKDAYS, localTimezone, formatHours } from '../utils/menus'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+// Hours row added by "Add hours"
+const DEFAULT_HOURS = { days: [1, 2, 3, 4, 5], open: '11:00', close: '15:00' }
+
+/**
+ * Empty form for a new menu
+ */
+const emptyForm = () => ({ name: '', timezone: localTimezone(), hours: [] })
+
+/**
+ * MenuManager Component
+ * Create, edit and delete menus (lunch, dinner, catering...) and their hours
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Function to close the modal
+ * @param {Object[]} menus - Existing menus
+ * @param {Function} onChange - Called after any change so the list can be reloaded
+ */
+const MenuManager = ({ isOpen, onClose, menus, onChange }) => {
+  const [editingId, setEditingId] = useState(null) // null = creating a new menu
+  const [form, setForm] = useState(emptyForm)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  if (!isOpen) return null
+
+  /**
+   * Load a menu into the form, or clear it for a new one
+   */
+  const startEditing = (menu) => {
+    setEditingId(menu ? menu._id : null)
+    setForm(
+      menu
+        ? { name: menu.name, timezone: menu.timezone, hours: menu.hours.map((h) => ({ ...h })) }
+        : emptyForm()
+    )
+  }
+
+  /**
+   * Update one field of one hours row
+   */
+  const updateHours = (index, changes) => {
+    setForm((prev) => ({
+      ...prev,
+      hours: prev.hours.map((row, i) => (i === index ? { ...row, ...changes } : row)),
+    }))
+  }
+
+  /**
+   * Toggle a day in an hours row
+   */
+  const toggleDay = (index, day) => {
+    const { days } = form.hours[index]
+    updateHours(index, { days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day] })
+  }
+
+  /**
+   * Create or update the menu in the form
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    try {
+      setIsSubmitting(true)
+      const payload = { ...form, name: form.name.trim() }
+      const response = editingId
+        ? await axios.put(`${API_URL}/menus/${editingId}`, payload)
+        : await axios.post(`${API_URL}/menus`, payload)
+
+      toast.success(response.data.message, { icon: '📋' })
+      startEditing(null)
+      onChange && onChange()
+    } catch (error) {
+      console.error('Error saving menu:', error)
+      toast.error(error.response?.data?.message || 'Failed to save menu', { icon: '❌' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  /**
+   * Delete a menu (its dishes are kept)
+   */
+  const handleDelete = async (menu) => {
+    if (!window.confirm(`Delete the "${menu.name}" menu? Its dishes are kept.`)) return
+
+    try {
+      setIsSubmitting(true)
+      const response = await axios.delete(`${API_URL}/menus/${menu._id}`)
+      toast.success(response.data.message, { icon: '🗑️' })
+      if (editingId === menu._id) startEditing(null)
+      onChange && onChange()
+    } catch (error) {
+      console.error('Error deleting menu:', error)
+      toast.error(error.response?.data?.message || 'Failed to delete menu', { icon: '❌' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-2xl font-bold text-gray-800">Menus</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            disabled={isSubmitting}
+          >
+            <svg
+              className="w-6 h-6"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Existing Menus */}
+          {menus.length > 0 && (
+            <ul className="border rounded-lg divide-y">
+              {menus.map((menu) => (
+                <li key={menu._id} className="flex items-center gap-2 px-3 py-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-gray-800 font-medium">{menu.name}</p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {formatHours(menu.hours)} ({menu.timezone}) · {menu.dishCount} dish
+                      {menu.dishCount === 1 ? '' : 'es'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => startEditing(menu)}
+                    disabled={isSubmitting}
+                    className="text-sm text-primary-600 hover:text-primary-700"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(menu)}
+                    disabled={isSubmitting}
+                    className="text-sm text-red-600 hover:text-red-700"
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Create / Edit Form */}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <h3 className="text-lg font-semibold text-gray-800">
+              {editingId ? 'Edit Menu' : 'New Menu'}
+            </h3>
+            <div>
+              <label htmlFor="menuName" className="block text-sm font-medium text-gray-700 mb-1">
+                Name <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="text"
+                id="menuName"
+                value={form.name}
+                onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                maxLength={50}
+                placeholder="e.g., Lunch"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                disabled={isSubmitting}
+              />
+            </div>
+            <div>
+              <label htmlFor="menuTimezone" className="block text-sm font-medium text-gray-700 mb-1">
+                Time zone
+              </label>
+              <input
+                type="text"
+                id="menuTimezone"
+                value={form.timezone}
+                onChange={(e) => setForm((prev) => ({ ...prev, timezone: e.target.value }))}
+                placeholder="e.g., Europe/London"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            {/* Availability Hours */}
+            <div>
+              <p className="block text-sm font-medium text-gray-700 mb-1">Hours</p>
+              {form.hours.length === 0 && (
+                <p className="text-sm text-gray-500 mb-2">No hours set: the menu is always available.</p>
+              )}
+              <div className="space-y-3">
+                {form.hours.map((row, index) => (
+                  <div key={index} className="p-3 border rounded-lg space-y-2">
+                    <div className="flex flex-wrap gap-1">
+                      {WEEKDAYS.map(({ value, label }) => (
+                        <button
+                          key={value}
+                          type="button"
+                          onClick={() => toggleDay(index, value)}
+                          className={`px-2 py-1 rounded text-xs font-medium ${
+                            row.days.includes(value)
+                              ? 'bg-primary-600 text-white'
+                              : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="flex items-center gap-2 text-sm">
+                      <input
+                        type="time"
+                        value={row.open}
+                        onChange={(e) => updateHours(index, { open: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded"
+                      />
+                      <span className="text-gray-500">to</span>
+                      <input
+                        type="time"
+                        value={row.close}
+                        onChange={(e) => updateHours(index, { close: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded"
+                      />
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setForm((prev) => ({ ...prev, hours: prev.hours.filter((_, i) => i !== index) }))
+                        }
+                        className="ml-auto text-red-600 hover:text-red-700"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => setForm((prev) => ({ ...prev, hours: [...prev.hours, { ...DEFAULT_HOURS }] }))}
+                className="mt-2 text-sm text-primary-600 hover:text-primary-700"
+              >
+                + Add hours
+              </button>
+              <p className="mt-1 text-xs text-gray-500">
+                Hours that close before they open run past midnight.
+              </p>
+            </div>
+
+            <div className="flex gap-3">
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={() => startEditing(null)}
+                  className="flex-1 btn-secondary"
+                  disabled={isSubmitting}
+                >
+                  Cancel
+                </button>
+              )}
+              <button
+                type="submit"
+                className="flex-1 btn-primary"
+                disabled={isSubmitting || !form.name.trim()}
+              >
+                {isSubmitting ? 'Saving...' : editingId ? 'Save Menu' : 'Create Menu'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MenuManager
@@ -0,0 +1,64 @@
+// Page sizes offered in the selector
+const PAGE_SIZES = [12, 20, 50, 100]
+
+/**
+ * Pagination Component
+ * Previous/next controls with a page indicator and page size selector
+ * @param {Object} pagination - Paging metadata from the API ({ page, totalPages, total, hasNextPage, hasPrevPage })
+ * @param {Function} onPageChange - Called with the new page number
+ * @param {number} limit - Current page size
+ * @param {Function} onLimitChange - Called with the new page size (selector hidden when omitted)
+ * @param {boolean} disabled - Disable controls (e.g. while loading)
+ */
+const Pagination = ({ pagination, onPageChange, limit, onLimitChange, disabled }) => {
+  if (!pagination) return null
+
+  const { page, totalPages, total, hasNextPage, hasPrevPage } = pagination
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center justify-between gap-4 mt-8">
+      <p className="text-sm text-gray-600">
+        Page <span className="font-semibold">{page}</span> of{' '}
+        <span className="font-semibold">{totalPages}</span> ({total} dishes)
+      </p>
+      <div className="flex items-center gap-3">
+        {onLimitChange && (
+          <>
+            <label htmlFor="pageSize" className="text-sm text-gray-600">
+              Per page
+            </label>
+            <select
+              id="pageSize"
+              value={limit}
+              onChange={(e) => onLimitChange(Number(e.target.value))}
+              disabled={disabled}
+              className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {PAGE_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+        <button
+          onClick={() => onPageChange(page - 1)}
+          disabled={disabled || !hasPrevPage}
+          className="btn-secondary"
+        >
+          Previous
+        </button>
+        <button
+          onClick={() => onPageChange(page + 1)}
+          disabled={disabled || !hasNextPage}
+          className="btn-secondary"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default Pagination
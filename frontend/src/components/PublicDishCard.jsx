@@ -0,0 +1,66 @@
+import { ALLERGENS, DIETARY_FLAGS, labelFor, formatPrice } from '../utils/dishAttributes'
+
+/**
+ * PublicDishCard Component
+ * A dish as customers see it: image, name, price, description and dietary badges
+ * Images are left out when printing
+ * @param {Object} dish - Dish from the public API
+ */
+const PublicDishCard = ({ dish }) => {
+  const image = dish.image?.variants?.medium
+  const imageUrl = image?.url || dish.imageUrl
+
+  return (
+    <article className="bg-white rounded-xl shadow-sm overflow-hidden flex flex-col break-inside-avoid print:shadow-none print:rounded-none print:border-b print:border-gray-300">
+      {imageUrl && (
+        <picture className="print:hidden">
+          {image?.webpUrl && <source srcSet={image.webpUrl} type="image/webp" />}
+          <img
+            src={imageUrl}
+            alt={dish.dishName}
+            loading="lazy"
+            className="w-full h-48 object-cover"
+            onError={(e) => {
+              // Hide broken images rather than showing a placeholder to customers
+              e.target.closest('picture').style.display = 'none'
+            }}
+          />
+        </picture>
+      )}
+
+      <div className="p-4 flex-1 flex flex-col gap-2 print:px-0 print:py-2">
+        <div className="flex items-baseline justify-between gap-3">
+          <h3 className="text-lg font-semibold text-gray-900">{dish.dishName}</h3>
+          {dish.price && (
+            <span className="font-semibold text-primary-700 whitespace-nowrap print:text-gray-900">
+              {formatPrice(dish.price)}
+            </span>
+          )}
+        </div>
+
+        {dish.description && <p className="text-sm text-gray-600">{dish.description}</p>}
+
+        {(dish.spiceLevel > 0 || dish.dietaryFlags.length > 0) && (
+          <div className="flex flex-wrap items-center gap-1.5 text-xs">
+            {dish.dietaryFlags.map((flag) => (
+              <span key={flag} className="px-2 py-0.5 rounded-full bg-green-50 text-green-800 print:px-0 print:bg-transparent">
+                {DIETARY_FLAGS.find((option) => option.value === flag)?.icon} {labelFor(DIETARY_FLAGS, flag)}
+              </span>
+            ))}
+            {dish.spiceLevel > 0 && (
+              <span title={`Spice level ${dish.spiceLevel}`}>{'🌶️'.repeat(dish.spiceLevel)}</span>
+            )}
+          </div>
+        )}
+
+        {dish.allergens.length > 0 && (
+          <p className="text-xs text-gray-500 mt-auto">
+            Contains: {dish.allergens.map((allergen) => labelFor(ALLERGENS, allergen)).join(', ')}
+          </p>
+        )}
+      </div>
+    </article>
+  )
+}
+
+export default PublicDishCard
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { useTrash } from '../hooks/useTrash'
+import Pagination from './Pagination'
+
+/**
+ * TrashView Component
+ * Lists deleted dishes with when/who deleted them and when they'll be purged
+ * @param {Object} socket - Socket.IO client instance (keeps the list live)
+ */
+const TrashView = ({ socket }) => {
+  const [page, setPage] = useState(1)
+  const { dishes, pagination, retentionDays, loading, error, refetch, restore } = useTrash(page)
+  const [restoringId, setRestoringId] = useState(null)
+
+  // Reload when dishes are deleted or restored elsewhere (or updates were missed)
+  useEffect(() => {
+    if (!socket) return
+
+    socket.on('dish-deleted', refetch)
+    socket.on('dish-restored', refetch)
+    socket.on('dishes-bulk-updated', refetch)
+    socket.on('resync-required', refetch)
+
+    return () => {
+      socket.off('dish-deleted', refetch)
+      socket.off('dish-restored', refetch)
+      socket.off('dishes-bulk-updated', refetch)
+      socket.off('resync-required', refetch)
+    }
+  }, [socket, refetch])
+
+  /**
+   * Handle restore dish
+   */
+  const handleRestore = async (dish) => {
+    try {
+      setRestoringId(dish.dishId)
+      await restore(dish.dishId)
+      toast.success(`Dish "${dish.dishName}" restored!`, { icon: '♻️' })
+    } catch (err) {
+      toast.error(err.message, { icon: '❌' })
+    } finally {
+      setRestoringId(null)
+    }
+  }
+
+  if (loading && !pagination) {
+    return <p className="text-gray-600">Loading trash...</p>
+  }
+
+  if (error) {
+    return (
+      <div className="text-center bg-white p-8 rounded-xl shadow">
+        <p className="text-gray-600 mb-4">{error}</p>
+        <button onClick={refetch} className="btn-primary">
+          Try Again
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      {retentionDays !== null && (
+        <p className="text-sm text-gray-600 mb-4">
+          Deleted dishes are permanently removed after {retentionDays} day
+          {retentionDays === 1 ? '' : 's'}.
+        </p>
+      )}
+
+      {dishes.length === 0 ? (
+        <div className="text-center bg-white p-8 rounded-xl shadow">
+          <div className="text-gray-400 text-5xl mb-4">🗑️</div>
+          <p className="text-gray-600">The trash is empty.</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl shadow divide-y">
+          {dishes.map((dish) => (
+            <div
+              key={dish._id || dish.dishId}
+              className="flex flex-col sm:flex-row sm:items-center gap-4 p-4"
+            >
+              <img
+                src={dish.imageUrl}
+                alt={dish.dishName}
+                className="w-16 h-16 rounded-lg object-cover bg-gray-200"
+                onError={(e) => {
+                  e.target.src = 'https://via.placeholder.com/400x300?text=Dish+Image'
+                }}
+              />
+              <div className="flex-1">
+                <p className="font-semibold text-gray-800">{dish.dishName}</p>
+                <p className="text-xs text-gray-500">
+                  ID: {dish.dishId} · Deleted {new Date(dish.deletedAt).toLocaleString()}
+                  {dish.deletedBy?.username && ` by ${dish.deletedBy.username}`}
+                </p>
+                <p className="text-xs text-red-500">
+                  Purged on {new Date(dish.purgeAt).toLocaleDateString()}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRestore(dish)}
+                disabled={restoringId === dish.dishId}
+                className="btn-primary"
+              >
+                {restoringId === dish.dishId ? 'Restoring...' : 'Restore'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Pagination
+        pagination={pagination}
+        onPageChange={setPage}
+        disabled={loading}
+      />
+    </div>
+  )
+}
+
+export default TrashView
@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+const TOKEN_KEY = 'dishmanager_token'
+
+/**
+ * Apply (or clear) the token on every axios request
+ * @param {string|null} token - JWT or null to clear
+ */
+const setAuthHeader = (token) => {
+  if (token) {
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`
+  } else {
+    delete axios.defaults.headers.common.Authorization
+  }
+}
+
+/**
+ * Custom hook to manage the signed-in user
+ * Persists the token in localStorage and attaches it to axios requests
+ * @returns {Object} { user, token, loading, login, logout, can }
+ */
+export const useAuth = () => {
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY))
+  const [user, setUser] = useState(null)
+  const [loading, setLoading] = useState(!!token)
+
+  /**
+   * Clear the session locally
+   */
+  const logout = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY)
+    setAuthHeader(null)
+    setToken(null)
+    setUser(null)
+  }, [])
+
+  /**
+   * Log in and store the issued token
+   * @throws {Error} With the API's message when login fails
+   */
+  const login = useCallback(async (username, password) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/login`, {
+        username,
+        password,
+      })
+
+      localStorage.setItem(TOKEN_KEY, response.data.token)
+      setAuthHeader(response.data.token)
+      setToken(response.data.token)
+      setUser(response.data.data)
+    } catch (err) {
+      throw new Error(err.response?.data?.message || 'Failed to log in')
+    }
+  }, [])
+
+  // Restore the session from a stored token on mount
+  useEffect(() => {
+    if (!token || user) return
+
+    setAuthHeader(token)
+    axios
+      .get(`${API_URL}/auth/me`)
+      .then((response) => setUser(response.data.data))
+      .catch(() => logout())
+      .finally(() => setLoading(false))
+  }, [token, user, logout])
+
+  // Drop the session when the API reports the token is no longer valid
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (err) => {
+        if (err.response?.status === 401 && token) {
+          logout()
+        }
+        return Promise.reject(err)
+      }
+    )
+
+    return () => axios.interceptors.response.eject(interceptor)
+  }, [token, logout])
+
+  /**
+   * Check whether the current user has a permission (e.g. 'dish:publish')
+   */
+  const can = useCallback(
+    (permission) => !!user?.permissions?.includes(permission),
+    [user]
+  )
+
+  return { user, token, loading, login, logout, can }
+}
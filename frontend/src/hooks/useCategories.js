@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+// Socket events that change the category list or its dish counts
+const CATEGORY_EVENTS = [
+  'category-created',
+  'category-updated',
+  'category-deleted',
+  'categories-reordered',
+  'dish-created',
+  'dish-updated',
+  'dish-deleted',
+  'dish-restored',
+  'dishes-bulk-updated',
+  'dishes-reordered',
+  'resync-required',
+]
+
+/**
+ * Custom hook to fetch menu categories in order, kept live via Socket.IO
+ * @param {Object} socket - Socket.IO client instance (optional)
+ * @returns {Object} { categories, uncategorizedCount, loading, error, refetch }
+ */
+export const useCategories = (socket) => {
+  const [categories, setCategories] = useState([])
+  const [uncategorizedCount, setUncategorizedCount] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  /**
+   * Fetch categories from the API
+   */
+  const fetchCategories = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await axios.get(`${API_URL}/categories`)
+
+      if (response.data.success) {
+        setCategories(response.data.data)
+        setUncategorizedCount(response.data.uncategorizedCount)
+      } else {
+        throw new Error('Failed to fetch categories')
+      }
+    } catch (err) {
+      console.error('Error fetching categories:', err)
+      setError(err.response?.data?.message || err.message || 'Failed to fetch categories')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  // Fetch on mount
+  useEffect(() => {
+    fetchCategories()
+  }, [fetchCategories])
+
+  // Reload when categories or the dishes in them change elsewhere
+  useEffect(() => {
+    if (!socket) return
+
+    CATEGORY_EVENTS.forEach((event) => socket.on(event, fetchCategories))
+    return () => {
+      CATEGORY_EVENTS.forEach((event) => socket.off(event, fetchCategories))
+    }
+  }, [socket, fetchCategories])
+
+  return {
+    categories,
+    uncategorizedCount,
+    loading,
+    error,
+    refetch: fetchCategories,
+  }
+}
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react'
+
+/**
+ * Custom hook to debounce a changing value
+ * @param {*} value - Value to debounce
+ * @param {number} delay - Delay in milliseconds
+ * @returns {*} The value, updated only after it stops changing for `delay` ms
+ */
+export const useDebounce = (value, delay = 300) => {
+  const [debouncedValue, setDebouncedValue] = useState(value)
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay)
+
+    // Restart the timer whenever the value changes
+    return () => clearTimeout(timer)
+  }, [value, delay])
+
+  return debouncedValue
+}
@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+/**
+ * Custom hook to fetch a dish's change history (audit records, newest first)
+ * @param {string|null} dishId - Dish to load history for; null skips fetching
+ * @returns {Object} { entries, loading, error, refetch }
+ */
+export const useDishHistory = (dishId) => {
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Fetch history from the API
+   */
+  const fetchHistory = useCallback(async () => {
+    if (!dishId) {
+      setEntries([])
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await axios.get(`${API_URL}/dishes/${dishId}/history`, {
+        params: { limit: 50 },
+      })
+
+      if (response.data.success) {
+        setEntries(response.data.data)
+      } else {
+        throw new Error('Failed to fetch history')
+      }
+    } catch (err) {
+      console.error('Error fetching dish history:', err)
+      setError(err.response?.data?.message || err.message || 'Failed to fetch history')
+    } finally {
+      setLoading(false)
+    }
+  }, [dishId])
+
+  // Fetch whenever the dish changes
+  useEffect(() => {
+    fetchHistory()
+  }, [fetchHistory])
+
+  return {
+    entries,
+    loading,
+    error,
+    refetch: fetchHistory,
+  }
+}
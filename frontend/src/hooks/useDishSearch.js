@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+/**
+ * Custom hook to search dishes via the full-text search endpoint
+ * Results come back ranked by relevance; an empty query clears them
+ * @param {string} query - Search text (debounce it before passing in)
+ * @returns {Object} { results, loading, error, refetch }
+ */
+export const useDishSearch = (query) => {
+  const [results, setResults] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const trimmedQuery = query.trim()
+
+  /**
+   * Run the search, ignoring the response if a newer search has started
+   */
+  const search = useCallback(async (signal) => {
+    if (!trimmedQuery) {
+      setResults([])
+      setError(null)
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await axios.get(`${API_URL}/dishes/search`, {
+        params: { q: trimmedQuery },
+        signal,
+      })
+
+      if (response.data.success) {
+        setResults(response.data.data)
+      } else {
+        throw new Error('Failed to search dishes')
+      }
+    } catch (err) {
+      if (axios.isCancel(err)) return
+      console.error('Error searching dishes:', err)
+      setError(err.message || 'Failed to search dishes')
+    } finally {
+      if (!signal?.aborted) setLoading(false)
+    }
+  }, [trimmedQuery])
+
+  // Search whenever the query changes, cancelling any in-flight request
+  useEffect(() => {
+    const controller = new AbortController()
+    search(controller.signal)
+    return () => controller.abort()
+  }, [search])
+
+  return {
+    results,
+    loading,
+    error,
+    refetch: search,
+  }
+}
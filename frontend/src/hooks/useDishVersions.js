@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+/**
+ * Custom hook to fetch stored versions of a dish and revert to one
+ * @param {string|null} dishId - Dish to load versions for; null skips fetching
+ * @returns {Object} { versions, loading, error, refetch, revert }
+ */
+export const useDishVersions = (dishId) => {
+  const [versions, setVersions] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Fetch versions from the API (newest first)
+   */
+  const fetchVersions = useCallback(async () => {
+    if (!dishId) {
+      setVersions([])
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await axios.get(`${API_URL}/dishes/${dishId}/versions`, {
+        params: { limit: 50 },
+      })
+
+      if (response.data.success) {
+        setVersions(response.data.data)
+      } else {
+        throw new Error('Failed to fetch versions')
+      }
+    } catch (err) {
+      console.error('Error fetching dish versions:', err)
+      setError(err.response?.data?.message || err.message || 'Failed to fetch versions')
+    } finally {
+      setLoading(false)
+    }
+  }, [dishId])
+
+  /**
+   * Restore a version as a new revision
+   * @param {number} version - Version number to restore
+   * @param {number} [revision] - Revision the revert was chosen from; the API answers 409 if the dish has moved on
+   * @returns {Promise<Object>} The updated dish
+   * @throws {Error} With the API's message when the revert fails
+   */
+  const revert = useCallback(async (version, revision) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/dishes/${dishId}/revert/${version}`,
+        {},
+        revision === undefined ? {} : { headers: { 'If-Match': `"${revision}"` } }
+      )
+      return response.data.data
+    } catch (err) {
+      throw new Error(err.response?.data?.message || 'Failed to revert dish')
+    }
+  }, [dishId])
+
+  // Fetch whenever the dish changes
+  useEffect(() => {
+    fetchVersions()
+  }, [fetchVersions])
+
+  return {
+    versions,
+    loading,
+    error,
+    refetch: fetchVersions,
+    revert,
+  }
+}
@@ -1,51 +1,80 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import axios from 'axios'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
 
 /**
- * Custom hook to fetch dishes from the API
+ * Custom hook to fetch a page of dishes from the API
  * Handles loading, error states, and data fetching
- * @returns {Object} { dishes, loading, error, refetch }
+ * @param {Object} params - Query params: page, limit, sortBy, order and any list filter (isPublished, imageHealth, category, dietary, allergenFree, ...)
+ * @returns {Object} { dishes, pagination, stats, loading, error, refetch }
  */
-export const useFetchDishes = () => {
+export const useFetchDishes = (params = {}) => {
   const [dishes, setDishes] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [stats, setStats] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
+  // Serialize params so the fetch only re-runs when a value actually changes
+  const paramsKey = JSON.stringify(params)
+
+  // In-flight request, cancelled when a newer fetch starts
+  const controllerRef = useRef(null)
+
   /**
-   * Fetch dishes from the API
+   * Fetch dishes from the API, cancelling any request still in flight
+   * so an older response can't overwrite a newer one
    */
-  const fetchDishes = async () => {
+  const fetchDishes = useCallback(async () => {
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+
     try {
       setLoading(true)
       setError(null)
-      
-      const response = await axios.get(`${API_URL}/dishes`)
-      
+
+      // Drop empty values so they don't reach the API as filters
+      const query = Object.fromEntries(
+        Object.entries(JSON.parse(paramsKey)).filter(
+          ([, value]) => value !== '' && value !== null && value !== undefined
+        )
+      )
+
+      const response = await axios.get(`${API_URL}/dishes`, {
+        params: query,
+        signal: controller.signal,
+      })
+
       if (response.data.success) {
         setDishes(response.data.data)
+        setPagination(response.data.pagination)
+        setStats(response.data.stats)
       } else {
         throw new Error('Failed to fetch dishes')
       }
     } catch (err) {
+      if (axios.isCancel(err)) return
       console.error('Error fetching dishes:', err)
       setError(err.message || 'Failed to fetch dishes')
     } finally {
-      setLoading(false)
+      if (!controller.signal.aborted) setLoading(false)
     }
-  }
+  }, [paramsKey])
 
-  // Fetch dishes on mount
+  // Fetch dishes on mount and whenever params change
   useEffect(() => {
     fetchDishes()
-  }, [])
+    return () => controllerRef.current?.abort()
+  }, [fetchDishes])
 
   return {
     dishes,
+    pagination,
+    stats,
     loading,
     error,
     refetch: fetchDishes, // Allow manual refetch
   }
 }
-
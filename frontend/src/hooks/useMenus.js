@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+// Socket events that change the menu list or its dish counts
+const MENU_EVENTS = [
+  'menu-created',
+  'menu-updated',
+  'menu-deleted',
+  'menu-dishes-updated',
+  'publish-status-updated',
+  'dish-deleted',
+  'dish-restored',
+  'resync-required',
+]
+
+// Re-check which menus are open now and then (they open and close by the clock)
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000
+
+/**
+ * Custom hook to fetch menus, kept live via Socket.IO
+ * @param {Object} socket - Socket.IO client instance (optional)
+ * @returns {Object} { menus, loading, error, refetch }
+ */
+export const useMenus = (socket) => {
+  const [menus, setMenus] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  /**
+   * Fetch menus from the API
+   */
+  const fetchMenus = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await axios.get(`${API_URL}/menus`)
+
+      if (response.data.success) {
+        setMenus(response.data.data)
+      } else {
+        throw new Error('Failed to fetch menus')
+      }
+    } catch (err) {
+      console.error('Error fetching menus:', err)
+      setError(err.response?.data?.message || err.message || 'Failed to fetch menus')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  // Fetch on mount, then periodically so open/closed stays current
+  useEffect(() => {
+    fetchMenus()
+    const timer = setInterval(fetchMenus, REFRESH_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [fetchMenus])
+
+  // Reload when menus or their dishes change elsewhere
+  useEffect(() => {
+    if (!socket) return
+
+    MENU_EVENTS.forEach((event) => socket.on(event, fetchMenus))
+    return () => {
+      MENU_EVENTS.forEach((event) => socket.off(event, fetchMenus))
+    }
+  }, [socket, fetchMenus])
+
+  return {
+    menus,
+    loading,
+    error,
+    refetch: fetchMenus,
+  }
+}
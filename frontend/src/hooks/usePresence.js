@@ -0,0 +1,115 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+
+/**
+ * Custom hook for dashboard presence and soft edit locks over Socket.IO
+ * Locks are advisory: they tell others a dish is open in DishModal, and the
+ * server releases them when the socket disconnects. Dishes this client wants
+ * locked are locked again after reconnecting, or once another holder lets go
+ * @param {Object} socket - Socket.IO client instance (signed in)
+ * @returns {Object} { onlineUsers, lockDish, unlockDish, lockHeldByOthers }
+ */
+export const usePresence = (socket) => {
+  const [onlineUsers, setOnlineUsers] = useState([])
+  const [locks, setLocks] = useState({}) // dishId -> { dishId, user, acquiredAt }
+  const [ownLocks, setOwnLocks] = useState([]) // dishIds locked by this client
+  const wantedLocks = useRef(new Set())
+
+  /**
+   * Ask the server for a lock, remembering whether we got it
+   */
+  const requestLock = useCallback(
+    (dishId) =>
+      new Promise((resolve) => {
+        socket.emit('dish-lock', { dishId }, (response) => {
+          if (response.success && wantedLocks.current.has(dishId)) {
+            setOwnLocks((prev) => (prev.includes(dishId) ? prev : [...prev, dishId]))
+          }
+          resolve(response)
+        })
+      }),
+    [socket]
+  )
+
+  useEffect(() => {
+    if (!socket) return
+
+    // Load who is online and what is locked, and take back our locks (also after reconnecting)
+    const sync = () => {
+      socket.emit('presence-sync', (state) => {
+        setOnlineUsers(state.users)
+        setLocks(Object.fromEntries(state.locks.map((lock) => [lock.dishId, lock])))
+      })
+      setOwnLocks([])
+      wantedLocks.current.forEach((dishId) => requestLock(dishId))
+    }
+
+    const handlePresenceUpdated = (data) => {
+      setOnlineUsers(data.users)
+    }
+
+    const handleDishLocked = (data) => {
+      setLocks((prev) => ({ ...prev, [data.lock.dishId]: data.lock }))
+    }
+
+    const handleDishUnlocked = (data) => {
+      setLocks((prev) => {
+        const next = { ...prev }
+        delete next[data.dishId]
+        return next
+      })
+      setOwnLocks((prev) => prev.filter((dishId) => dishId !== data.dishId))
+
+      // Someone else finished with a dish we have open: it's ours now
+      if (wantedLocks.current.has(data.dishId)) requestLock(data.dishId)
+    }
+
+    sync()
+    socket.on('connect', sync)
+    socket.on('presence-updated', handlePresenceUpdated)
+    socket.on('dish-locked', handleDishLocked)
+    socket.on('dish-unlocked', handleDishUnlocked)
+
+    return () => {
+      socket.off('connect', sync)
+      socket.off('presence-updated', handlePresenceUpdated)
+      socket.off('dish-locked', handleDishLocked)
+      socket.off('dish-unlocked', handleDishUnlocked)
+    }
+  }, [socket, requestLock])
+
+  /**
+   * Lock a dish while it's open for editing
+   * @returns {Promise<Object>} { success, lock, message }
+   */
+  const lockDish = useCallback(
+    (dishId) => {
+      if (!socket) return Promise.resolve({ success: false })
+      wantedLocks.current.add(dishId)
+      return requestLock(dishId)
+    },
+    [socket, requestLock]
+  )
+
+  /**
+   * Release a dish's lock (or stop waiting for it)
+   */
+  const unlockDish = useCallback(
+    (dishId) => {
+      wantedLocks.current.delete(dishId)
+      setOwnLocks((prev) => prev.filter((id) => id !== dishId))
+      socket?.emit('dish-unlock', { dishId })
+    },
+    [socket]
+  )
+
+  /**
+   * Lock on a dish held by someone else (or by this user in another tab)
+   * @returns {Object|null} { dishId, user, acquiredAt }
+   */
+  const lockHeldByOthers = useCallback(
+    (dishId) => (locks[dishId] && !ownLocks.includes(dishId) ? locks[dishId] : null),
+    [locks, ownLocks]
+  )
+
+  return { onlineUsers, lockDish, unlockDish, lockHeldByOthers }
+}
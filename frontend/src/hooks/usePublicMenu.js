@@ -0,0 +1,102 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+// Socket events that can change what customers see (the server sends anonymous clients ids only)
+const PUBLIC_EVENTS = [
+  'publish-status-updated',
+  'dishes-bulk-updated',
+  'dish-updated',
+  'dish-deleted',
+  'dish-restored',
+  'dishes-reordered',
+  'category-updated',
+  'category-deleted',
+  'categories-reordered',
+  'menu-updated',
+  'menu-deleted',
+  'menu-dishes-updated',
+  'resync-required', // reconnected after missing events
+]
+
+// Bursts of events (bulk actions, imports) cause a single reload
+const RELOAD_DELAY_MS = 300
+
+// Re-check which menus are open now and then (they open and close by the clock)
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000
+
+// Revalidate with the server (ETag) instead of reusing a cached response
+const REVALIDATE = { headers: { 'Cache-Control': 'no-cache' } }
+
+/**
+ * Custom hook to fetch the published menu from the public API, kept live via Socket.IO
+ * @param {string} menuId - Menu to show, or undefined for every published dish
+ * @param {Object} socket - Socket.IO client instance (optional)
+ * @returns {Object} { menus, menu, sections, loading, error, refetch }
+ */
+export const usePublicMenu = (menuId, socket) => {
+  const [menus, setMenus] = useState([])
+  const [menu, setMenu] = useState(null)
+  const [sections, setSections] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const reloadTimer = useRef(null)
+
+  /**
+   * Fetch the menu list and the dishes to show
+   * Only the first load shows a spinner; live reloads swap the content in place
+   */
+  const fetchMenu = useCallback(async () => {
+    try {
+      setError(null)
+
+      const [menusResponse, dishesResponse] = await Promise.all([
+        axios.get(`${API_URL}/public/menus`, REVALIDATE),
+        axios.get(menuId ? `${API_URL}/public/menus/${menuId}` : `${API_URL}/public/dishes`, REVALIDATE),
+      ])
+
+      setMenus(menusResponse.data.data)
+      setMenu(menuId ? dishesResponse.data.data : null)
+      setSections(dishesResponse.data.data.sections)
+    } catch (err) {
+      console.error('Error fetching menu:', err)
+      setError(err.response?.data?.message || err.message || 'Failed to load the menu')
+    } finally {
+      setLoading(false)
+    }
+  }, [menuId])
+
+  // Fetch when the menu changes, then periodically so open/closed stays current
+  useEffect(() => {
+    setLoading(true)
+    fetchMenu()
+    const timer = setInterval(fetchMenu, REFRESH_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [fetchMenu])
+
+  // Reload shortly after staff publish, unpublish or rearrange dishes (and after reconnecting)
+  useEffect(() => {
+    if (!socket) return
+
+    const scheduleReload = () => {
+      clearTimeout(reloadTimer.current)
+      reloadTimer.current = setTimeout(fetchMenu, RELOAD_DELAY_MS)
+    }
+
+    PUBLIC_EVENTS.forEach((event) => socket.on(event, scheduleReload))
+    return () => {
+      clearTimeout(reloadTimer.current)
+      PUBLIC_EVENTS.forEach((event) => socket.off(event, scheduleReload))
+    }
+  }, [socket, fetchMenu])
+
+  return {
+    menus,
+    menu,
+    sections,
+    loading,
+    error,
+    refetch: fetchMenu,
+  }
+}
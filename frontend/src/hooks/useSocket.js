@@ -3,24 +3,105 @@ import { io } from 'socket.io-client'
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || import.meta.env.VITE_API_URL || 'http://localhost:5000'
 
+// Beyond this many missed events, reloading is cheaper than replaying them one by one
+const MAX_REPLAY_EVENTS = 50
+
+// Sequence numbers remembered to skip replayed events that also arrived live
+const MAX_SEEN_EVENTS = 1000
+
+/**
+ * Deliver an event to the socket's own listeners, as if the server had sent it
+ */
+const dispatchLocally = (socket, event, payload) => {
+  socket.listeners(event).forEach((listener) => listener(payload))
+}
+
+/**
+ * Catch up on change events missed while disconnected
+ * Signed-in sockets track the server's event sequence numbers and, after
+ * reconnecting, ask for everything since the last one seen; the missed events
+ * are delivered to the usual listeners. When the server can't fill the gap (or
+ * for anonymous sockets, which have no replay) a local `resync-required` event
+ * tells listeners to reload instead
+ * @param {Object} socket - Socket.IO client instance
+ * @param {boolean} canReplay - Whether the server keeps a replay log for this socket
+ */
+const trackMissedEvents = (socket, canReplay) => {
+  let position = null // { seq, epoch } in the server's event log
+  let hasConnected = false
+  const seen = new Set()
+
+  socket.onAny((event, payload) => {
+    if (typeof payload?.seq !== 'number') return
+    seen.add(payload.seq)
+    if (seen.size > MAX_SEEN_EVENTS) seen.delete(seen.values().next().value)
+    if (position && payload.seq > position.seq) position.seq = payload.seq
+  })
+
+  socket.on('connect', () => {
+    const isReconnect = hasConnected
+    hasConnected = true
+
+    if (!canReplay) {
+      if (isReconnect) dispatchLocally(socket, 'resync-required', {})
+      return
+    }
+
+    socket.emit('events-replay', position ? { since: position.seq, epoch: position.epoch } : {}, (response) => {
+      if (position && position.epoch !== response.epoch) seen.clear()
+
+      if (isReconnect && (response.resync || response.events.length > MAX_REPLAY_EVENTS)) {
+        dispatchLocally(socket, 'resync-required', {})
+      } else if (isReconnect) {
+        response.events
+          .filter(({ seq }) => !seen.has(seq))
+          .forEach(({ seq, event, payload }) => {
+            seen.add(seq)
+            dispatchLocally(socket, event, { ...payload, seq })
+          })
+      }
+
+      position = {
+        seq: Math.max(response.seq, position?.epoch === response.epoch ? position.seq : 0),
+        epoch: response.epoch,
+      }
+    })
+  })
+}
+
 /**
  * Custom hook to manage Socket.IO connection
  * Handles connection, disconnection, and real-time events
+ * No connection is opened until signed in, unless an anonymous one is asked for
+ * (the server only sends anonymous clients public menu events, with ids only).
+ * Events missed while reconnecting are replayed, or `resync-required` is emitted
+ * locally when listeners should reload (see trackMissedEvents)
+ * @param {string|null} token - JWT used to authenticate the handshake
+ * @param {Object} options - { anonymous }: connect without a token
  * @returns {Object} { socket, isConnected }
  */
-export const useSocket = () => {
+export const useSocket = (token, { anonymous = false } = {}) => {
   const [socket, setSocket] = useState(null)
   const [isConnected, setIsConnected] = useState(false)
 
   useEffect(() => {
+    if (!token && !anonymous) {
+      setSocket(null)
+      setIsConnected(false)
+      return
+    }
+
     // Initialize Socket.IO client
     const socketInstance = io(SOCKET_URL, {
+      auth: token ? { token } : {},
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: 5,
     })
 
+    trackMissedEvents(socketInstance, !!token)
+
     // Connection event handlers
     socketInstance.on('connect', () => {
       console.log('✅ Socket.IO connected:', socketInstance.id)
@@ -39,11 +120,11 @@ export const useSocket = () => {
 
     setSocket(socketInstance)
 
-    // Cleanup on unmount
+    // Cleanup on unmount or when the token changes
     return () => {
       socketInstance.disconnect()
     }
-  }, [])
+  }, [token, anonymous])
 
   return { socket, isConnected }
 }
@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+/**
+ * Custom hook to fetch dishes in the trash and restore them
+ * @param {number} page - Page to fetch
+ * @returns {Object} { dishes, pagination, retentionDays, loading, error, refetch, restore }
+ */
+export const useTrash = (page = 1) => {
+  const [dishes, setDishes] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  /**
+   * Fetch the trash from the API
+   */
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await axios.get(`${API_URL}/dishes/trash`, {
+        params: { page },
+      })
+
+      if (response.data.success) {
+        setDishes(response.data.data)
+        setPagination(response.data.pagination)
+        setRetentionDays(response.data.retentionDays)
+      } else {
+        throw new Error('Failed to fetch trash')
+      }
+    } catch (err) {
+      console.error('Error fetching trash:', err)
+      setError(err.response?.data?.message || err.message || 'Failed to fetch trash')
+    } finally {
+      setLoading(false)
+    }
+  }, [page])
+
+  /**
+   * Restore a dish from the trash
+   * @param {string} dishId - Dish to restore
+   * @throws {Error} With the API's message when the restore fails
+   */
+  const restore = useCallback(async (dishId) => {
+    try {
+      await axios.post(`${API_URL}/dishes/${dishId}/restore`)
+      setDishes((prev) => prev.filter((dish) => dish.dishId !== dishId))
+    } catch (err) {
+      throw new Error(err.response?.data?.message || 'Failed to restore dish')
+    }
+  }, [])
+
+  // Fetch on mount and whenever the page changes
+  useEffect(() => {
+    fetchTrash()
+  }, [fetchTrash])
+
+  return {
+    dishes,
+    pagination,
+    retentionDays,
+    loading,
+    error,
+    refetch: fetchTrash,
+    restore,
+  }
+}
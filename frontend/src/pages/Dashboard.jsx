@@ -1,25 +1,135 @@
 import { useState, useEffect } from 'react'
+import axios from 'axios'
 import { useFetchDishes } from '../hooks/useFetchDishes'
+import { useCategories } from '../hooks/useCategories'
+import { useMenus } from '../hooks/useMenus'
+import { useDishSearch } from '../hooks/useDishSearch'
+import { useDebounce } from '../hooks/useDebounce'
+import { usePresence } from '../hooks/usePresence'
 import DishCard from '../components/DishCard'
 import DishModal from '../components/DishModal'
+import Pagination from '../components/Pagination'
+import TrashView from '../components/TrashView'
+import BulkActionBar from '../components/BulkActionBar'
+import ImportModal from '../components/ImportModal'
+import ExportButton from '../components/ExportButton'
+import CategoryManager from '../components/CategoryManager'
+import MenuManager from '../components/MenuManager'
+import { PERMISSIONS } from '../utils/permissions'
+import { ALLERGENS, DIETARY_FLAGS } from '../utils/dishAttributes'
 import toast from 'react-hot-toast'
 
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+// Sort options shown in the toolbar (value is "<field>:<order>")
+// Menu order is the only one dishes can be dragged in
+const MENU_ORDER = 'position:asc'
+const SORT_OPTIONS = [
+  { value: MENU_ORDER, label: 'Menu order' },
+  { value: 'dishName:asc', label: 'Name (A-Z)' },
+  { value: 'dishName:desc', label: 'Name (Z-A)' },
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'updatedAt:desc', label: 'Recently updated' },
+  { value: 'price:asc', label: 'Price (low to high)' },
+  { value: 'price:desc', label: 'Price (high to low)' },
+]
+
 /**
  * Dashboard Component
- * Main page displaying all dishes in a grid layout
+ * Main page displaying dishes grouped into menu sections, in a paginated grid layout
  * Handles real-time updates via Socket.IO
  * @param {Object} socket - Socket.IO client instance
+ * @param {Object} user - Signed-in user ({ username, role, permissions })
+ * @param {Function} can - Permission check from useAuth
+ * @param {Function} onLogout - Log the user out
  */
-const Dashboard = ({ socket }) => {
-  const { dishes, loading, error, refetch } = useFetchDishes()
+const Dashboard = ({ socket, user, can, onLogout }) => {
+  const [menuFilter, setMenuFilter] = useState('') // '' = all dishes
+  const [page, setPage] = useState(1)
+  const [limit, setLimit] = useState(20)
+  const [statusFilter, setStatusFilter] = useState('')
+  const [imageHealthFilter, setImageHealthFilter] = useState('')
+  const [dietaryFilter, setDietaryFilter] = useState('')
+  const [allergenFreeFilter, setAllergenFreeFilter] = useState('')
+  const [categoryFilter, setCategoryFilter] = useState('')
+  const [sortOption, setSortOption] = useState(SORT_OPTIONS[0].value)
+  const [sortBy, order] = sortOption.split(':')
+
+  // List filters (also applied to exports)
+  const filters = {
+    menu: menuFilter,
+    isPublished: statusFilter,
+    imageHealth: imageHealthFilter,
+    category: categoryFilter,
+    dietary: dietaryFilter,
+    allergenFree: allergenFreeFilter,
+    sortBy,
+    order,
+  }
+
+  const { dishes, pagination, stats, loading, error, refetch } = useFetchDishes({
+    page,
+    limit,
+    ...filters,
+  })
+
+  // Full-text search (debounced so we don't query on every keystroke)
+  const [searchInput, setSearchInput] = useState('')
+  const debouncedSearch = useDebounce(searchInput, 300)
+  const isSearching = debouncedSearch.trim() !== ''
+  const {
+    results: searchResults,
+    loading: searchLoading,
+    error: searchError,
+  } = useDishSearch(debouncedSearch)
   const [localDishes, setLocalDishes] = useState([])
   const [isModalOpen, setIsModalOpen] = useState(false)
   const [editingDish, setEditingDish] = useState(null)
+  const [view, setView] = useState('dishes') // 'dishes' | 'trash'
+  const [selectedIds, setSelectedIds] = useState([])
+  const [isImportOpen, setIsImportOpen] = useState(false)
+  const [isCategoriesOpen, setIsCategoriesOpen] = useState(false)
+  const [isMenusOpen, setIsMenusOpen] = useState(false)
+  const [draggingDishId, setDraggingDishId] = useState(null)
+
+  const { categories, refetch: refetchCategories } = useCategories(socket)
+  const { menus, loading: menusLoading, refetch: refetchMenus } = useMenus(socket)
+  const currentMenu = menus.find((menu) => menu._id === menuFilter)
+
+  // Who else is here, and which dishes they have open
+  const { onlineUsers, lockDish, unlockDish, lockHeldByOthers } = usePresence(socket)
+  const otherUsers = onlineUsers.filter((onlineUser) => onlineUser.id !== user.id)
+
+  // Bulk selection is offered to anyone who can take at least one bulk action
+  const canBulk =
+    can(PERMISSIONS.DISH_PUBLISH) || can(PERMISSIONS.DISH_DELETE) || can(PERMISSIONS.DISH_UPDATE)
+
+  // Imports both create and update dishes
+  const canImport = can(PERMISSIONS.DISH_CREATE) && can(PERMISSIONS.DISH_UPDATE)
+
+  // Dishes can be dragged between and within sections when listed in menu order
+  const canReorder = can(PERMISSIONS.DISH_UPDATE) && sortOption === MENU_ORDER && !isSearching
 
-  // Update local dishes when fetched dishes change
+  // Update local dishes when fetched dishes or search results change
   useEffect(() => {
-    setLocalDishes(dishes)
-  }, [dishes])
+    setLocalDishes(isSearching ? searchResults : dishes)
+  }, [dishes, searchResults, isSearching])
+
+  // Keep the selection limited to dishes that are still shown
+  useEffect(() => {
+    setSelectedIds((prev) => {
+      const visible = prev.filter((id) => localDishes.some((d) => d.dishId === id))
+      return visible.length === prev.length ? prev : visible
+    })
+  }, [localDishes])
+
+  // Fall back to all dishes when the selected menu is deleted
+  useEffect(() => {
+    if (menuFilter && !menusLoading && !currentMenu) {
+      setMenuFilter('')
+    }
+  }, [menuFilter, menusLoading, currentMenu])
 
   // Listen for real-time updates from Socket.IO
   useEffect(() => {
@@ -28,19 +138,26 @@ const Dashboard = ({ socket }) => {
     // Listen for publish status updates
     const handlePublishStatusUpdate = (data) => {
       console.log('📡 Real-time update received (publish):', data)
-      
-      // Update the specific dish in local state
+
+      // Refetch so stats and status-filtered pages stay accurate
+      refetch()
+
+      // Without the dish (e.g. removed since), the refetch is all there is to do
+      if (!data.dish) return
+
+      // Update the specific dish in local state (overall or per-menu status)
       setLocalDishes((prevDishes) =>
         prevDishes.map((dish) =>
-          dish.dishId === data.dishId
-            ? { ...dish, isPublished: data.isPublished }
-            : dish
+          dish.dishId === data.dishId ? data.dish : dish
         )
       )
 
       // Show toast notification
+      const menuName = data.menuId && menus.find((menu) => menu._id === data.menuId)?.name
       toast.success(
-        `Dish "${data.dish.dishName}" ${data.isPublished ? 'published' : 'unpublished'}`,
+        `Dish "${data.dish.dishName}" ${data.isPublished ? 'published' : 'unpublished'}${
+          menuName ? ` on ${menuName}` : ''
+        }`,
         {
           icon: '🔄',
           duration: 2000,
@@ -52,15 +169,10 @@ const Dashboard = ({ socket }) => {
     const handleDishCreated = (data) => {
       console.log('📡 Real-time update received (created):', data)
       
-      // Add new dish to local state
-      setLocalDishes((prevDishes) => {
-        // Check if dish already exists (avoid duplicates)
-        const exists = prevDishes.some((d) => d.dishId === data.dish.dishId)
-        if (exists) return prevDishes
-        return [...prevDishes, data.dish].sort((a, b) =>
-          a.dishName.localeCompare(b.dishName)
-        )
-      })
+      // The new dish may belong on any page, so reload the current one
+      refetch()
+
+      if (!data.dish) return
 
       toast.success(`Dish "${data.dish.dishName}" created!`, {
         icon: '✅',
@@ -71,7 +183,13 @@ const Dashboard = ({ socket }) => {
     // Listen for dish updated
     const handleDishUpdated = (data) => {
       console.log('📡 Real-time update received (updated):', data)
-      
+
+      // Without the dish (e.g. removed since), reload the page instead
+      if (!data.dish) {
+        refetch()
+        return
+      }
+
       // Update the specific dish in local state
       setLocalDishes((prevDishes) =>
         prevDishes.map((dish) =>
@@ -89,22 +207,106 @@ const Dashboard = ({ socket }) => {
     const handleDishDeleted = (data) => {
       console.log('📡 Real-time update received (deleted):', data)
       
-      // Remove dish from local state
+      // Remove dish from local state, then reload to backfill the page
       setLocalDishes((prevDishes) =>
         prevDishes.filter((dish) => dish.dishId !== data.dishId)
       )
+      refetch()
 
-      toast.success('Dish deleted!', {
+      toast.success('Dish moved to trash!', {
         icon: '🗑️',
         duration: 2000,
       })
     }
 
+    // Listen for dish restored from the trash
+    const handleDishRestored = (data) => {
+      console.log('📡 Real-time update received (restored):', data)
+
+      // The restored dish may belong on any page, so reload the current one
+      refetch()
+
+      if (!data.dish) return
+
+      toast.success(`Dish "${data.dish.dishName}" restored!`, {
+        icon: '♻️',
+        duration: 2000,
+      })
+    }
+
+    // Listen for bulk changes (one event per batch)
+    const handleBulkUpdated = (data) => {
+      console.log('📡 Real-time update received (bulk):', data)
+
+      refetch()
+
+      const count = data.dishIds.length
+      toast.success(`${count} dish${count === 1 ? '' : 'es'} updated (${data.action})`, {
+        icon: '📦',
+        duration: 2000,
+      })
+    }
+
+    // Listen for dishes added to or removed from a menu
+    const handleMenuDishesUpdated = (data) => {
+      console.log('📡 Real-time update received (menu dishes):', data)
+
+      refetch()
+    }
+
+    // Listen for dishes moved within or between sections
+    const handleDishesReordered = (data) => {
+      console.log('📡 Real-time update received (reordered):', data)
+
+      refetch()
+    }
+
+    // Listen for sections reordered (pages in menu order follow the category order)
+    const handleCategoriesReordered = (data) => {
+      console.log('📡 Real-time update received (categories reordered):', data)
+
+      refetch()
+    }
+
+    // Listen for image health check results (statuses that changed in a run)
+    const handleImageHealthUpdated = (data) => {
+      console.log('📡 Real-time update received (image health):', data)
+
+      refetch()
+
+      const broken = data.dishes.filter((d) => d.imageHealth.status === 'broken').length
+      if (broken > 0) {
+        toast.error(`${broken} dish image${broken === 1 ? '' : 's'} found broken`, {
+          icon: '🖼️',
+          duration: 3000,
+        })
+      }
+    }
+
+    // Reconnected after missing more updates than can be replayed
+    const handleResyncRequired = () => {
+      console.log('📡 Missed updates while offline, reloading')
+
+      refetch()
+
+      toast('Reconnected, reloading dishes', {
+        icon: '🔄',
+        duration: 2000,
+      })
+    }
+
     // Register event listeners
     socket.on('publish-status-updated', handlePublishStatusUpdate)
     socket.on('dish-created', handleDishCreated)
     socket.on('dish-updated', handleDishUpdated)
     socket.on('dish-deleted', handleDishDeleted)
+    socket.on('dish-restored', handleDishRestored)
+    socket.on('dishes-bulk-updated', handleBulkUpdated)
+    socket.on('image-health-updated', handleImageHealthUpdated)
+    socket.on('dishes-reordered', handleDishesReordered)
+    socket.on('categories-reordered', handleCategoriesReordered)
+    socket.on('menu-dishes-updated', handleMenuDishesUpdated)
+    socket.on('resync-required', handleResyncRequired)
 
     // Cleanup on unmount
     return () => {
@@ -112,21 +314,43 @@ const Dashboard = ({ socket }) => {
       socket.off('dish-created', handleDishCreated)
       socket.off('dish-updated', handleDishUpdated)
       socket.off('dish-deleted', handleDishDeleted)
+      socket.off('dish-restored', handleDishRestored)
+      socket.off('dishes-bulk-updated', handleBulkUpdated)
+      socket.off('image-health-updated', handleImageHealthUpdated)
+      socket.off('dishes-reordered', handleDishesReordered)
+      socket.off('categories-reordered', handleCategoriesReordered)
+      socket.off('menu-dishes-updated', handleMenuDishesUpdated)
+      socket.off('resync-required', handleResyncRequired)
+    }
+  }, [socket, refetch, menus])
+
+  // Step back a page when the current one no longer exists (e.g. after deletes)
+  useEffect(() => {
+    if (pagination && page > pagination.totalPages) {
+      setPage(pagination.totalPages)
     }
-  }, [socket])
+  }, [pagination, page])
 
   /**
    * Handle toggle from DishCard
    * Updates local state immediately for better UX
    */
-  const handleToggle = (dishId, newStatus) => {
+  const handleToggle = (dishId, newStatus, updatedDish) => {
     setLocalDishes((prevDishes) =>
       prevDishes.map((dish) =>
-        dish.dishId === dishId ? { ...dish, isPublished: newStatus } : dish
+        dish.dishId === dishId ? updatedDish : dish
       )
     )
   }
 
+  /**
+   * Switch the menu being viewed ('' = all dishes)
+   */
+  const handleMenuChange = (menuId) => {
+    setMenuFilter(menuId)
+    setPage(1)
+  }
+
   /**
    * Handle edit dish
    * Opens modal with dish data for editing
@@ -134,6 +358,8 @@ const Dashboard = ({ socket }) => {
   const handleEdit = (dish) => {
     setEditingDish(dish)
     setIsModalOpen(true)
+    // Let others see the dish is being edited (advisory; saves still check revisions)
+    lockDish(dish.dishId)
   }
 
   /**
@@ -155,10 +381,91 @@ const Dashboard = ({ socket }) => {
     setIsModalOpen(true)
   }
 
+  /**
+   * Toggle a dish in the bulk selection
+   */
+  const handleSelect = (dishId) => {
+    setSelectedIds((prev) =>
+      prev.includes(dishId) ? prev.filter((id) => id !== dishId) : [...prev, dishId]
+    )
+  }
+
+  /**
+   * Select every dish currently shown
+   */
+  const handleSelectAll = () => {
+    setSelectedIds(localDishes.map((dish) => dish.dishId))
+  }
+
+  /**
+   * Handle bulk action completion
+   * Refetch and clear the selection (Socket.IO also triggers a refetch)
+   */
+  const handleBulkComplete = () => {
+    setSelectedIds([])
+    refetch()
+  }
+
+  /**
+   * Drop the dragged dish into a section
+   * @param {Object|null} category - Target section (null = Uncategorized)
+   * @param {string|null} beforeDishId - Dish to place it before (null = end of the section)
+   */
+  const handleMoveDish = async (category, beforeDishId) => {
+    const dishId = draggingDishId
+    setDraggingDishId(null)
+    if (!dishId || dishId === beforeDishId) return
+
+    try {
+      await axios.put(`${API_URL}/dishes/${dishId}/position`, {
+        category: category ? category._id : null,
+        beforeDishId,
+      })
+      refetch()
+    } catch (error) {
+      console.error('Error moving dish:', error)
+      toast.error(error.response?.data?.message || 'Failed to move dish', { icon: '❌' })
+    }
+  }
+
+  /**
+   * Handle status filter change
+   * Resets to the first page since the result set changes
+   */
+  const handleStatusFilterChange = (e) => {
+    setStatusFilter(e.target.value)
+    setPage(1)
+  }
+
+  /**
+   * Handle image health filter change
+   */
+  const handleImageHealthFilterChange = (value) => {
+    setImageHealthFilter(value)
+    setPage(1)
+  }
+
+  /**
+   * Handle sort change
+   */
+  const handleSortChange = (e) => {
+    setSortOption(e.target.value)
+    setPage(1)
+  }
+
+  /**
+   * Handle page size change
+   */
+  const handleLimitChange = (newLimit) => {
+    setLimit(newLimit)
+    setPage(1)
+  }
+
   /**
    * Handle modal close
    */
   const handleModalClose = () => {
+    if (editingDish) unlockDish(editingDish.dishId)
     setIsModalOpen(false)
     setEditingDish(null)
   }
@@ -171,8 +478,59 @@ const Dashboard = ({ socket }) => {
     refetch()
   }
 
-  // Loading state
-  if (loading) {
+  // Group the page into menu sections in category order. Dishes whose category
+  // no longer exists fall under Uncategorized; empty sections are only shown
+  // while reordering, so dishes can be dragged into them
+  const categoryIds = new Set(categories.map((category) => category._id))
+  const sections = [...categories, null]
+    .map((category) => ({
+      category,
+      dishes: localDishes.filter((dish) =>
+        category ? dish.category === category._id : !categoryIds.has(dish.category)
+      ),
+    }))
+    .filter(
+      ({ category, dishes }) => dishes.length > 0 || (canReorder && category?.dishCount === 0)
+    )
+
+  /**
+   * Render a dish card; in menu order it can be dragged and dropped on
+   * @param {Object} dish - Dish to render
+   * @param {Object|null} section - Section the card is shown in (omit for flat search results)
+   */
+  const renderDishCard = (dish, section) => (
+    <div
+      key={dish._id || dish.dishId}
+      draggable={canReorder}
+      onDragStart={() => setDraggingDishId(dish.dishId)}
+      onDragEnd={() => setDraggingDishId(null)}
+      onDragOver={(e) => canReorder && e.preventDefault()}
+      onDrop={(e) => {
+        e.stopPropagation()
+        handleMoveDish(section.category, dish.dishId)
+      }}
+      className={draggingDishId === dish.dishId ? 'opacity-50' : ''}
+    >
+      <DishCard
+        dish={dish}
+        onToggle={handleToggle}
+        onEdit={handleEdit}
+        onDelete={handleDelete}
+        can={can}
+        selected={selectedIds.includes(dish.dishId)}
+        onSelect={canBulk ? handleSelect : undefined}
+        categoryName={
+          section ? undefined : categories.find((category) => category._id === dish.category)?.name
+        }
+        menuId={menuFilter || undefined}
+        editLock={lockHeldByOthers(dish.dishId)}
+        currentUserId={user.id}
+      />
+    </div>
+  )
+
+  // Loading state (initial load only; page changes keep the grid visible)
+  if (loading && !pagination) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
@@ -202,8 +560,8 @@ const Dashboard = ({ socket }) => {
     )
   }
 
-  // Empty state
-  if (localDishes.length === 0 && !loading) {
+  // Empty state (no dishes at all, regardless of filters; an empty menu still shows the switcher)
+  if (view === 'dishes' && !menuFilter && stats && stats.total === 0 && !loading) {
     return (
       <div className="min-h-screen flex items-center justify-center p-4">
         <div className="text-center bg-white p-8 rounded-xl shadow-lg max-w-md">
@@ -213,18 +571,36 @@ const Dashboard = ({ socket }) => {
             Get started by adding your first dish!
           </p>
           <div className="flex gap-3 justify-center">
-            <button
-              onClick={handleAddDish}
-              className="btn-primary"
-            >
-              Add Your First Dish
-            </button>
+            {can(PERMISSIONS.DISH_CREATE) && (
+              <button
+                onClick={handleAddDish}
+                className="btn-primary"
+              >
+                Add Your First Dish
+              </button>
+            )}
+            {canImport && (
+              <button
+                onClick={() => setIsImportOpen(true)}
+                className="btn-secondary"
+              >
+                Import Dishes
+              </button>
+            )}
             <button
               onClick={refetch}
               className="btn-secondary"
             >
               Refresh
             </button>
+            {can(PERMISSIONS.DISH_DELETE) && (
+              <button
+                onClick={() => setView('trash')}
+                className="btn-secondary"
+              >
+                View Trash
+              </button>
+            )}
           </div>
           {/* Add/Edit Dish Modal */}
           <DishModal
@@ -232,6 +608,14 @@ const Dashboard = ({ socket }) => {
             onClose={handleModalClose}
             dish={editingDish}
             onSuccess={handleModalSuccess}
+            can={can}
+            categories={categories}
+          />
+          {/* Import Modal */}
+          <ImportModal
+            isOpen={isImportOpen}
+            onClose={() => setIsImportOpen(false)}
+            onSuccess={refetch}
           />
         </div>
       </div>
@@ -253,26 +637,79 @@ const Dashboard = ({ socket }) => {
             </p>
           </div>
           <div className="mt-4 sm:mt-0 flex items-center gap-4">
+            {/* Dishes / Trash Switch */}
+            {can(PERMISSIONS.DISH_DELETE) && (
+              <button
+                onClick={() => setView(view === 'trash' ? 'dishes' : 'trash')}
+                className="btn-secondary"
+              >
+                {view === 'trash' ? '← Back to Dishes' : '🗑️ Trash'}
+              </button>
+            )}
+            {/* Menus */}
+            {view === 'dishes' && can(PERMISSIONS.MENU_MANAGE) && (
+              <button
+                onClick={() => setIsMenusOpen(true)}
+                className="btn-secondary"
+              >
+                📋 Menus
+              </button>
+            )}
+            {/* Menu Sections */}
+            {view === 'dishes' && can(PERMISSIONS.CATEGORY_MANAGE) && (
+              <button
+                onClick={() => setIsCategoriesOpen(true)}
+                className="btn-secondary"
+              >
+                🗂️ Sections
+              </button>
+            )}
+            {/* Export (current filters and sort) */}
+            {view === 'dishes' && (
+              <ExportButton filters={filters} />
+            )}
+            {/* Customer-facing menu (the selected menu, if any) */}
+            {view === 'dishes' && (
+              <a
+                href={menuFilter ? `/menu/${menuFilter}` : '/menu'}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="btn-secondary"
+              >
+                🌐 Public Menu
+              </a>
+            )}
+            {/* Import Button */}
+            {canImport && (
+              <button
+                onClick={() => setIsImportOpen(true)}
+                className="btn-secondary"
+              >
+                📥 Import
+              </button>
+            )}
             {/* Add Dish Button */}
-            <button
-              onClick={handleAddDish}
-              className="px-6 py-2.5 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 transition-colors duration-200 flex items-center gap-2"
-            >
-              <svg
-                className="w-5 h-5"
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
+            {can(PERMISSIONS.DISH_CREATE) && (
+              <button
+                onClick={handleAddDish}
+                className="px-6 py-2.5 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 transition-colors duration-200 flex items-center gap-2"
               >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={2}
-                  d="M12 4v16m8-8H4"
-                />
-              </svg>
-              <span>Add Dish</span>
-            </button>
+                <svg
+                  className="w-5 h-5"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M12 4v16m8-8H4"
+                  />
+                </svg>
+                <span>Add Dish</span>
+              </button>
+            )}
             {/* Real-time Status */}
             <div className="flex items-center gap-2 text-sm text-gray-600">
               <div
@@ -284,46 +721,298 @@ const Dashboard = ({ socket }) => {
                 {socket?.connected ? 'Real-time Active' : 'Connecting...'}
               </span>
             </div>
+            {/* Others Online */}
+            {otherUsers.length > 0 && (
+              <div
+                className="flex -space-x-2"
+                title={`Also here: ${otherUsers.map((onlineUser) => onlineUser.username).join(', ')}`}
+              >
+                {otherUsers.slice(0, 5).map((onlineUser) => (
+                  <span
+                    key={onlineUser.id}
+                    className="w-8 h-8 rounded-full bg-primary-100 text-primary-700 border-2 border-white flex items-center justify-center text-sm font-semibold uppercase"
+                  >
+                    {onlineUser.username[0]}
+                  </span>
+                ))}
+                {otherUsers.length > 5 && (
+                  <span className="w-8 h-8 rounded-full bg-gray-200 text-gray-700 border-2 border-white flex items-center justify-center text-xs font-semibold">
+                    +{otherUsers.length - 5}
+                  </span>
+                )}
+              </div>
+            )}
+            {/* Current User */}
+            <div className="flex items-center gap-3 text-sm text-gray-600">
+              <span>
+                {user.username}{' '}
+                <span className="px-2 py-0.5 rounded-full bg-gray-200 text-gray-700 text-xs font-semibold capitalize">
+                  {user.role}
+                </span>
+              </span>
+              <button onClick={onLogout} className="btn-secondary">
+                Log out
+              </button>
+            </div>
           </div>
         </div>
       </div>
 
-      {/* Stats */}
-      <div className="max-w-7xl mx-auto mb-8">
-        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
-          <div className="bg-white rounded-lg shadow p-4">
-            <p className="text-sm text-gray-600">Total Dishes</p>
-            <p className="text-2xl font-bold text-gray-900">{localDishes.length}</p>
+      {view === 'trash' ? (
+        <div className="max-w-7xl mx-auto">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Trash</h2>
+          <TrashView socket={socket} />
+        </div>
+      ) : (
+        <>
+          {/* Menu Switcher */}
+          {menus.length > 0 && (
+            <div className="max-w-7xl mx-auto mb-6 flex flex-wrap gap-2">
+              {[{ _id: '', name: 'All dishes' }, ...menus].map((menu) => (
+                <button
+                  key={menu._id || 'all'}
+                  onClick={() => handleMenuChange(menu._id)}
+                  disabled={isSearching}
+                  className={`px-4 py-2 rounded-full text-sm font-medium flex items-center gap-2 transition-colors ${
+                    menuFilter === menu._id
+                      ? 'bg-primary-600 text-white'
+                      : 'bg-white text-gray-700 shadow hover:bg-gray-50'
+                  }`}
+                >
+                  {menu._id && (
+                    <span
+                      title={menu.isOpen ? 'Open now' : 'Closed now'}
+                      className={`w-2 h-2 rounded-full ${menu.isOpen ? 'bg-green-400' : 'bg-gray-400'}`}
+                    ></span>
+                  )}
+                  {menu.name}
+                  {menu._id && (
+                    <span className="text-xs opacity-75">{menu.dishCount}</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Stats */}
+          <div className="max-w-7xl mx-auto mb-8">
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+              <div className="bg-white rounded-lg shadow p-4">
+                <p className="text-sm text-gray-600">
+                  {currentMenu ? `Dishes on ${currentMenu.name}` : 'Total Dishes'}
+                </p>
+                <p className="text-2xl font-bold text-gray-900">{stats?.total ?? 0}</p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-4">
+                <p className="text-sm text-gray-600">Published</p>
+                <p className="text-2xl font-bold text-green-600">
+                  {stats?.published ?? 0}
+                </p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-4">
+                <p className="text-sm text-gray-600">Unpublished</p>
+                <p className="text-2xl font-bold text-gray-600">
+                  {stats?.unpublished ?? 0}
+                </p>
+              </div>
+              {/* Clicking toggles the broken-image filter */}
+              <button
+                onClick={() =>
+                  handleImageHealthFilterChange(imageHealthFilter === 'broken' ? '' : 'broken')
+                }
+                disabled={isSearching}
+                className={`bg-white rounded-lg shadow p-4 text-left hover:shadow-md transition-shadow ${
+                  imageHealthFilter === 'broken' ? 'ring-2 ring-red-400' : ''
+                }`}
+              >
+                <p className="text-sm text-gray-600">Broken Images</p>
+                <p className={`text-2xl font-bold ${stats?.brokenImages ? 'text-red-600' : 'text-gray-900'}`}>
+                  {stats?.brokenImages ?? 0}
+                </p>
+              </button>
+            </div>
           </div>
-          <div className="bg-white rounded-lg shadow p-4">
-            <p className="text-sm text-gray-600">Published</p>
-            <p className="text-2xl font-bold text-green-600">
-              {localDishes.filter((d) => d.isPublished).length}
-            </p>
+
+          {/* Toolbar: filters and sorting */}
+          <div className="max-w-7xl mx-auto mb-6">
+            <div className="flex flex-col sm:flex-row gap-3 sm:items-center">
+              <div className="relative flex-1 sm:max-w-sm">
+                <input
+                  type="search"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Search dishes..."
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <select
+                value={statusFilter}
+                onChange={handleStatusFilterChange}
+                disabled={isSearching}
+                className="px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">All statuses</option>
+                <option value="true">Published</option>
+                <option value="false">Unpublished</option>
+              </select>
+              <select
+                value={imageHealthFilter}
+                onChange={(e) => handleImageHealthFilterChange(e.target.value)}
+                disabled={isSearching}
+                className="px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">All images</option>
+                <option value="broken">Broken images</option>
+                <option value="warning">Image warnings</option>
+                <option value="ok">Healthy images</option>
+                <option value="pending">Not checked yet</option>
+              </select>
+              <select
+                value={sortOption}
+                onChange={handleSortChange}
+                disabled={isSearching}
+                className="px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              {(loading || searchLoading) && (
+                <span className="text-sm text-gray-500">Loading...</span>
+              )}
+            </div>
+            {/* Menu detail filters */}
+            <div className="mt-3 flex flex-col sm:flex-row gap-3 sm:items-center">
+              <select
+                value={categoryFilter}
+                onChange={(e) => {
+                  setCategoryFilter(e.target.value)
+                  setPage(1)
+                }}
+                disabled={isSearching}
+                className="px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">All sections</option>
+                {categories.map((category) => (
+                  <option key={category._id} value={category._id}>
+                    {category.name}
+                  </option>
+                ))}
+                <option value="none">Uncategorized</option>
+              </select>
+              <select
+                value={dietaryFilter}
+                onChange={(e) => {
+                  setDietaryFilter(e.target.value)
+                  setPage(1)
+                }}
+                disabled={isSearching}
+                className="px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">Any diet</option>
+                {DIETARY_FLAGS.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={allergenFreeFilter}
+                onChange={(e) => {
+                  setAllergenFreeFilter(e.target.value)
+                  setPage(1)
+                }}
+                disabled={isSearching}
+                className="px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">Any allergens</option>
+                {ALLERGENS.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    Free from {label.toLowerCase()}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {isSearching && !searchLoading && (
+              <p className="mt-3 text-sm text-gray-600">
+                {searchError
+                  ? `Search failed: ${searchError}`
+                  : `${searchResults.length} result${searchResults.length === 1 ? '' : 's'} for "${debouncedSearch.trim()}", best matches first`}
+              </p>
+            )}
           </div>
-          <div className="bg-white rounded-lg shadow p-4">
-            <p className="text-sm text-gray-600">Unpublished</p>
-            <p className="text-2xl font-bold text-gray-600">
-              {localDishes.filter((d) => !d.isPublished).length}
-            </p>
+
+          {/* Dishes Grid (grouped into menu sections unless searching) */}
+          <div className="max-w-7xl mx-auto">
+            {canReorder && (
+              <p className="mb-4 text-sm text-gray-500">
+                Drag dishes to reorder them or move them to another section.
+              </p>
+            )}
+            {localDishes.length === 0 && sections.length === 0 ? (
+              <div className="text-center bg-white p-8 rounded-xl shadow">
+                <p className="text-gray-600">
+                  {isSearching
+                    ? `No dishes match "${debouncedSearch.trim()}".`
+                    : 'No dishes match the current filters.'}
+                </p>
+              </div>
+            ) : isSearching ? (
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                {localDishes.map((dish) => renderDishCard(dish))}
+              </div>
+            ) : (
+              <div className="space-y-10">
+                {sections.map((section) => (
+                  <section
+                    key={section.category?._id || 'uncategorized'}
+                    onDragOver={(e) => canReorder && e.preventDefault()}
+                    onDrop={() => handleMoveDish(section.category, null)}
+                  >
+                    <h2 className="text-2xl font-bold text-gray-800 mb-4 pb-2 border-b">
+                      {section.category ? section.category.name : 'Uncategorized'}
+                    </h2>
+                    {section.dishes.length === 0 ? (
+                      <div className="p-8 border-2 border-dashed border-gray-300 rounded-xl text-center text-sm text-gray-500">
+                        Drop a dish here to add it to this section
+                      </div>
+                    ) : (
+                      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                        {section.dishes.map((dish) => renderDishCard(dish, section))}
+                      </div>
+                    )}
+                  </section>
+                ))}
+              </div>
+            )}
+
+            {!isSearching && (
+              <Pagination
+                pagination={pagination}
+                onPageChange={setPage}
+                limit={limit}
+                onLimitChange={handleLimitChange}
+                disabled={loading}
+              />
+            )}
           </div>
-        </div>
-      </div>
+        </>
+      )}
 
-      {/* Dishes Grid */}
-      <div className="max-w-7xl mx-auto">
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-          {localDishes.map((dish) => (
-            <DishCard
-              key={dish._id || dish.dishId}
-              dish={dish}
-              onToggle={handleToggle}
-              onEdit={handleEdit}
-              onDelete={handleDelete}
-            />
-          ))}
-        </div>
-      </div>
+      {/* Bulk Actions */}
+      {view === 'dishes' && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          onClear={() => setSelectedIds([])}
+          onSelectAll={handleSelectAll}
+          onComplete={handleBulkComplete}
+          can={can}
+          menus={menus}
+          currentMenu={currentMenu}
+        />
+      )}
 
       {/* Add/Edit Dish Modal */}
       <DishModal
@@ -331,6 +1020,32 @@ const Dashboard = ({ socket }) => {
         onClose={handleModalClose}
         dish={editingDish}
         onSuccess={handleModalSuccess}
+        can={can}
+        categories={categories}
+        editLock={editingDish && lockHeldByOthers(editingDish.dishId)}
+      />
+
+      {/* Import Modal */}
+      <ImportModal
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onSuccess={refetch}
+      />
+
+      {/* Menus Modal */}
+      <MenuManager
+        isOpen={isMenusOpen}
+        onClose={() => setIsMenusOpen(false)}
+        menus={menus}
+        onChange={refetchMenus}
+      />
+
+      {/* Menu Sections Modal */}
+      <CategoryManager
+        isOpen={isCategoriesOpen}
+        onClose={() => setIsCategoriesOpen(false)}
+        categories={categories}
+        onChange={refetchCategories}
       />
     </div>
   )
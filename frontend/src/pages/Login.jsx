@@ -0,0 +1,98 @@
+import { useState } from 'react'
+import toast from 'react-hot-toast'
+
+/**
+ * Login Component
+ * Sign-in form shown before the dashboard
+ * @param {Function} onLogin - Async function (username, password) that throws on failure
+ */
+const Login = ({ onLogin }) => {
+  const [formData, setFormData] = useState({ username: '', password: '' })
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  /**
+   * Handle form input changes
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData((prev) => ({ ...prev, [name]: value }))
+  }
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    try {
+      setIsSubmitting(true)
+      await onLogin(formData.username, formData.password)
+      toast.success('Welcome back!', { icon: '👋' })
+    } catch (error) {
+      toast.error(error.message, { icon: '❌' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-lg max-w-sm w-full p-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2 text-center">
+          🍽️ DishManager
+        </h1>
+        <p className="text-gray-600 mb-6 text-center">Sign in to continue</p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label
+              htmlFor="username"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Username
+            </label>
+            <input
+              type="text"
+              id="username"
+              name="username"
+              value={formData.username}
+              onChange={handleChange}
+              autoComplete="username"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              required
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="password"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Password
+            </label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              autoComplete="current-password"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              required
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="btn-primary w-full"
+          >
+            {isSubmitting ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default Login
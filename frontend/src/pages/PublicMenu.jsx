@@ -0,0 +1,133 @@
+import { NavLink, useParams } from 'react-router-dom'
+import PublicDishCard from '../components/PublicDishCard'
+import { usePublicMenu } from '../hooks/usePublicMenu'
+import { useSocket } from '../hooks/useSocket'
+import { formatHours } from '../utils/menus'
+
+/**
+ * Tab link styles for the menu switcher
+ */
+const tabClassName = ({ isActive }) =>
+  `px-4 py-2 rounded-full text-sm font-medium whitespace-nowrap transition-colors ${
+    isActive ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+  }`
+
+/**
+ * PublicMenu Page
+ * Customer-facing menu: published dishes grouped by category, for all dishes
+ * (/menu) or one menu (/menu/:menuId). Needs no sign-in, and dishes appear and
+ * disappear live as staff publish and unpublish them
+ */
+const PublicMenu = () => {
+  const { menuId } = useParams()
+  const { socket, isConnected } = useSocket(null, { anonymous: true })
+  const { menus, menu, sections, loading, error, refetch } = usePublicMenu(menuId, socket)
+
+  // Loading state (first load only; live updates swap the content in place)
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mb-4"></div>
+          <p className="text-gray-600 text-lg">Loading menu...</p>
+        </div>
+      </div>
+    )
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="text-center bg-white p-8 rounded-xl shadow-lg max-w-md">
+          <div className="text-red-500 text-5xl mb-4">⚠️</div>
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">Menu Unavailable</h2>
+          <p className="text-gray-600 mb-6">{error}</p>
+          <div className="flex gap-3 justify-center">
+            <button onClick={refetch} className="btn-primary">
+              Try Again
+            </button>
+            {menuId && (
+              <NavLink to="/menu" className="btn-secondary">
+                Full Menu
+              </NavLink>
+            )}
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen print:bg-white">
+      <div className="max-w-6xl mx-auto px-4 py-8 print:p-0">
+        {/* Header */}
+        <header className="flex flex-wrap items-start justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900">{menu ? menu.name : 'Our Menu'}</h1>
+            {menu && (
+              <p className="mt-2 text-gray-600 flex items-center gap-2">
+                <span
+                  className={`inline-block w-2.5 h-2.5 rounded-full print:hidden ${
+                    menu.isOpen ? 'bg-green-500' : 'bg-gray-400'
+                  }`}
+                ></span>
+                <span className="print:hidden">{menu.isOpen ? 'Serving now' : 'Not serving right now'} · </span>
+                {formatHours(menu.hours)}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center gap-3 print:hidden">
+            <span className="flex items-center gap-1.5 text-sm text-gray-500" title="Updates appear automatically">
+              <span className={`w-2 h-2 rounded-full ${isConnected ? 'bg-green-500' : 'bg-gray-300'}`}></span>
+              {isConnected ? 'Live' : 'Offline'}
+            </span>
+            <button onClick={() => window.print()} className="btn-secondary">
+              🖨️ Print
+            </button>
+          </div>
+        </header>
+
+        {/* Menu Switcher */}
+        {menus.length > 0 && (
+          <nav className="flex gap-2 overflow-x-auto pb-2 mb-8 print:hidden">
+            <NavLink to="/menu" end className={tabClassName}>
+              Everything
+            </NavLink>
+            {menus.map((item) => (
+              <NavLink key={item.id} to={`/menu/${item.id}`} className={tabClassName}>
+                {item.name}
+                {!item.isOpen && <span className="ml-1 opacity-70">(closed)</span>}
+              </NavLink>
+            ))}
+          </nav>
+        )}
+
+        {/* Sections */}
+        {sections.length === 0 ? (
+          <div className="text-center bg-white p-8 rounded-xl shadow-sm">
+            <div className="text-gray-400 text-5xl mb-4">🍽️</div>
+            <p className="text-gray-600">Nothing on this menu right now. Please check back soon!</p>
+          </div>
+        ) : (
+          <div className="space-y-10 print:space-y-6">
+            {sections.map((section) => (
+              <section key={section.category?.id || 'uncategorized'}>
+                <h2 className="text-2xl font-semibold text-gray-800 border-b border-gray-200 pb-2 mb-4 break-after-avoid">
+                  {section.category?.name || 'More Dishes'}
+                </h2>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 print:grid-cols-2 print:gap-x-8 print:gap-y-0">
+                  {section.dishes.map((dish) => (
+                    <PublicDishCard key={dish.dishId} dish={dish} />
+                  ))}
+                </div>
+              </section>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PublicMenu
@@ -0,0 +1,37 @@
+/**
+ * Date helpers for form inputs and display
+ */
+
+/**
+ * Convert an ISO date string to a value for <input type="datetime-local">
+ * @param {string|null} iso - ISO date string
+ * @returns {string} "YYYY-MM-DDTHH:mm" in local time, or '' when empty
+ */
+export const toLocalInputValue = (iso) => {
+  if (!iso) return ''
+  const date = new Date(iso)
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16)
+}
+
+/**
+ * Convert a datetime-local input value to an ISO string for the API
+ * @param {string} value - "YYYY-MM-DDTHH:mm" in local time
+ * @returns {string|null} ISO string, or null when empty
+ */
+export const fromLocalInputValue = (value) =>
+  value ? new Date(value).toISOString() : null
+
+/**
+ * Short, human-friendly date/time (e.g. "Sat, Jun 8, 6:00 PM")
+ * @param {string} iso - ISO date string
+ * @returns {string}
+ */
+export const formatDateTime = (iso) =>
+  new Date(iso).toLocaleString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
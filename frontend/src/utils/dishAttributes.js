@@ -0,0 +1,56 @@
+/**
+ * Dish attribute vocabularies (mirrors backend/src/config/dishAttributes.js)
+ * Values are what the API stores; labels are for display
+ */
+export const ALLERGENS = [
+  { value: 'celery', label: 'Celery' },
+  { value: 'gluten', label: 'Gluten' },
+  { value: 'crustaceans', label: 'Crustaceans' },
+  { value: 'eggs', label: 'Eggs' },
+  { value: 'fish', label: 'Fish' },
+  { value: 'lupin', label: 'Lupin' },
+  { value: 'milk', label: 'Milk' },
+  { value: 'molluscs', label: 'Molluscs' },
+  { value: 'mustard', label: 'Mustard' },
+  { value: 'tree-nuts', label: 'Tree nuts' },
+  { value: 'peanuts', label: 'Peanuts' },
+  { value: 'sesame', label: 'Sesame' },
+  { value: 'soy', label: 'Soy' },
+  { value: 'sulphites', label: 'Sulphites' },
+]
+
+export const DIETARY_FLAGS = [
+  { value: 'vegetarian', label: 'Vegetarian', icon: '🥕' },
+  { value: 'vegan', label: 'Vegan', icon: '🌱' },
+  { value: 'gluten-free', label: 'Gluten-free', icon: '🌾' },
+  { value: 'dairy-free', label: 'Dairy-free', icon: '🥛' },
+  { value: 'nut-free', label: 'Nut-free', icon: '🥜' },
+  { value: 'halal', label: 'Halal', icon: '☪️' },
+  { value: 'kosher', label: 'Kosher', icon: '✡️' },
+]
+
+export const SPICE_LEVEL_MAX = 5
+
+// Currencies offered in the form (the API accepts any ISO 4217 code)
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'AUD', 'CAD']
+
+/**
+ * Look up the display label for a stored value
+ * @param {Object[]} options - ALLERGENS or DIETARY_FLAGS
+ * @param {string} value - Stored value
+ * @returns {string}
+ */
+export const labelFor = (options, value) =>
+  options.find((option) => option.value === value)?.label || value
+
+/**
+ * Format a price for display in the browser's locale
+ * @param {Object} price - { amount, currency } from the API
+ * @returns {string} e.g. "$12.50", or '' when there is no price
+ */
+export const formatPrice = (price) => {
+  if (!price) return ''
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency: price.currency }).format(
+    price.amount
+  )
+}
@@ -0,0 +1,81 @@
+import { toLocalInputValue } from './dates'
+import { CURRENCIES } from './dishAttributes'
+
+/**
+ * Dish form helpers
+ * Converting dishes to DishModal form values, and comparing/merging form
+ * values when a save conflicts with someone else's change
+ */
+
+/**
+ * Form values for a dish
+ * @param {Object|null} dish - Dish from the API (null for an empty form)
+ * @returns {Object} Form data
+ */
+export const toFormData = (dish) => ({
+  dishId: dish?.dishId || '',
+  dishName: dish?.dishName || '',
+  imageUrl: dish?.imageUrl || '',
+  priceAmount: dish?.price ? String(dish.price.amount) : '',
+  currency: dish?.price?.currency || CURRENCIES[0],
+  description: dish?.description || '',
+  category: dish?.category || '',
+  allergens: dish?.allergens || [],
+  dietaryFlags: dish?.dietaryFlags || [],
+  spiceLevel: dish?.spiceLevel ?? '',
+  prepTimeMinutes: dish?.prepTimeMinutes ?? '',
+  isPublished: dish?.isPublished || false,
+  publishAt: toLocalInputValue(dish?.publishAt),
+  unpublishAt: toLocalInputValue(dish?.unpublishAt),
+})
+
+// Editable parts of a dish, each made of one or more form fields
+// (publishOnly groups are only sent by users who can publish)
+export const FORM_FIELD_GROUPS = [
+  { key: 'dishName', label: 'Name', fields: ['dishName'] },
+  { key: 'imageUrl', label: 'Image URL', fields: ['imageUrl'] },
+  { key: 'price', label: 'Price', fields: ['priceAmount', 'currency'] },
+  { key: 'description', label: 'Description', fields: ['description'] },
+  { key: 'category', label: 'Category', fields: ['category'] },
+  { key: 'allergens', label: 'Allergens', fields: ['allergens'] },
+  { key: 'dietaryFlags', label: 'Dietary', fields: ['dietaryFlags'] },
+  { key: 'spiceLevel', label: 'Spice level', fields: ['spiceLevel'] },
+  { key: 'prepTimeMinutes', label: 'Prep time', fields: ['prepTimeMinutes'] },
+  { key: 'isPublished', label: 'Published', fields: ['isPublished'], publishOnly: true },
+  { key: 'schedule', label: 'Schedule', fields: ['publishAt', 'unpublishAt'], publishOnly: true },
+]
+
+/**
+ * Comparable form value: lists ignore order, numbers ignore formatting and
+ * the currency only counts when there is a price
+ */
+const comparableValue = (data, field) => {
+  const value = data[field]
+  if (Array.isArray(value)) return [...value].sort().join(',')
+  if (field === 'currency' && data.priceAmount === '') return ''
+  if (field === 'priceAmount' && value !== '') return String(Number(value))
+  return String(value ?? '')
+}
+
+/**
+ * Whether two sets of form values agree on a field group
+ */
+export const isSameGroup = (group, a, b) =>
+  group.fields.every((field) => comparableValue(a, field) === comparableValue(b, field))
+
+/**
+ * Apply your edits on top of the current version: groups you changed from the
+ * version you started with keep your values, everything else takes theirs
+ * @param {Object} mine - Your form values
+ * @param {Object} base - Form values of the version you started editing
+ * @param {Object} theirs - Form values of the current version
+ * @returns {Object} Merged form values
+ */
+export const mergeFormData = (mine, base, theirs) => {
+  const merged = { ...theirs }
+  for (const group of FORM_FIELD_GROUPS) {
+    if (isSameGroup(group, mine, base)) continue
+    for (const field of group.fields) merged[field] = mine[field]
+  }
+  return merged
+}
@@ -0,0 +1,35 @@
+/**
+ * Menu helpers for availability hours
+ * Days are numbered like the API (and Date#getDay): 0 = Sunday
+ */
+
+export const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' },
+]
+
+/**
+ * Time zone of this browser, used as the default for new menus
+ */
+export const localTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+/**
+ * Summarize availability hours (e.g. "Mon, Tue, Fri 11:30-15:00")
+ * @param {Object[]} hours - [{ days, open, close }]
+ * @returns {string} Summary, or "Always available" when there are no hours
+ */
+export const formatHours = (hours = []) => {
+  if (hours.length === 0) return 'Always available'
+
+  return hours
+    .map(({ days, open, close }) => {
+      const labels = WEEKDAYS.filter(({ value }) => days.includes(value)).map(({ label }) => label)
+      return `${labels.length === 7 ? 'Daily' : labels.join(', ')} ${open}-${close}`
+    })
+    .join('; ')
+}
@@ -0,0 +1,15 @@
+/**
+ * Permission names issued by the API (mirrors backend/src/config/roles.js)
+ * Use with `can(permission)` from useAuth
+ */
+export const PERMISSIONS = {
+  DISH_READ: 'dish:read',
+  DISH_CREATE: 'dish:create',
+  DISH_UPDATE: 'dish:update',
+  DISH_DELETE: 'dish:delete',
+  DISH_PUBLISH: 'dish:publish',
+  AUDIT_READ: 'audit:read',
+  CATEGORY_MANAGE: 'category:manage',
+  MENU_MANAGE: 'menu:manage',
+  WEBHOOK_MANAGE: 'webhook:manage',
+}